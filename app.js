@@ -35,7 +35,7 @@ app.use('/', routes);
  */
 const initializeDirectories = async () => {
   // List of directories to check/create
-  const dirs = ['uploads', 'responses'];
+  const dirs = ['uploads', 'responses', 'data'];
   for (const dir of dirs) {
     try {
       // Attempt to create the directory (does nothing if it already exists)
@@ -4,8 +4,64 @@ const CONFIG = {
   FORGE_CLIENT_ID: process.env.FORGE_CLIENT_ID,
   // Autodesk Forge client secret (from environment variable)
   FORGE_CLIENT_SECRET: process.env.FORGE_CLIENT_SECRET,
+  // Base URL of the Autodesk Platform Services APIs; point it at the bundled fake server
+  // (npm run fake-aps) to run the pipeline without credentials
+  FORGE_BASE_URL: (process.env.FORGE_BASE_URL || 'https://developer.api.autodesk.com').replace(/\/+$/, ''),
+  // Require an API key or JWT on every request; set AUTH_ENABLED=false only for local development
+  AUTH_ENABLED: process.env.AUTH_ENABLED !== 'false',
+  // File holding the hashed API keys (managed by hand, scripts/createApiKey.js or the /admin/api-keys endpoints)
+  API_KEYS_FILE: process.env.API_KEYS_FILE || 'config/apiKeys.json',
+  // Shared secret for HS256 JWTs issued by an external identity provider (JWTs are rejected when unset)
+  JWT_SECRET: process.env.JWT_SECRET,
+  // Expected `aud` claim of JWTs (optional)
+  JWT_AUDIENCE: process.env.JWT_AUDIENCE,
+  // Length (in seconds) of the fixed windows in which rate limited requests are counted
+  RATE_LIMIT_WINDOW_SECONDS: 60,
+  // Requests allowed per window for each group of routes, per client and across all clients (null = unlimited)
+  RATE_LIMITS: {
+    default: { perClient: 300, global: 3000 }, // Every API route
+    uploads: { perClient: 10, global: 60 }, // POST /process, POST /uploads, retries and root selection (start translations)
+    generation: { perClient: 10, global: 60 } // Animation generation routes (each may call the LLM)
+  },
+  // Per-client quotas per UTC day (null = unlimited); a key record in API_KEYS_FILE may override them with `quotas`
+  DAILY_QUOTAS: {
+    uploads: 50, // Accepted uploads (POST /process and completed resumable uploads)
+    translations: 20, // Forge translation jobs (uploads served from the translation cache are not counted)
+    generations: 200 // LLM animation generations (rule-based generations are not counted)
+  },
+  // Days of daily usage kept for GET /usage
+  USAGE_HISTORY_DAYS: 30,
+  // Key used to encrypt secrets stored on disk (e.g. webhook signing secrets); when unset, a key is
+  // generated once and kept in data/secret.key
+  SECRET_ENCRYPTION_KEY: process.env.SECRET_ENCRYPTION_KEY,
+  // LLM provider used for animation generation: 'gemini', 'openai' or 'mock'
+  LLM_PROVIDER: process.env.LLM_PROVIDER || 'gemini',
   // Gemini API key for Google LLM (from environment variable)
   GEMINI_API_KEY: process.env.GEMINI_API_KEY,
+  // Gemini model name used in the generateContent URL
+  GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+  // Base URL of an OpenAI-compatible chat completions API (can point to a self-hosted model)
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  // API key for the OpenAI-compatible endpoint (optional for self-hosted servers)
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  // Model name sent to the OpenAI-compatible endpoint
+  OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  // Sampling temperature for LLM calls
+  LLM_TEMPERATURE: 0.7,
+  // Maximum number of tokens the LLM may return per call
+  LLM_MAX_OUTPUT_TOKENS: 4000,
+  // Timeout (in milliseconds) for a single LLM call
+  LLM_TIMEOUT: 30000,
+  // Where sessions are stored: 'file' (responses/session_<id>/session.json), 'sqlite' or 'redis'
+  // (import existing session folders with scripts/importSessions.js after switching)
+  SESSION_STORE: process.env.SESSION_STORE || 'file',
+  // SQLite database file used when SESSION_STORE=sqlite
+  SESSION_SQLITE_PATH: process.env.SESSION_SQLITE_PATH || 'data/sessions.db',
+  // Redis connection URL and key prefix used when SESSION_STORE=redis
+  REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379',
+  REDIS_KEY_PREFIX: process.env.REDIS_KEY_PREFIX || 'animation-server:',
+  // Longest time (in milliseconds) a Redis session update waits for another process's lock on the session
+  SESSION_LOCK_TIMEOUT: 5000,
   // Number of hours to keep session data before cleanup
   SESSION_CLEANUP_HOURS: 24, // How long to keep session data
   // Maximum allowed file upload size (in bytes), here set to 100MB
@@ -13,11 +69,85 @@ const CONFIG = {
   // Maximum time (in minutes) to wait for Forge translation to complete
   TRANSLATION_TIMEOUT_MINUTES: 30, // Max wait for Forge translation
   // Interval (in milliseconds) between checks for translation status
-  TRANSLATION_CHECK_INTERVAL: 10000, // 10 seconds between translation status checks
+  TRANSLATION_CHECK_INTERVAL: Number(process.env.TRANSLATION_CHECK_INTERVAL) || 10000, // 10 seconds between translation status checks
+  UPLOAD_CONCURRENCY: 4, // Files uploaded to OSS in parallel
+  UPLOAD_MULTIPART_THRESHOLD: 20 * 1024 * 1024, // Files larger than this (20MB) are uploaded in chunks
+  UPLOAD_CHUNK_SIZE: 10 * 1024 * 1024, // 10MB chunks (S3 requires at least 5MB for all but the last chunk)
+  UPLOAD_CHUNK_ATTEMPTS: 3, // Attempts per chunk before the upload fails
+  UPLOAD_RETRY_BASE_DELAY: 1000, // Delay (ms) before the first chunk retry; doubles after each failure
+  UPLOAD_CHUNK_TIMEOUT: 120000, // 2 minutes per chunk upload
+  UPLOAD_PROGRESS_INTERVAL: 1000, // Minimum time (ms) between upload progress updates
+  // Cached Forge tokens are refreshed once less than this many seconds of their lifetime remain
+  TOKEN_REFRESH_MARGIN_SECONDS: 300,
+  // Days a completed translation may be reused for an identical upload (unless the upload sets force=true)
+  TRANSLATION_CACHE_DAYS: 30,
+  // Limits checked before an uploaded ZIP is extracted (path traversal, symlink and zip bomb protection)
+  ZIP_MAX_ENTRIES: 10000, // Entries (files and folders) allowed in one archive
+  ZIP_MAX_UNCOMPRESSED_SIZE: 10 * 1024 * 1024 * 1024, // 10GB total once extracted
+  ZIP_MAX_COMPRESSION_RATIO: 200, // Largest allowed uncompressed/compressed ratio of a single file
+  ZIP_RATIO_CHECK_MIN_SIZE: 1024 * 1024, // Files smaller than this (1MB) are exempt from the ratio check
+  // Resumable client uploads (POST /uploads) for ZIPs larger than MAX_FILE_SIZE
+  RESUMABLE_CHUNK_SIZE: 8 * 1024 * 1024, // Default chunk size (8MB) when the client does not choose one
+  RESUMABLE_MIN_CHUNK_SIZE: 256 * 1024, // Smallest chunk size a client may choose (256KB)
+  RESUMABLE_MAX_CHUNK_SIZE: 64 * 1024 * 1024, // Largest chunk size a client may choose (64MB)
+  RESUMABLE_UPLOAD_MAX_SIZE: 2 * 1024 * 1024 * 1024 - 1, // Just under 2GB, the largest ZIP that can be opened (see ZipUtils.getMaxArchiveSize)
+  RESUMABLE_UPLOAD_EXPIRY_HOURS: 24, // Incomplete uploads are removed this long after their last chunk
+  // Number of parsed session models (hierarchy and properties) kept in memory for the model query endpoints
+  MODEL_CACHE_SIZE: 10,
+  // Largest page size accepted by GET /sessions/:sessionId/objects
+  MODEL_MAX_PAGE_SIZE: 500,
+  // Longest free-text instruction accepted from callers when generating animations
+  ANIMATION_MAX_INSTRUCTIONS_LENGTH: 1000,
+  // Largest step count a caller may request for a generated animation
+  ANIMATION_MAX_REQUESTED_STEPS: 60,
+  // Number of recent status events kept per session for clients reconnecting with Last-Event-ID
+  SSE_EVENT_BUFFER_SIZE: 200,
+  // How long (in minutes) event history is kept after a session's last event (whether it finished or not)
+  SSE_BUFFER_RETENTION_MINUTES: 30,
+  // Interval (in milliseconds) between keep-alive comments on status streams
+  SSE_HEARTBEAT_INTERVAL: 15000,
+  // Maximum number of Forge processing pipelines running at the same time; further uploads wait in the queue
+  MAX_CONCURRENT_PIPELINES: 2,
+  // How many times a pipeline interrupted by a server restart is restarted before the session is marked failed
+  QUEUE_MAX_RECOVERY_ATTEMPTS: 1,
+  // Number of recent queue wait times kept for the queue statistics
+  QUEUE_WAIT_SAMPLE_SIZE: 100,
+  // Allow callback URLs on this host or private networks (loopback, RFC 1918, link-local, unique-local);
+  // for local development only, as it lets clients make the server send requests into its own network
+  WEBHOOK_ALLOW_PRIVATE_URLS: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true',
+  // Number of delivery attempts for completion webhooks before giving up
+  WEBHOOK_MAX_ATTEMPTS: 5,
+  // Delay (in milliseconds) before the first webhook retry; doubles after each failed attempt
+  WEBHOOK_RETRY_BASE_DELAY: 2000,
+  // Timeout (in milliseconds) for a single webhook request
+  WEBHOOK_TIMEOUT: 10000,
+  // Number of times the LLM is asked to fix invalid animation commands before they are dropped
+  ANIMATION_MAX_REPAIR_ATTEMPTS: 2,
+  // Bounds used when validating generated animation commands
+  ANIMATION_LIMITS: {
+    MAX_TRANSLATION: 1000, // Largest allowed translation on any axis (model units)
+    MAX_ROTATION_DEGREES: 1080, // Largest allowed rotation (three full turns)
+    MIN_SCALE_FACTOR: 0.1, // Smallest allowed scale factor
+    MAX_SCALE_FACTOR: 10, // Largest allowed scale factor
+    DEFAULT_STEP_DURATION: 1.5, // Duration (seconds) given to timeline steps that omit one
+    MAX_STEP_DURATION: 30, // Longest allowed timeline step (seconds)
+    MAX_TIMELINE_DURATION: 300 // Latest allowed start time in a timeline (seconds)
+  },
+  // Settings for the deterministic rule-based exploded-view planner
+  RULE_PLANNER: {
+    EXPLODE_DISTANCE: 200, // Translation applied to top-level components (model units)
+    LEVEL_FALLOFF: 0.5, // Each deeper level is exploded by this fraction of the level above
+    MAX_DEPTH: 3, // Deepest hierarchy level that is exploded
+    MAX_PARTS: 40, // Maximum number of components animated
+    STEP_DURATION: 1.5, // Duration (seconds) of each generated step
+    STAGGER: 0.2 // Delay (seconds) between siblings moving in the same level
+  },
 };
 
 // Ensure all required environment variables are set
-const requiredEnvVars = ['FORGE_CLIENT_ID', 'FORGE_CLIENT_SECRET', 'GEMINI_API_KEY'];
+// (the Gemini key is only required when Gemini is the configured provider)
+const requiredEnvVars = ['FORGE_CLIENT_ID', 'FORGE_CLIENT_SECRET'];
+if (CONFIG.LLM_PROVIDER === 'gemini') requiredEnvVars.push('GEMINI_API_KEY');
 // Collect any missing environment variables
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 if (missingVars.length > 0) {
@@ -0,0 +1,119 @@
+const { ApiKeyStore, ROLES } = require('../services/apiKeyStore');
+const { QUOTA_KINDS } = require('../services/usageService');
+
+/**
+ * Controller for GET /admin/api-keys.
+ * Lists every API key (without hashes), including revoked ones.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    res.json({ keys: await ApiKeyStore.list() });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('API key list endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to list API keys',
+      details: error.message,
+      code: 'API_KEY_ERROR'
+    });
+  }
+};
+
+/**
+ * Controller for POST /admin/api-keys.
+ * Creates an API key. The key is only returned in this response; the server keeps a hash.
+ * - Body: { clientId, name?, role? ('client' or 'admin', default 'client'), quotas? }
+ *   quotas overrides the default daily quotas for this key, e.g. { translations: 100, generations: null }
+ *   (null = unlimited).
+ *   Sessions are owned by the clientId, so several keys of one client (e.g. during rotation) share sessions.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { clientId, name, role = 'client', quotas } = req.body || {};
+
+    if (typeof clientId !== 'string' || !clientId.match(/^[\w.@-]{1,100}$/)) {
+      return res.status(400).json({
+        error: 'Invalid client ID',
+        details: 'clientId must be 1-100 letters, digits or . _ @ -',
+        code: 'INVALID_CLIENT_ID'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        details: `role must be one of: ${ROLES.join(', ')}`,
+        code: 'INVALID_ROLE'
+      });
+    }
+
+    if (quotas !== undefined && (typeof quotas !== 'object' || quotas === null || Array.isArray(quotas) ||
+      Object.entries(quotas).some(([kind, limit]) =>
+        !QUOTA_KINDS.includes(kind) || (limit !== null && !(Number.isInteger(limit) && limit >= 0))))) {
+      return res.status(400).json({
+        error: 'Invalid quotas',
+        details: `quotas must map ${QUOTA_KINDS.join(', ')} to a non-negative integer or null`,
+        code: 'INVALID_QUOTAS'
+      });
+    }
+
+    const { key, record } = await ApiKeyStore.create({
+      clientId,
+      name: typeof name === 'string' ? name.slice(0, 200) : undefined,
+      role,
+      quotas
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now; it cannot be shown again',
+      key,
+      ...record
+    });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('API key create endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      details: error.message,
+      code: 'API_KEY_ERROR'
+    });
+  }
+};
+
+/**
+ * Controller for DELETE /admin/api-keys/:keyId.
+ * Revokes an API key; requests using it are rejected from then on.
+ *
+ * @param {object} req - Express request object (expects req.params.keyId)
+ * @param {object} res - Express response object
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const record = await ApiKeyStore.revoke(req.params.keyId);
+    if (!record) {
+      return res.status(404).json({
+        error: 'API key not found',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    res.json({ success: true, ...record });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('API key revoke endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      details: error.message,
+      code: 'API_KEY_ERROR'
+    });
+  }
+};
+
+module.exports = { listApiKeys, createApiKey, revokeApiKey };
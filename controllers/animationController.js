@@ -2,68 +2,547 @@
 const fs = require('fs').promises;
 const path = require('path');
 const SessionManager = require('../services/sessionService');
-const { generateAnimationWithGemini } = require('../services/geminiService');
+const AnimationStore = require('../services/animationStore');
+const HierarchyUtils = require('../utils/hierarchyUtils');
+const CONFIG = require('../config/config');
+const { GENERATION_MODES, STYLE_PRESETS, sanitizeInstructions, generateModelAnimation } = require('../services/animationService');
+const { toLegacyCommands } = require('../services/animationTimeline');
+const { PROVIDERS, getProvider } = require('../services/llmProviders');
+const { UsageService } = require('../services/usageService');
+const { sendQuotaExceeded } = require('../middleware/rateLimitMiddleware');
+
+// Response formats: the versioned timeline, or the flat command array older clients expect
+const RESPONSE_FORMATS = ['timeline', 'legacy'];
+
+// Session IDs are UUIDs; animation IDs are UUIDs too
+const ID_PATTERN = /^[a-f0-9-]+$/i;
+
+/**
+ * Builds a 400 error result for parseGenerationOptions.
+ * @param {string} message - Error message.
+ * @param {string} code - Error code.
+ * @param {object} extra - Additional response fields.
+ * @returns {{ error: { status: number, body: object } }} - Error result.
+ */
+function optionError(message, code, extra = {}) {
+  return { error: { status: 400, body: { error: message, code, ...extra } } };
+}
+
+/**
+ * Validates generation options, steering options and the response format.
+ * @param {object} source - Object holding the options (req.query or req.body):
+ *   mode, provider, instructions, target, steps, style, temperature.
+ * @param {string} format - Requested response format.
+ * @returns {{ error?: object, mode?: string, provider?: object|null, format?: string, target?: number|string, steering?: object }}
+ *   - The parsed options, or an error ({ status, body }) to send back.
+ */
+function parseGenerationOptions(source, format = 'timeline') {
+  // Validate the generation mode
+  const mode = source.mode || 'llm';
+  if (!GENERATION_MODES.includes(mode)) {
+    return optionError(`Unknown generation mode: ${mode}`, 'INVALID_MODE', { availableModes: GENERATION_MODES });
+  }
+
+  // Validate the requested response format
+  if (!RESPONSE_FORMATS.includes(format)) {
+    return optionError(`Unknown response format: ${format}`, 'INVALID_FORMAT', { availableFormats: RESPONSE_FORMATS });
+  }
+
+  // Resolve the LLM provider (per-request override or configured default)
+  const providerName = source.provider || undefined;
+  const provider = mode === 'llm' ? getProvider(providerName) : null;
+  if (mode === 'llm' && !provider) {
+    return optionError(`Unknown LLM provider: ${providerName}`, 'INVALID_PROVIDER', { availableProviders: Object.keys(PROVIDERS) });
+  }
+
+  // Reject providers that are missing credentials or endpoint settings
+  if (provider && !provider.isConfigured()) {
+    return optionError(`LLM provider '${provider.name}' is not configured`, 'PROVIDER_NOT_CONFIGURED');
+  }
+
+  // Caller steering options (all optional)
+  const steering = {};
+
+  if (source.instructions !== undefined && source.instructions !== null) {
+    if (typeof source.instructions !== 'string') {
+      return optionError('instructions must be a string', 'INVALID_INSTRUCTIONS');
+    }
+    steering.instructions = sanitizeInstructions(source.instructions) || undefined;
+  }
+
+  if (source.steps !== undefined && source.steps !== null) {
+    const steps = Number(source.steps);
+    if (!Number.isInteger(steps) || steps < 1 || steps > CONFIG.ANIMATION_MAX_REQUESTED_STEPS) {
+      return optionError(`steps must be an integer between 1 and ${CONFIG.ANIMATION_MAX_REQUESTED_STEPS}`, 'INVALID_STEPS');
+    }
+    steering.steps = steps;
+  }
+
+  if (source.style !== undefined && source.style !== null) {
+    if (!STYLE_PRESETS[source.style]) {
+      return optionError(`Unknown style preset: ${source.style}`, 'INVALID_STYLE', { availableStyles: Object.keys(STYLE_PRESETS) });
+    }
+    steering.style = source.style;
+  }
+
+  if (source.temperature !== undefined && source.temperature !== null) {
+    const temperature = Number(source.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+      return optionError('temperature must be a number between 0 and 2', 'INVALID_TEMPERATURE');
+    }
+    steering.temperature = temperature;
+  }
+
+  // Target subtree: an objectid or a slash-separated name path
+  let target;
+  if (source.target !== undefined && source.target !== null && source.target !== '') {
+    if (typeof source.target !== 'number' && typeof source.target !== 'string') {
+      return optionError('target must be an objectid or a name path', 'INVALID_TARGET');
+    }
+    target = source.target;
+  }
+
+  return { mode, provider, format, target, steering };
+}
+
+/**
+ * Loads a session and checks that it exists and has finished processing.
+ * Sends the appropriate error response and returns null otherwise.
+ * @param {string} sessionId - The unique session identifier.
+ * @param {object} res - Express response object.
+ * @returns {Promise<object|null>} - The session, or null if a response was already sent.
+ */
+async function loadCompletedSession(sessionId, res) {
+  // Validate session ID format (must be alphanumeric, dashes allowed)
+  if (!sessionId || !sessionId.match(ID_PATTERN)) {
+    res.status(400).json({
+      error: 'Invalid session ID format',
+      code: 'INVALID_SESSION_ID'
+    });
+    return null;
+  }
+
+  // Retrieve session data using SessionManager
+  const session = await SessionManager.getSession(sessionId);
+
+  // If session not found, return 404 error
+  if (!session) {
+    res.status(404).json({
+      error: 'Session not found',
+      code: 'SESSION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  // If session is not completed, return 400 error
+  if (session.status !== 'completed') {
+    res.status(400).json({
+      error: 'Session processing not completed',
+      code: 'SESSION_NOT_READY',
+      currentStatus: session.status
+    });
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Generates a new animation timeline for a session from its stored hierarchy and properties.
+ * If a target is given, generation is limited to that subtree.
+ * LLM generations count against the caller's daily 'generations' quota; rule-based ones are free.
+ * Sends a 400 response and returns null if the target does not exist in the model, or a 429
+ * response if the quota is used up.
+ * @param {string} sessionId - The unique session identifier.
+ * @param {object} options - Parsed options as returned by parseGenerationOptions.
+ * @param {object} res - Express response object.
+ * @param {object} client - The calling client (req.client).
+ * @returns {Promise<{ timeline: object, report: object, options: object }|null>} - Timeline, report and the options used.
+ */
+async function generateForSession(sessionId, { mode, provider, target, steering }, res, client) {
+  if (mode === 'llm') {
+    const quota = await UsageService.checkQuota(client, 'generations');
+    if (!quota.allowed) {
+      sendQuotaExceeded(res, 'generations', quota);
+      return null;
+    }
+  }
+
+  // Construct paths to hierarchy and properties JSON files for this session
+  const responsePath = path.join('responses', `session_${sessionId}`);
+  const hierarchyPath = path.join(responsePath, '09_object_hierarchy.json');
+  const propertiesPath = path.join(responsePath, '10_properties_all_objects.json');
+
+  // Load hierarchy and properties data from disk in parallel
+  let [hierarchyData, propertiesData] = await Promise.all([
+    fs.readFile(hierarchyPath, 'utf-8').then(JSON.parse),
+    fs.readFile(propertiesPath, 'utf-8').then(JSON.parse)
+  ]);
+
+  // Limit generation to the requested subtree
+  let targetNode = null;
+  if (target !== undefined) {
+    targetNode = HierarchyUtils.resolveTarget(hierarchyData, target);
+    if (!targetNode) {
+      res.status(400).json({
+        error: `Target not found in model hierarchy: ${target}`,
+        code: 'TARGET_NOT_FOUND'
+      });
+      return null;
+    }
+    ({ hierarchyData, propertiesData } = HierarchyUtils.restrictToSubtree(hierarchyData, propertiesData, targetNode));
+  }
+
+  // Generate and validate the animation timeline in the selected mode
+  const { timeline, report } = await generateModelAnimation(hierarchyData, propertiesData, { mode, provider, steering });
+  if (mode === 'llm') {
+    await UsageService.record(client.id, 'generations');
+  }
+
+  // Record the options used so the result can be reproduced
+  return {
+    timeline,
+    report,
+    options: {
+      mode,
+      provider: provider ? provider.name : null,
+      target,
+      resolvedTarget: targetNode ? { objectid: targetNode.objectid, name: targetNode.name } : undefined,
+      ...steering
+    }
+  };
+}
+
+/**
+ * Checks whether a saved animation version was generated with the requested options, so it can be
+ * served instead of generating a new one. Without ?provider= the configured default provider is
+ * what would be used, so that is what the saved provider is compared with.
+ * @param {object} saved - The options stored with the version (see generateForSession).
+ * @param {object} options - Parsed options as returned by parseGenerationOptions.
+ * @returns {boolean} - True if the saved version matches the requested mode and provider.
+ */
+function matchesSavedOptions(saved = {}, { mode, provider }) {
+  return (saved.mode || 'llm') === mode && (saved.provider || null) === (provider ? provider.name : null);
+}
+
+/**
+ * Shapes a stored animation version for a response in the requested format.
+ * @param {object} animation - The stored animation record.
+ * @param {object} version - The version to return.
+ * @param {string} format - 'timeline' or 'legacy'.
+ * @param {boolean} isDefault - Whether this animation is the session default.
+ * @returns {object} - Response body.
+ */
+function formatAnimation(animation, version, format, isDefault) {
+  const body = {
+    animationId: animation.id,
+    name: animation.name,
+    version: version.version,
+    versionCount: animation.versions.length,
+    isDefault,
+    createdAt: version.createdAt,
+    options: version.options,
+    format
+  };
+
+  if (format === 'legacy') {
+    body.commands = toLegacyCommands(version.timeline);
+  } else {
+    body.timeline = version.timeline;
+  }
+  body.report = version.report;
+  return body;
+}
+
+/**
+ * Sends a 500 response for an unexpected animation error.
+ * @param {object} res - Express response object.
+ * @param {Error} error - The error that occurred.
+ * @param {string} message - Error message for the response.
+ */
+function sendAnimationError(res, error, message) {
+  // Log error and respond with 500 Internal Server Error
+  console.error(`${message}:`, error.message);
+  res.status(500).json({
+    error: message,
+    details: error.message,
+    code: 'ANIMATION_ERROR'
+  });
+}
 
 /**
  * Controller for generating animation commands for a given session.
  * - Validates the session ID and checks if processing is completed.
- * - Loads the model's object hierarchy and properties from disk.
- * - Calls the Gemini LLM service to generate animation commands.
- * - Responds with the generated animation command sequence as JSON.
+ * - Returns the session's saved default animation if there is one and it was generated
+ *   with the requested mode and provider, so refreshing the page shows the same animation
+ *   without another LLM call.
+ * - Otherwise (or with ?regenerate=true, with any steering option, or for POST requests)
+ *   loads the model's object hierarchy and properties from disk and generates a new
+ *   animation, which is saved with the session. Steering options (instructions, target,
+ *   steps, style, temperature) come from the query string, or from the JSON body for POST
+ *   requests:
+ *   - In 'llm' mode (default), calls the configured LLM provider (or the one named in
+ *     ?provider=), falling back to the rule-based planner if the LLM call fails.
+ *   - In 'rules' mode (?mode=rules), uses the deterministic rule-based planner only.
+ * - Responds with the animation timeline and a validation report (accepted, repaired
+ *   and dropped steps) as JSON. With ?format=legacy the timeline is down-converted to
+ *   the flat command array used by older clients.
  *
- * @param {object} req - Express request object (expects req.params.sessionId)
+ * @param {object} req - Express request object (expects req.params.sessionId; optional mode, provider, format, regenerate and steering options)
  * @param {object} res - Express response object
  */
 const generateAnimation = async (req, res) => {
   try {
     const sessionId = req.params.sessionId;
+    const session = await loadCompletedSession(sessionId, res);
+    if (!session) return;
+
+    // POST requests carry steering options in the body and always generate a new animation
+    const isPost = req.method === 'POST';
+    const source = isPost ? { ...req.query, ...(req.body || {}) } : req.query;
+    const options = parseGenerationOptions(source, req.query.format || undefined);
+    if (options.error) {
+      return res.status(options.error.status).json(options.error.body);
+    }
+
+    // Serve the saved default animation unless the caller asks for a new one, or for one
+    // generated differently (another mode or provider) than the saved default was.
+    // Steering options always ask for a new animation.
+    const isSteered = options.target !== undefined || Object.values(options.steering).some(value => value !== undefined);
+    if (!isPost && !isSteered && req.query.regenerate !== 'true') {
+      const saved = await AnimationStore.getDefault(sessionId);
+      const latest = saved?.versions[saved.versions.length - 1];
+      if (latest && matchesSavedOptions(latest.options, options)) {
+        return res.json(formatAnimation(saved, latest, options.format, true));
+      }
+    }
+
+    // Generate a new animation and save it (it becomes the default if none is set yet)
+    const generated = await generateForSession(sessionId, options, res, req.client);
+    if (!generated) return;
+    const animation = await AnimationStore.create(sessionId, generated);
+    const { defaultAnimationId } = await AnimationStore.list(sessionId);
+
+    res.json(formatAnimation(animation, animation.versions[0], options.format, defaultAnimationId === animation.id));
+
+  } catch (error) {
+    sendAnimationError(res, error, 'Failed to generate animation');
+  }
+};
+
+/**
+ * Controller for POST /sessions/:sessionId/animations.
+ * Generates a new animation and saves it as version 1 of a new animation record.
+ * Body: { name?, mode?, provider?, isDefault?, instructions?, target?, steps?, style?, temperature? }; query: format?.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const createAnimation = async (req, res) => {
+  try {
+    const sessionId = req.params.sessionId;
+    const session = await loadCompletedSession(sessionId, res);
+    if (!session) return;
+
+    const body = req.body || {};
+    const options = parseGenerationOptions(body, req.query.format || undefined);
+    if (options.error) {
+      return res.status(options.error.status).json(options.error.body);
+    }
+
+    const generated = await generateForSession(sessionId, options, res, req.client);
+    if (!generated) return;
+    const animation = await AnimationStore.create(sessionId, { ...generated, name: body.name }, body.isDefault === true);
+    const { defaultAnimationId } = await AnimationStore.list(sessionId);
+
+    res.status(201).json(formatAnimation(animation, animation.versions[0], options.format, defaultAnimationId === animation.id));
+
+  } catch (error) {
+    sendAnimationError(res, error, 'Failed to create animation');
+  }
+};
+
+/**
+ * Controller for POST /sessions/:sessionId/animations/:animationId/versions.
+ * Regenerates an existing animation and appends the result as a new version.
+ * Body: generation and steering options (defaults to the options of the latest version); query: format?.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const createAnimationVersion = async (req, res) => {
+  try {
+    const { sessionId, animationId } = req.params;
+    const session = await loadCompletedSession(sessionId, res);
+    if (!session) return;
+
+    const existing = animationId.match(ID_PATTERN) ? await AnimationStore.get(sessionId, animationId) : null;
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Animation not found',
+        code: 'ANIMATION_NOT_FOUND'
+      });
+    }
+
+    // Reuse the latest version's options for anything the caller does not override
+    const previous = existing.versions[existing.versions.length - 1].options || {};
+    const source = { mode: previous.mode, provider: previous.provider || undefined, ...(req.body || {}) };
+    const options = parseGenerationOptions(source, req.query.format || undefined);
+    if (options.error) {
+      return res.status(options.error.status).json(options.error.body);
+    }
+
+    const generated = await generateForSession(sessionId, options, res, req.client);
+    if (!generated) return;
+    const animation = await AnimationStore.addVersion(sessionId, animationId, generated);
+    const { defaultAnimationId } = await AnimationStore.list(sessionId);
 
-    // Retrieve session data using SessionManager
-    const session = await SessionManager.getSession(sessionId);
+    res.status(201).json(formatAnimation(animation, animation.versions[animation.versions.length - 1], options.format, defaultAnimationId === animationId));
 
-    // If session not found, return 404 error
-    if (!session) {
+  } catch (error) {
+    sendAnimationError(res, error, 'Failed to create animation version');
+  }
+};
+
+/**
+ * Controller for GET /sessions/:sessionId/animations.
+ * Lists the session's saved animations (summaries without timelines) and the default ID.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listAnimations = async (req, res) => {
+  try {
+    const sessionId = req.params.sessionId;
+    if (!sessionId.match(ID_PATTERN) || !(await SessionManager.getSession(sessionId))) {
       return res.status(404).json({
         error: 'Session not found',
         code: 'SESSION_NOT_FOUND'
       });
     }
 
-    // If session is not completed, return 400 error
-    if (session.status !== 'completed') {
+    res.json(await AnimationStore.list(sessionId));
+
+  } catch (error) {
+    sendAnimationError(res, error, 'Failed to list animations');
+  }
+};
+
+/**
+ * Controller for GET /sessions/:sessionId/animations/:animationId.
+ * Returns the latest version of a saved animation, or a specific one with ?version=N.
+ * Query: version?, format?, history=true (includes the list of all versions without timelines).
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getAnimation = async (req, res) => {
+  try {
+    const { sessionId, animationId } = req.params;
+    const format = req.query.format || 'timeline';
+    if (!RESPONSE_FORMATS.includes(format)) {
       return res.status(400).json({
-        error: 'Session processing not completed',
-        code: 'SESSION_NOT_READY',
-        currentStatus: session.status
+        error: `Unknown response format: ${format}`,
+        code: 'INVALID_FORMAT',
+        availableFormats: RESPONSE_FORMATS
       });
     }
 
-    // Construct paths to hierarchy and properties JSON files for this session
-    const responsePath = path.join('responses', `session_${sessionId}`);
-    const hierarchyPath = path.join(responsePath, '09_object_hierarchy.json');
-    const propertiesPath = path.join(responsePath, '10_properties_all_objects.json');
+    const animation = sessionId.match(ID_PATTERN) && animationId.match(ID_PATTERN)
+      ? await AnimationStore.get(sessionId, animationId)
+      : null;
+    if (!animation) {
+      return res.status(404).json({
+        error: 'Animation not found',
+        code: 'ANIMATION_NOT_FOUND'
+      });
+    }
 
-    // Load hierarchy and properties data from disk in parallel
-    const [hierarchyData, propertiesData] = await Promise.all([
-      fs.readFile(hierarchyPath, 'utf-8').then(JSON.parse),
-      fs.readFile(propertiesPath, 'utf-8').then(JSON.parse)
-    ]);
+    // Pick the requested version (latest by default)
+    const version = req.query.version
+      ? animation.versions.find(v => v.version === Number(req.query.version))
+      : animation.versions[animation.versions.length - 1];
+    if (!version) {
+      return res.status(404).json({
+        error: `Version ${req.query.version} not found`,
+        code: 'ANIMATION_VERSION_NOT_FOUND'
+      });
+    }
 
-    // Generate animation commands using Gemini LLM
-    const animationCommands = await generateAnimationWithGemini(hierarchyData, propertiesData);
+    const { defaultAnimationId } = await AnimationStore.list(sessionId);
+    const body = formatAnimation(animation, version, format, defaultAnimationId === animationId);
+    if (req.query.history === 'true') {
+      body.versions = animation.versions.map(v => ({ version: v.version, createdAt: v.createdAt, options: v.options }));
+    }
 
-    // Respond with the generated animation commands as JSON
-    res.json(animationCommands);
+    res.json(body);
 
   } catch (error) {
-    // Log error and respond with 500 Internal Server Error
-    console.error('Animation generation error:', error.message);
-    res.status(500).json({
-      error: 'Failed to generate animation',
-      details: error.message,
-      code: 'ANIMATION_ERROR'
-    });
+    sendAnimationError(res, error, 'Failed to get animation');
   }
 };
 
-module.exports = { generateAnimation };
\ No newline at end of file
+/**
+ * Controller for DELETE /sessions/:sessionId/animations/:animationId.
+ * Deletes a saved animation and all of its versions.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const deleteAnimation = async (req, res) => {
+  try {
+    const { sessionId, animationId } = req.params;
+    const removed = sessionId.match(ID_PATTERN) && animationId.match(ID_PATTERN)
+      ? await AnimationStore.remove(sessionId, animationId)
+      : false;
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Animation not found',
+        code: 'ANIMATION_NOT_FOUND'
+      });
+    }
+
+    const { defaultAnimationId } = await AnimationStore.list(sessionId);
+    res.json({ success: true, defaultAnimationId });
+
+  } catch (error) {
+    sendAnimationError(res, error, 'Failed to delete animation');
+  }
+};
+
+/**
+ * Controller for PUT /sessions/:sessionId/animations/:animationId/default.
+ * Marks a saved animation as the session default (served by GET /generate-animation/:sessionId).
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const setDefaultAnimation = async (req, res) => {
+  try {
+    const { sessionId, animationId } = req.params;
+    const updated = sessionId.match(ID_PATTERN) && animationId.match(ID_PATTERN)
+      ? await AnimationStore.setDefault(sessionId, animationId)
+      : false;
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Animation not found',
+        code: 'ANIMATION_NOT_FOUND'
+      });
+    }
+
+    res.json({ success: true, defaultAnimationId: animationId });
+
+  } catch (error) {
+    sendAnimationError(res, error, 'Failed to set default animation');
+  }
+};
+
+module.exports = {
+  generateAnimation,
+  createAnimation,
+  createAnimationVersion,
+  listAnimations,
+  getAnimation,
+  deleteAnimation,
+  setDefaultAnimation
+};
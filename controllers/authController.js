@@ -1,13 +1,14 @@
 const ForgeClient = require('../services/forgeService');
 const SessionManager = require('../services/sessionService');
 const CONFIG = require('../config/config');
+const { canAccess } = require('../middleware/authMiddleware');
 
 /**
  * Controller for handling authentication requests.
  * - Validates the provided session ID.
- * - Checks if the session exists and is not expired.
- * - Generates a new Forge viewer access token (read-only).
- * - Responds with the token and session age.
+ * - Checks if the session exists, belongs to the caller (or the caller is an admin) and is not expired.
+ * - Returns a Forge viewer access token (read-only), shared and cached by the token manager.
+ * - Responds with the token, its remaining lifetime and the session age.
  *
  * @param {object} req - Express request object (expects req.body.sessionId)
  * @param {object} res - Express response object
@@ -27,8 +28,8 @@ const authenticate = async (req, res) => {
     // Retrieve session data using SessionManager
     const session = await SessionManager.getSession(sessionId);
 
-    // If session not found, return 404 error
-    if (!session) {
+    // If session not found (or belongs to another client), return 404 error
+    if (!session || !canAccess(req.client, session)) {
       return res.status(404).json({
         error: 'Session not found',
         code: 'SESSION_NOT_FOUND'
@@ -48,15 +49,15 @@ const authenticate = async (req, res) => {
       });
     }
 
-    // Generate a new viewer token (read-only scope)
+    // Get a viewer token (read-only scope); reused until shortly before it expires
     const forgeClient = new ForgeClient(CONFIG.FORGE_CLIENT_ID, CONFIG.FORGE_CLIENT_SECRET);
-    const viewerToken = await forgeClient.getAccessToken(null, ['data:read']);
+    const viewerToken = await forgeClient.getToken(['data:read']);
 
-    // Respond with the access token and session age
+    // Respond with the access token, its remaining lifetime and the session age
     res.json({
-      accessToken: viewerToken,
-      tokenType: 'Bearer',
-      expiresIn: 3600, // 1 hour expiration
+      accessToken: viewerToken.accessToken,
+      tokenType: viewerToken.tokenType,
+      expiresIn: viewerToken.expiresIn, // Seconds until the cached token expires
       sessionAgeHours: hoursDiff.toFixed(2)
     });
 
@@ -0,0 +1,332 @@
+// Required imports
+const crypto = require('crypto');
+const SessionManager = require('../services/sessionService');
+const ModelDataService = require('../services/modelDataService');
+const HierarchyUtils = require('../utils/hierarchyUtils');
+const CONFIG = require('../config/config');
+
+// Session IDs are UUIDs; objectids are non-negative integers
+const ID_PATTERN = /^[a-f0-9-]+$/i;
+const OBJECT_ID_PATTERN = /^\d+$/;
+
+// Fields an object can be returned with (select with ?fields=a,b; properties.<group> selects one property group).
+// path is the slash-separated name path, usable as a generation target.
+const OBJECT_FIELDS = ['objectid', 'name', 'parentId', 'path', 'childCount', 'children', 'externalId', 'categories', 'properties'];
+
+// Fields returned when the request does not select any
+const DEFAULT_FIELDS = {
+  hierarchy: ['objectid', 'name', 'childCount'],
+  search: ['objectid', 'name', 'parentId', 'path', 'childCount', 'categories'],
+  object: OBJECT_FIELDS
+};
+
+/**
+ * Parses the ?fields= selection.
+ * @param {*} value - The query value (comma-separated field names).
+ * @param {string[]} defaults - Fields used when nothing is selected.
+ * @returns {string[]|null} - Selected fields, or null if one is unknown.
+ */
+function parseFields(value, defaults) {
+  if (value === undefined || value === '') return defaults;
+  const fields = String(value).split(',').map(field => field.trim()).filter(Boolean);
+  const valid = fields.every(field => OBJECT_FIELDS.includes(field) || /^properties\.[^.]+$/.test(field));
+  return valid && fields.length > 0 ? fields : null;
+}
+
+/**
+ * Builds the response object for a hierarchy node with the selected fields.
+ * @param {object} model - The model from ModelDataService.load.
+ * @param {object} entry - The node's entry in model.nodes ({ node, parentId, path }).
+ * @param {string[]} fields - Selected fields.
+ * @returns {object} - The object.
+ */
+function describeObject(model, { node, parentId, path }, fields) {
+  const item = model.properties.get(node.objectid);
+  const object = {};
+  for (const field of fields) {
+    switch (field) {
+      case 'objectid': object.objectid = node.objectid; break;
+      case 'name': object.name = node.name; break;
+      case 'parentId': object.parentId = parentId; break;
+      case 'path': object.path = path.join('/'); break;
+      case 'childCount': object.childCount = node.objects?.length || 0; break;
+      case 'children': object.children = (node.objects || []).map(child => ({ objectid: child.objectid, name: child.name })); break;
+      case 'externalId': object.externalId = item?.externalId ?? null; break;
+      case 'categories': object.categories = HierarchyUtils.getCategories(item?.properties); break;
+      case 'properties': object.properties = item?.properties || {}; break;
+      default: {
+        // properties.<group>: a single property group (left out if the object does not have it)
+        const group = field.slice('properties.'.length);
+        if (item?.properties?.[group] !== undefined) {
+          object.properties = { ...object.properties, [group]: item.properties[group] };
+        }
+      }
+    }
+  }
+  return object;
+}
+
+/**
+ * Loads a completed session's model for a query and handles caching.
+ * The ETag is built from the model files' stamp and the request URL, so a request with a matching
+ * If-None-Match is answered 304 without reading the model. Sends the error (or 304) response and
+ * returns null when the query cannot go on.
+ * @param {object} req - Express request object (expects req.params.sessionId).
+ * @param {object} res - Express response object.
+ * @returns {Promise<object|null>} - The model from ModelDataService.load, or null if a response was sent.
+ */
+async function loadModel(req, res) {
+  const { sessionId } = req.params;
+
+  // Validate session ID format (must be alphanumeric, dashes allowed)
+  if (!sessionId || !sessionId.match(ID_PATTERN)) {
+    res.status(400).json({
+      error: 'Invalid session ID format',
+      code: 'INVALID_SESSION_ID'
+    });
+    return null;
+  }
+
+  const session = await SessionManager.getSession(sessionId);
+  if (!session) {
+    res.status(404).json({
+      error: 'Session not found',
+      code: 'SESSION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  // The model files only exist once processing has completed
+  if (session.status !== 'completed') {
+    res.status(400).json({
+      error: 'Session processing not completed',
+      code: 'SESSION_NOT_READY',
+      currentStatus: session.status
+    });
+    return null;
+  }
+
+  const etagFor = (stamp) => `"${crypto.createHash('sha1').update(`${stamp}|${req.originalUrl}`).digest('base64url')}"`;
+  const stamp = await ModelDataService.getStamp(sessionId);
+  if (!stamp) {
+    sendModelNotFound(res);
+    return null;
+  }
+
+  // Responses are per client, so only the client may cache them, and must revalidate each time
+  res.set('Cache-Control', 'private, no-cache');
+  res.set('ETag', etagFor(stamp));
+  if (req.fresh) {
+    res.status(304).end();
+    return null;
+  }
+
+  const model = await ModelDataService.load(sessionId);
+  if (!model) {
+    sendModelNotFound(res);
+    return null;
+  }
+  // The files may have been rewritten since they were stamped above
+  res.set('ETag', etagFor(model.stamp));
+  return model;
+}
+
+/**
+ * Sends a 404 response for a session whose model files are missing.
+ * @param {object} res - Express response object.
+ */
+function sendModelNotFound(res) {
+  res.status(404).json({
+    error: 'Model data not found',
+    details: 'The hierarchy and properties of this session are no longer available',
+    code: 'MODEL_NOT_FOUND'
+  });
+}
+
+/**
+ * Sends a 400 response for an invalid ?fields= selection.
+ * @param {object} res - Express response object.
+ */
+function sendInvalidFields(res) {
+  res.status(400).json({
+    error: 'Invalid field selection',
+    details: `fields must be a comma-separated list of: ${OBJECT_FIELDS.join(', ')} or properties.<group>`,
+    code: 'INVALID_FIELDS'
+  });
+}
+
+/**
+ * Sends a 500 response for an unexpected model query error.
+ * @param {object} res - Express response object.
+ * @param {Error} error - The error that occurred.
+ * @param {string} message - Error message for the response.
+ */
+function sendModelError(res, error, message) {
+  // Log error and respond with 500 Internal Server Error
+  console.error(`${message}:`, error.message);
+  res.status(500).json({
+    error: message,
+    details: error.message,
+    code: 'MODEL_QUERY_ERROR'
+  });
+}
+
+/**
+ * Controller for GET /sessions/:sessionId/hierarchy.
+ * Returns the model's object tree, or the subtree of one object.
+ * - Query (all optional):
+ *   - objectid: root of the returned subtree (default: the whole model)
+ *   - depth: levels of children to include below the root(s) (default: all; 0 = the root(s) only).
+ *     Nodes keep their childCount, so a client can load deeper levels on demand.
+ *   - fields: fields of each node (default objectid,name,childCount)
+ * - Responds with { sessionId, objectid, depth, objects } where each node has `objects` for its
+ *   included children. Supports ETag / If-None-Match.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getHierarchy = async (req, res) => {
+  try {
+    const { objectid, depth } = req.query;
+
+    if (objectid !== undefined && !OBJECT_ID_PATTERN.test(String(objectid))) {
+      return res.status(400).json({
+        error: 'Invalid objectid',
+        details: 'objectid must be a non-negative integer',
+        code: 'INVALID_OBJECT_ID'
+      });
+    }
+
+    const maxDepth = depth === undefined ? Infinity : Number(depth);
+    if (maxDepth !== Infinity && (!Number.isInteger(maxDepth) || maxDepth < 0)) {
+      return res.status(400).json({
+        error: 'Invalid depth',
+        details: 'depth must be a non-negative integer',
+        code: 'INVALID_DEPTH'
+      });
+    }
+
+    const fields = parseFields(req.query.fields, DEFAULT_FIELDS.hierarchy);
+    if (!fields) return sendInvalidFields(res);
+
+    const model = await loadModel(req, res);
+    if (!model) return;
+
+    let roots;
+    if (objectid !== undefined) {
+      const entry = model.nodes.get(Number(objectid));
+      if (!entry) {
+        return res.status(404).json({
+          error: `Object not found in model hierarchy: ${objectid}`,
+          code: 'OBJECT_NOT_FOUND'
+        });
+      }
+      roots = [entry.node];
+    } else {
+      roots = [...model.nodes.values()].filter(entry => entry.parentId === null).map(entry => entry.node);
+    }
+
+    const format = node => describeObject(model, model.nodes.get(node.objectid), fields);
+    res.json({
+      sessionId: req.params.sessionId,
+      objectid: objectid === undefined ? null : Number(objectid),
+      depth: maxDepth === Infinity ? null : maxDepth,
+      objects: roots.map(root => HierarchyUtils.pruneToDepth(root, maxDepth, format))
+    });
+  } catch (error) {
+    sendModelError(res, error, 'Failed to read model hierarchy');
+  }
+};
+
+/**
+ * Controller for GET /sessions/:sessionId/objects.
+ * Searches the model's objects (in hierarchy order).
+ * - Query (all optional):
+ *   - name: case-insensitive part of the object name
+ *   - category: category property value, e.g. 'Fastener' (case-insensitive, whole value)
+ *   - fields: fields of each object (default objectid,name,parentId,path,childCount,categories)
+ *   - page (default 1), pageSize (default 50, at most CONFIG.MODEL_MAX_PAGE_SIZE)
+ * - Responds with { sessionId, objects, pagination }. Supports ETag / If-None-Match.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const searchObjects = async (req, res) => {
+  try {
+    const { name, category } = req.query;
+
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const pageSize = req.query.pageSize === undefined ? 50 : Number(req.query.pageSize);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > CONFIG.MODEL_MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: 'Invalid pagination',
+        details: `page must be a positive integer and pageSize an integer from 1 to ${CONFIG.MODEL_MAX_PAGE_SIZE}`,
+        code: 'INVALID_PAGINATION'
+      });
+    }
+
+    const fields = parseFields(req.query.fields, DEFAULT_FIELDS.search);
+    if (!fields) return sendInvalidFields(res);
+
+    const model = await loadModel(req, res);
+    if (!model) return;
+
+    const nameNeedle = name === undefined ? undefined : String(name).toLowerCase();
+    const categoryNeedle = category === undefined ? undefined : String(category).toLowerCase();
+    const matches = [...model.nodes.values()].filter(({ node }) =>
+      (!nameNeedle || String(node.name || '').toLowerCase().includes(nameNeedle)) &&
+      (!categoryNeedle || HierarchyUtils.getCategories(model.properties.get(node.objectid)?.properties)
+        .some(value => value.toLowerCase() === categoryNeedle)));
+
+    res.json({
+      sessionId: req.params.sessionId,
+      objects: matches.slice((page - 1) * pageSize, page * pageSize).map(entry => describeObject(model, entry, fields)),
+      pagination: { page, pageSize, total: matches.length, totalPages: Math.ceil(matches.length / pageSize) }
+    });
+  } catch (error) {
+    sendModelError(res, error, 'Failed to search model objects');
+  }
+};
+
+/**
+ * Controller for GET /sessions/:sessionId/objects/:objectid.
+ * Returns one object with its place in the hierarchy and all of its properties (property groups
+ * split over several Forge entries are merged).
+ * - Query: fields (optional; default every field).
+ * - Supports ETag / If-None-Match.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getObject = async (req, res) => {
+  try {
+    const { objectid } = req.params;
+    if (!OBJECT_ID_PATTERN.test(objectid)) {
+      return res.status(400).json({
+        error: 'Invalid objectid',
+        details: 'objectid must be a non-negative integer',
+        code: 'INVALID_OBJECT_ID'
+      });
+    }
+
+    const fields = parseFields(req.query.fields, DEFAULT_FIELDS.object);
+    if (!fields) return sendInvalidFields(res);
+
+    const model = await loadModel(req, res);
+    if (!model) return;
+
+    const entry = model.nodes.get(Number(objectid));
+    if (!entry) {
+      return res.status(404).json({
+        error: `Object not found in model hierarchy: ${objectid}`,
+        code: 'OBJECT_NOT_FOUND'
+      });
+    }
+
+    res.json(describeObject(model, entry, fields));
+  } catch (error) {
+    sendModelError(res, error, 'Failed to read model object');
+  }
+};
+
+module.exports = { getHierarchy, searchObjects, getObject };
@@ -1,179 +1,84 @@
 const { v4: uuidv4 } = require('uuid'); // For generating unique session IDs
-const AdmZip = require('adm-zip'); // For extracting ZIP files
 const fs = require('fs').promises; // Promise-based file system API
 const path = require('path'); // Node.js path utilities
-const ForgeClient = require('../services/forgeService'); // Service for interacting with Autodesk Forge APIs
 const SessionManager = require('../services/sessionService'); // Service for managing session data
+const WebhookService = require('../services/webhookService'); // Service for completion callbacks
 const FileUtils = require('../utils/fileUtils'); // Utility functions for file operations
-const CONFIG = require('../config/config'); // Application configuration
-
-// Main function to process uploaded files and interact with Forge APIs
-async function processFiles(sessionId, folderPath, responsePath) {
-  // Create a new ForgeClient instance with credentials from config
-  const forgeClient = new ForgeClient(CONFIG.FORGE_CLIENT_ID, CONFIG.FORGE_CLIENT_SECRET);
-
-  try {
-    // Step 1: Get Forge access token
-    await SessionManager.updateSession(sessionId, {
-      status: 'processing',
-      message: 'Getting access token',
-      progress: 5
-    });
-
-    const accessToken = await forgeClient.getAccessToken(responsePath);
-
-    // Step 2: Create a new bucket for this session
-    await SessionManager.updateSession(sessionId, {
-      message: 'Creating bucket',
-      progress: 10
-    });
-
-    // Generate a unique bucket key for this session
-    const bucketKey = `bucket_${uuidv4().replace(/-/g, '')}`;
-    await forgeClient.createBucket(accessToken, bucketKey, responsePath);
-
-    // Step 3: Upload all files to the bucket
-    await SessionManager.updateSession(sessionId, {
-      message: 'Uploading files',
-      progress: 20
-    });
-
-    // Upload all files in the extracted folder to Forge, updating progress as files are uploaded
-    await forgeClient.uploadAllFiles(accessToken, bucketKey, folderPath, responsePath,
-      (msg) => SessionManager.updateSession(sessionId, { message: msg, progress: 25 }));
-
-    // Step 4: Detect the main assembly file (.iam)
-    await SessionManager.updateSession(sessionId, {
-      message: 'Detecting assembly file',
-      progress: 30
-    });
-
-    // Look for the main assembly file in the uploaded files
-    const assemblyFile = await FileUtils.detectAssemblyFile(folderPath);
-    if (!assemblyFile) throw new Error('No assembly (.iam) file found');
-
-    // Step 5: Link references for the assembly (e.g., .ipt files referenced by .iam)
-    await SessionManager.updateSession(sessionId, {
-      message: 'Linking references',
-      progress: 40
-    });
-
-    await forgeClient.linkReferences(accessToken, bucketKey, assemblyFile, folderPath, responsePath);
-
-    // Step 6: Start translation job (convert model to SVF2 for viewing)
-    await SessionManager.updateSession(sessionId, {
-      message: 'Starting translation',
-      progress: 50
-    });
-
-    const encodedUrn = await forgeClient.startTranslationJob(accessToken, bucketKey, assemblyFile, responsePath);
-
-    // Step 7: Wait for translation to complete (polling status)
-    await SessionManager.updateSession(sessionId, {
-      message: 'Translating model (this may take several minutes)',
-      progress: 60
-    });
-
-    await forgeClient.checkTranslationStatus(accessToken, encodedUrn, responsePath,
-      (msg) => SessionManager.updateSession(sessionId, { message: msg, progress: 65 }));
-
-    // Step 8: Retrieve metadata (viewable GUID needed for further queries)
-    await SessionManager.updateSession(sessionId, {
-      message: 'Retrieving metadata',
-      progress: 80
-    });
-
-    const guidViewable = await forgeClient.getMetadata(accessToken, encodedUrn, responsePath);
-
-    // Step 9: Retrieve object hierarchy (structure of the model)
-    await SessionManager.updateSession(sessionId, {
-      message: 'Extracting hierarchy',
-      progress: 85
-    });
-
-    await forgeClient.getObjectHierarchy(accessToken, encodedUrn, guidViewable, responsePath);
-
-    // Step 10: Retrieve all properties for all objects in the model
-    await SessionManager.updateSession(sessionId, {
-      message: 'Retrieving properties',
-      progress: 95
-    });
-
-    await forgeClient.getProperties(accessToken, encodedUrn, guidViewable, responsePath);
-
-    // Mark session as completed and store key results
-    await SessionManager.updateSession(sessionId, {
-      status: 'completed',
-      message: 'Processing completed successfully',
-      progress: 100,
-      result: {
-        accessToken,
-        encodedUrn,
-        bucketKey
-      }
-    });
-
-  } catch (error) {
-    // On error, update session status and log error
-    console.error(`Processing failed for session ${sessionId}:`, error.message);
-    await SessionManager.updateSession(sessionId, {
-      status: 'failed',
-      message: error.message,
-      error: error.message,
-      progress: 0
-    });
-  } finally {
-    // Always clean up uploaded files (remove extracted folder)
-    await FileUtils.cleanupPath(folderPath);
-  }
-}
+const ZipUtils = require('../utils/zipUtils'); // Validation and safe extraction of uploaded ZIP files
+const SecretUtils = require('../utils/secretUtils'); // Encryption of secrets kept on disk
+const ProcessingQueue = require('../services/processingQueue'); // Persistent queue that runs the processing pipelines
+const { UsageService } = require('../services/usageService'); // Daily upload quota counters
 
 /**
- * Express controller for handling file upload and starting the processing workflow.
- * - Validates the uploaded ZIP file.
- * - Creates a new session and directories.
- * - Extracts the ZIP file.
- * - Starts background processing (non-blocking).
+ * Starts processing for a ZIP archive on disk; shared by direct uploads (POST /process) and
+ * finalized resumable uploads (POST /uploads/:uploadId/complete).
+ * - Validates the optional callbackUrl / callbackSecret fields (completion webhook).
+ * - Validates every ZIP entry (ZipUtils.inspect: path traversal, symlinks, file types, entry count, size and
+ *   compression ratio; rejections list the offending entries) and the optional rootFile field (path of the
+ *   design to translate inside the ZIP).
+ * - force=true skips the translation cache, so an identical earlier upload is translated again.
+ * - Extracts the validated files (entries whose data does not match their headers are rejected with 400).
+ * - Creates a new session.
+ * - Adds the session to the processing queue (non-blocking).
  * - Responds immediately with the session ID.
+ * The ZIP file is always removed afterwards.
+ *
+ * @param {object} res - Express response object
+ * @param {object} upload - { zipPath, fileName, owner, fields: { callbackUrl, callbackSecret, rootFile, force } }
+ *   where owner is the ID of the authenticated client the session belongs to
  */
-const processUpload = async (req, res) => {
+const startProcessing = async (res, { zipPath, fileName, owner, fields = {} }) => {
   let sessionId = null;
-  let zipPath = null;
 
   try {
-    // Validate file presence
-    if (!req.file) {
-      return res.status(400).json({
-        error: 'ZIP file is required',
-        code: 'MISSING_FILE'
-      });
+    // Validate the optional completion webhook
+    const { callbackUrl, callbackSecret } = fields;
+    if (callbackUrl !== undefined) {
+      const urlError = await WebhookService.validateCallbackUrl(callbackUrl);
+      if (urlError) {
+        return res.status(400).json({
+          error: 'Invalid callback URL',
+          details: urlError,
+          code: 'INVALID_CALLBACK_URL'
+        });
+      }
     }
 
-    zipPath = req.file.path;
     sessionId = uuidv4();
 
-    // Validate ZIP file contents (ensure it's not empty and is a valid ZIP)
+    // Validate every ZIP entry before anything is extracted (paths, symlinks, file types and sizes)
+    let inspection;
     try {
-      const zip = new AdmZip(zipPath);
-      const entries = zip.getEntries();
-      if (entries.length === 0) {
-        throw new Error('ZIP file is empty');
-      }
+      inspection = ZipUtils.inspect(zipPath);
     } catch (error) {
+      if (!error.entries) throw error;
       return res.status(400).json({
-        error: 'Invalid ZIP file',
+        error: error.code === 'INVALID_ZIP' ? 'Invalid ZIP file' : 'Unsafe ZIP file',
         details: error.message,
-        code: 'INVALID_ZIP'
+        code: error.code,
+        entries: error.entries.length > 0 ? error.entries : undefined
       });
     }
-
-    // Create a new session record in the session manager
-    await SessionManager.updateSession(sessionId, {
-      status: 'queued',
-      message: 'Processing queued',
-      progress: 0,
-      fileName: req.file.originalname
-    });
+    const fileNames = inspection.files.map(file => file.path);
+
+    // Validate the optional explicit root file (path inside the ZIP)
+    const rootFile = fields.rootFile ? FileUtils.normalizeRelativePath(fields.rootFile) : undefined;
+    if (rootFile !== undefined) {
+      if (!fileNames.includes(rootFile)) {
+        return res.status(400).json({
+          error: 'Invalid root file',
+          details: `'${rootFile}' is not in the ZIP file`,
+          code: 'INVALID_ROOT_FILE'
+        });
+      }
+      if (!FileUtils.getRootFormat(rootFile)) {
+        return res.status(400).json({
+          error: 'Invalid root file',
+          details: `Unsupported root file format; supported: ${FileUtils.getSupportedRootExtensions().join(', ')}`,
+          code: 'INVALID_ROOT_FILE'
+        });
+      }
+    }
 
     // Prepare session-specific directories for uploads and responses
     const sessionFolder = `session_${sessionId}`;
@@ -183,20 +88,48 @@ const processUpload = async (req, res) => {
     await fs.mkdir(uploadPath, { recursive: true });
     await fs.mkdir(responsePath, { recursive: true });
 
-    // Extract ZIP file to the upload directory
-    const zip = new AdmZip(zipPath);
-    zip.extractAllTo(uploadPath, true);
+    // Extract the validated files to the upload directory. Entries whose data does not match their
+    // headers are only detected here, so the upload is rejected before the session exists.
+    try {
+      await ZipUtils.extract(inspection, uploadPath);
+    } catch (error) {
+      if (!error.entries) throw error;
+      await fs.rm(uploadPath, { recursive: true, force: true });
+      await fs.rm(responsePath, { recursive: true, force: true });
+      return res.status(400).json({
+        error: error.code === 'INVALID_ZIP' ? 'Invalid ZIP file' : 'Unsafe ZIP file',
+        details: error.message,
+        code: error.code,
+        entries: error.entries
+      });
+    }
 
-    // Start background processing (non-blocking, does not delay response)
-    processFiles(sessionId, uploadPath, responsePath).catch(error => {
-      console.error(`Background processing failed for ${sessionId}:`, error.message);
+    // The upload is accepted: count it against the owner's daily quota (checked before the upload by requireQuota)
+    await UsageService.record(owner, 'uploads');
+
+    // Create a new session record in the session manager
+    await SessionManager.updateSession(sessionId, {
+      status: 'queued',
+      message: 'Processing queued',
+      progress: 0,
+      owner,
+      fileName,
+      rootFile,
+      // Form fields arrive as strings; JSON bodies (resumable uploads) may send a boolean
+      force: fields.force === true || fields.force === 'true' || undefined,
+      // Webhook record; the secret is stored encrypted, only used for signing and never returned by the API
+      webhook: callbackUrl ? { url: callbackUrl, secret: SecretUtils.encrypt(callbackSecret) || null, status: 'waiting', deliveries: [] } : undefined
     });
 
+    // Queue background processing (starts right away if a pipeline slot is free)
+    const queuePosition = await ProcessingQueue.enqueue(sessionId, uploadPath, responsePath);
+
     // Respond immediately with session ID so client can poll for status
     res.json({
       success: true,
-      message: 'Processing started',
-      sessionId
+      message: queuePosition ? 'Processing queued' : 'Processing started',
+      sessionId,
+      queuePosition
     });
 
   } catch (error) {
@@ -218,10 +151,29 @@ const processUpload = async (req, res) => {
     });
   } finally {
     // Always clean up the uploaded ZIP file (even on error)
-    if (zipPath) {
-      await FileUtils.cleanupPath(zipPath);
-    }
+    await FileUtils.cleanupPath(zipPath);
   }
 };
 
-module.exports = { processUpload };
\ No newline at end of file
+/**
+ * Express controller for POST /process: validates that a ZIP file was uploaded and starts processing it.
+ * Optional form fields: callbackUrl, callbackSecret, rootFile and force (see startProcessing).
+ */
+const processUpload = async (req, res) => {
+  // Validate file presence
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'ZIP file is required',
+      code: 'MISSING_FILE'
+    });
+  }
+
+  await startProcessing(res, {
+    zipPath: req.file.path,
+    fileName: req.file.originalname,
+    owner: req.client.id,
+    fields: req.body || {}
+  });
+};
+
+module.exports = { processUpload, startProcessing };
\ No newline at end of file
@@ -0,0 +1,34 @@
+const ProcessingQueue = require('../services/processingQueue');
+const SessionManager = require('../services/sessionService');
+const { canAccess } = require('../middleware/authMiddleware');
+
+/**
+ * Controller for GET /queue.
+ * Responds with the processing queue depth, running pipelines and wait time statistics.
+ * Admins see every job; other clients only see the jobs of their own sessions (the counts cover all jobs).
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getQueue = async (req, res) => {
+  try {
+    const stats = await ProcessingQueue.getStats();
+
+    if (req.client.role !== 'admin') {
+      const sessions = await Promise.all(stats.jobs.map(job => SessionManager.getSession(job.sessionId)));
+      stats.jobs = stats.jobs.filter((job, index) => canAccess(req.client, sessions[index]));
+    }
+
+    res.json(stats);
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Queue endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to get queue status',
+      details: error.message,
+      code: 'QUEUE_ERROR'
+    });
+  }
+};
+
+module.exports = { getQueue };
@@ -0,0 +1,361 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ForgeClient = require('../services/forgeService');
+const SessionManager = require('../services/sessionService');
+const ProcessingQueue = require('../services/processingQueue');
+const WebhookService = require('../services/webhookService');
+const ModelDataService = require('../services/modelDataService');
+const CONFIG = require('../config/config');
+const { getResumeStep, PIPELINE_STEPS, SOURCE_FILE_STEPS } = require('../services/processingService');
+const FileUtils = require('../utils/fileUtils');
+
+/**
+ * Controller for POST /sessions/:sessionId/retry.
+ * Re-queues a failed session so processing resumes from the first step that has not completed,
+ * reusing the bucket, uploaded objects and URN recorded by earlier runs.
+ * - Body (optional): { fromStep } to redo a step and everything after it
+ *   (e.g. "startTranslation" to request a fresh translation job).
+ * - Steps that read the source files can only be rerun while those files are still kept.
+ *
+ * @param {object} req - Express request object (expects req.params.sessionId)
+ * @param {object} res - Express response object
+ */
+const retrySession = async (req, res) => {
+  try {
+    const sessionId = req.params.sessionId;
+    const { fromStep } = req.body || {};
+
+    // Validate session ID format (must be alphanumeric, dashes allowed)
+    if (!sessionId || !sessionId.match(/^[a-f0-9-]+$/i)) {
+      return res.status(400).json({
+        error: 'Invalid session ID format',
+        code: 'INVALID_SESSION_ID'
+      });
+    }
+
+    if (fromStep !== undefined && !PIPELINE_STEPS.includes(fromStep)) {
+      return res.status(400).json({
+        error: 'Invalid step',
+        details: `fromStep must be one of: ${PIPELINE_STEPS.join(', ')}`,
+        code: 'INVALID_STEP'
+      });
+    }
+
+    // Retrieve session data using SessionManager
+    const session = await SessionManager.getSession(sessionId);
+
+    // If session not found, return 404 error
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    // Only failed sessions can be retried
+    if (session.status !== 'failed') {
+      return res.status(409).json({
+        error: 'Only failed sessions can be retried',
+        details: `Session status is '${session.status}'`,
+        code: 'SESSION_NOT_RETRYABLE'
+      });
+    }
+
+    // Forget the requested step and everything after it
+    const pipeline = { completedSteps: [], ...(session.pipeline || {}) };
+    if (fromStep) {
+      const keep = PIPELINE_STEPS.slice(0, PIPELINE_STEPS.indexOf(fromStep));
+      pipeline.completedSteps = pipeline.completedSteps.filter(step => keep.includes(step));
+    }
+    const resumeStep = getResumeStep({ pipeline });
+
+    // Steps that read the source files need them to still be on disk
+    const sessionFolder = `session_${sessionId}`;
+    const uploadPath = path.join('uploads', sessionFolder);
+    const responsePath = path.join('responses', sessionFolder);
+    const filesAvailable = await fs.access(uploadPath).then(() => true, () => false);
+    if (SOURCE_FILE_STEPS.includes(resumeStep) && !filesAvailable) {
+      return res.status(409).json({
+        error: 'Source files are no longer available',
+        details: `Resuming from '${resumeStep}' requires the uploaded files; upload the model again`,
+        code: 'SOURCE_FILES_UNAVAILABLE'
+      });
+    }
+
+    // Queue the session only if it is still failed, so of concurrent retries only one goes ahead
+    const queued = await SessionManager.updateSessionStatus(sessionId, 'failed', current => ({
+      status: 'queued',
+      message: resumeStep ? `Retry queued (resuming from ${resumeStep})` : 'Retry queued',
+      progress: 0,
+      error: undefined,
+      retryCount: (current.retryCount || 0) + 1,
+      pipeline
+    }));
+    if (!queued) {
+      const current = await SessionManager.getSession(sessionId);
+      return res.status(409).json({
+        error: 'Only failed sessions can be retried',
+        details: `Session status is '${current?.status}'`,
+        code: 'SESSION_NOT_RETRYABLE'
+      });
+    }
+
+    let queuePosition;
+    try {
+      queuePosition = await ProcessingQueue.enqueue(sessionId, uploadPath, responsePath);
+    } catch (error) {
+      if (error.code !== 'ALREADY_QUEUED') throw error;
+      // The failed run has not left the queue yet; put the session back as it was
+      await SessionManager.updateSession(sessionId, {
+        status: session.status,
+        message: session.message,
+        progress: session.progress,
+        error: session.error,
+        retryCount: session.retryCount,
+        pipeline: session.pipeline
+      });
+      return res.status(409).json({
+        error: 'Session is still being processed',
+        details: error.message,
+        code: 'SESSION_BUSY'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: queuePosition ? 'Retry queued' : 'Retry started',
+      sessionId,
+      resumeStep,
+      queuePosition
+    });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Retry endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to retry session',
+      details: error.message,
+      code: 'RETRY_ERROR'
+    });
+  }
+};
+
+/**
+ * Deletes the session's Forge bucket (and with it every uploaded object) and removes its local
+ * files: the kept source files in uploads/ and everything in the response folder except
+ * session.json, which stays so the cancellation remains visible via /status.
+ * @param {string} sessionId - The unique session identifier.
+ * @param {object} session - The session data.
+ * @returns {Promise<object>} - Cleanup summary ({ bucketKey, bucketDeleted, bucketError? }).
+ */
+async function releaseResources(sessionId, session) {
+  const cleanup = { bucketKey: session.pipeline?.bucketKey || session.result?.bucketKey || null, bucketDeleted: false };
+
+  // Remote cleanup; a failure here is reported but does not stop the local cleanup
+  if (cleanup.bucketKey) {
+    try {
+      const forgeClient = new ForgeClient(CONFIG.FORGE_CLIENT_ID, CONFIG.FORGE_CLIENT_SECRET);
+      await forgeClient.deleteBucket(cleanup.bucketKey);
+      cleanup.bucketDeleted = true;
+    } catch (error) {
+      console.error(`Failed to delete bucket for session ${sessionId}:`, error.message);
+      cleanup.bucketError = error.message;
+    }
+  }
+
+  // Local cleanup
+  const sessionFolder = `session_${sessionId}`;
+  await fs.rm(path.join('uploads', sessionFolder), { recursive: true, force: true });
+  const responsePath = path.join('responses', sessionFolder);
+  const entries = await fs.readdir(responsePath).catch(() => []);
+  for (const entry of entries) {
+    if (entry !== 'session.json') {
+      await fs.rm(path.join(responsePath, entry), { recursive: true, force: true });
+    }
+  }
+  // The model data went with the response folder
+  ModelDataService.evict(sessionId);
+
+  return cleanup;
+}
+
+/**
+ * Controller for DELETE /sessions/:sessionId and POST /sessions/:sessionId/cancel.
+ * - Removes a queued session from the queue, or aborts a running pipeline (pending Forge
+ *   requests and polling loops stop immediately).
+ * - Deletes the Forge bucket and objects, and the local upload and response files.
+ * - Marks the session 'cancelled'.
+ * Completed and failed sessions get the same remote and local cleanup. Cancelling an already
+ * cancelled session repeats the cleanup, which is harmless.
+ *
+ * @param {object} req - Express request object (expects req.params.sessionId)
+ * @param {object} res - Express response object
+ */
+const cancelSession = async (req, res) => {
+  try {
+    const sessionId = req.params.sessionId;
+
+    // Validate session ID format (must be alphanumeric, dashes allowed)
+    if (!sessionId || !sessionId.match(/^[a-f0-9-]+$/i)) {
+      return res.status(400).json({
+        error: 'Invalid session ID format',
+        code: 'INVALID_SESSION_ID'
+      });
+    }
+
+    // If session not found, return 404 error
+    if (!(await SessionManager.getSession(sessionId))) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    // Stop processing first, so nothing writes to the session while it is cleaned up
+    const stoppedJob = await ProcessingQueue.cancel(sessionId);
+
+    // Re-read the session: the pipeline may have recorded its bucket before stopping
+    const session = await SessionManager.getSession(sessionId);
+    const previousStatus = session.status;
+    const cleanup = await releaseResources(sessionId, session);
+
+    await SessionManager.updateSession(sessionId, {
+      status: 'cancelled',
+      message: 'Session cancelled',
+      progress: 0,
+      queuePosition: undefined,
+      result: undefined,
+      cancelledAt: new Date().toISOString(),
+      cleanup
+    });
+
+    // Tell the callback URL about sessions that were still being processed
+    if (stoppedJob) {
+      WebhookService.notify(sessionId).catch(error => {
+        console.error(`Webhook notification failed for ${sessionId}:`, error.message);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session cancelled',
+      sessionId,
+      previousStatus,
+      cleanup
+    });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Cancel endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to cancel session',
+      details: error.message,
+      code: 'CANCEL_ERROR'
+    });
+  }
+};
+
+/**
+ * Controller for POST /sessions/:sessionId/root.
+ * Resumes a session waiting in 'awaiting_root_selection' with the root file chosen by the client.
+ * - Body: { rootFile } - one of the paths listed in the session's rootCandidates.
+ *
+ * @param {object} req - Express request object (expects req.params.sessionId)
+ * @param {object} res - Express response object
+ */
+const selectRootFile = async (req, res) => {
+  try {
+    const sessionId = req.params.sessionId;
+    const rootFile = req.body?.rootFile ? FileUtils.normalizeRelativePath(req.body.rootFile) : null;
+
+    // Validate session ID format (must be alphanumeric, dashes allowed)
+    if (!sessionId || !sessionId.match(/^[a-f0-9-]+$/i)) {
+      return res.status(400).json({
+        error: 'Invalid session ID format',
+        code: 'INVALID_SESSION_ID'
+      });
+    }
+
+    // Retrieve session data using SessionManager
+    const session = await SessionManager.getSession(sessionId);
+
+    // If session not found, return 404 error
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (session.status !== 'awaiting_root_selection') {
+      return res.status(409).json({
+        error: 'Session is not waiting for a root file',
+        details: `Session status is '${session.status}'`,
+        code: 'ROOT_SELECTION_NOT_PENDING'
+      });
+    }
+
+    const candidates = session.rootCandidates || [];
+    if (!rootFile || !candidates.some(candidate => candidate.path === rootFile)) {
+      return res.status(400).json({
+        error: 'Invalid root file',
+        details: `rootFile must be one of: ${candidates.map(candidate => candidate.path).join(', ')}`,
+        code: 'INVALID_ROOT_FILE'
+      });
+    }
+
+    // Queue the session only if it is still waiting, so of concurrent selections only one goes ahead
+    const queued = await SessionManager.updateSessionStatus(sessionId, 'awaiting_root_selection', () => ({
+      status: 'queued',
+      message: `Processing queued with root file ${rootFile}`,
+      rootFile
+    }));
+    if (!queued) {
+      const current = await SessionManager.getSession(sessionId);
+      return res.status(409).json({
+        error: 'Session is not waiting for a root file',
+        details: `Session status is '${current?.status}'`,
+        code: 'ROOT_SELECTION_NOT_PENDING'
+      });
+    }
+
+    const sessionFolder = `session_${sessionId}`;
+    let queuePosition;
+    try {
+      queuePosition = await ProcessingQueue.enqueue(
+        sessionId,
+        path.join('uploads', sessionFolder),
+        path.join('responses', sessionFolder)
+      );
+    } catch (error) {
+      if (error.code !== 'ALREADY_QUEUED') throw error;
+      // The run that asked for a root file has not left the queue yet; keep the session waiting
+      await SessionManager.updateSession(sessionId, {
+        status: session.status,
+        message: session.message,
+        rootFile: session.rootFile
+      });
+      return res.status(409).json({
+        error: 'Session is still being processed',
+        details: error.message,
+        code: 'SESSION_BUSY'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: queuePosition ? 'Processing queued' : 'Processing started',
+      sessionId,
+      rootFile,
+      queuePosition
+    });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Root selection endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to select root file',
+      details: error.message,
+      code: 'ROOT_SELECTION_ERROR'
+    });
+  }
+};
+
+module.exports = { retrySession, cancelSession, selectRootFile };
@@ -1,4 +1,45 @@
 const SessionManager = require('../services/sessionService');
+const SessionEvents = require('../services/sessionEvents');
+const WebhookService = require('../services/webhookService');
+const { SORT_FIELDS } = require('../services/sessionIndex');
+const CONFIG = require('../config/config');
+
+// Session statuses accepted by the GET /sessions status filter
+const SESSION_STATUSES = ['queued', 'processing', 'awaiting_root_selection', 'completed', 'failed', 'cancelled'];
+
+// Largest page a client may request from GET /sessions
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Builds the status view of a session returned by GET /status/:sessionId and GET /sessions.
+ * Also accepts session index entries, which hold the same fields.
+ * @param {object} session - The session data (or its index entry).
+ * @returns {object} - Status response body.
+ */
+function describeSession(session) {
+  return {
+    status: session.status,         // Current status of the session (e.g., 'processing', 'completed')
+    message: session.message,       // Optional message about the session
+    progress: session.progress || 0, // Progress value (default to 0 if not set)
+    queuePosition: session.queuePosition, // Position in the processing queue while status is 'queued'
+    rootFile: session.pipeline?.rootFile || session.rootFile, // Root design file being translated
+    rootCandidates: session.rootCandidates, // Possible root files while status is 'awaiting_root_selection'
+    preflight: session.preflight,   // Duplicate names, missing references and unreferenced files found before upload
+    result: session.result ? {      // Result data if available (never an access token; viewers use POST /auth)
+      encodedUrn: session.result.encodedUrn,
+      bucketKey: session.result.bucketKey
+    } : undefined,
+    cache: session.cache,           // Whether an earlier translation of identical files was reused
+    error: session.error,           // Any error information if present
+    pipeline: session.pipeline ? {  // Completed pipeline steps and the step that failed, if any
+      completedSteps: session.pipeline.completedSteps,
+      failedStep: session.pipeline.failedStep
+    } : undefined,
+    webhook: WebhookService.toPublic(session.webhook), // Completion webhook delivery status, if configured
+    createdAt: session.createdAt,   // Timestamp when session was created
+    updatedAt: session.updatedAt    // Timestamp when session was last updated
+  };
+}
 
 /**
  * Controller function to handle GET requests for session status.
@@ -32,15 +73,7 @@ const getStatus = async (req, res) => {
     }
 
     // Respond with session status and relevant details
-    res.json({
-      status: session.status,         // Current status of the session (e.g., 'processing', 'completed')
-      message: session.message,       // Optional message about the session
-      progress: session.progress || 0, // Progress value (default to 0 if not set)
-      result: session.result,         // Result data if available
-      error: session.error,           // Any error information if present
-      createdAt: session.createdAt,   // Timestamp when session was created
-      updatedAt: session.updatedAt    // Timestamp when session was last updated
-    });
+    res.json(describeSession(session));
   } catch (error) {
     // Log error and respond with 500 Internal Server Error
     console.error('Status endpoint error:', error.message);
@@ -52,4 +85,232 @@ const getStatus = async (req, res) => {
   }
 };
 
-module.exports = { getStatus };
\ No newline at end of file
+/**
+ * Controller function for GET /status/:sessionId/stream (Server-Sent Events).
+ * Pushes an event whenever the session's status, message or progress changes and closes
+ * the stream after a terminal 'completed', 'failed' or 'cancelled' event. Any number of clients may
+ * listen to the same session.
+ * - New connections first receive a 'status' snapshot of the current state.
+ * - Reconnecting clients that send Last-Event-ID (or ?lastEventId=) receive the events they
+ *   missed; if those are no longer buffered, they receive a fresh snapshot instead.
+ *
+ * @param {object} req - Express request object (expects req.params.sessionId)
+ * @param {object} res - Express response object
+ */
+const streamStatus = async (req, res) => {
+  try {
+    const sessionId = req.params.sessionId;
+
+    // Validate session ID format (must be alphanumeric, dashes allowed)
+    if (!sessionId || !sessionId.match(/^[a-f0-9-]+$/i)) {
+      return res.status(400).json({
+        error: 'Invalid session ID format',
+        code: 'INVALID_SESSION_ID'
+      });
+    }
+
+    // If session not found, return 404 error
+    if (!(await SessionManager.getSession(sessionId))) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    // Open the event stream
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    let lastSentId = 0;
+    let ready = false;
+    let closed = false;
+    const pending = [];
+    let heartbeat = null;
+    let unsubscribe = () => { };
+
+    // Stop listening and end the response (once)
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    // Write an event unless the client already has it; end the stream after a terminal event
+    const deliver = (event) => {
+      if (closed || event.id <= lastSentId) return;
+      res.write(`id: ${event.id}\nevent: ${event.event}\ndata: ${JSON.stringify(event.data)}\n\n`);
+      lastSentId = event.id;
+      if (SessionEvents.isTerminal(event.data.status)) close();
+    };
+
+    // Sends the current session state as a snapshot event
+    const sendSnapshot = async () => {
+      // Reserve the ID before reading, so later changes always get higher IDs
+      const id = SessionEvents.nextId(sessionId);
+      const session = await SessionManager.getSession(sessionId);
+      if (!session) return close();
+      deliver({
+        id,
+        event: SessionEvents.isTerminal(session.status) ? session.status : 'status',
+        data: SessionEvents.toPayload(session)
+      });
+    };
+
+    // Subscribe before catching up, queueing live events until the catch-up is written
+    unsubscribe = SessionEvents.subscribe(sessionId, (event) => {
+      if (ready) deliver(event);
+      else pending.push(event);
+    });
+    req.on('close', close);
+
+    // Catch up: replay missed events for reconnecting clients, otherwise send a snapshot
+    const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+    const missed = lastEventId ? SessionEvents.getEventsSince(sessionId, lastEventId) : null;
+    if (missed && missed.complete) {
+      lastSentId = lastEventId;
+      missed.events.forEach(deliver);
+    } else {
+      await sendSnapshot();
+    }
+
+    ready = true;
+    pending.forEach(deliver);
+
+    // A finished session whose terminal event the client already has gets it again, then the stream closes
+    if (!closed) {
+      const session = await SessionManager.getSession(sessionId);
+      if (session && SessionEvents.isTerminal(session.status)) await sendSnapshot();
+    }
+
+    // Keep the connection alive through proxies
+    if (!closed) {
+      heartbeat = setInterval(() => res.write(': keep-alive\n\n'), CONFIG.SSE_HEARTBEAT_INTERVAL);
+    }
+  } catch (error) {
+    // Log error; respond with 500 if the stream has not started yet
+    console.error('Status stream error:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to stream session status',
+        details: error.message,
+        code: 'STATUS_ERROR'
+      });
+    } else {
+      res.end();
+    }
+  }
+};
+
+/**
+ * Controller for GET /sessions.
+ * Lists sessions from the session store's index (see SessionIndex), newest first by default.
+ * Clients see their own sessions; admins see every session and may filter by owner.
+ * - Query (all optional):
+ *   - status: one status or a comma-separated list (e.g. 'failed,cancelled')
+ *   - fileName: case-insensitive part of the uploaded file name
+ *   - from, to: creation time range (ISO 8601; from inclusive, to exclusive)
+ *   - owner: client ID (admins only)
+ *   - sort: createdAt (default), updatedAt, fileName or status; order: desc (default) or asc
+ *   - page (default 1), pageSize (default 20, at most 100)
+ * - Each session has the GET /status/:sessionId fields plus sessionId, owner, fileName,
+ *   animationCount and hasAnimations.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listSessions = async (req, res) => {
+  try {
+    const { status, fileName, owner, from, to, sort = 'createdAt', order = 'desc' } = req.query;
+
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const pageSize = req.query.pageSize === undefined ? 20 : Number(req.query.pageSize);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: 'Invalid pagination',
+        details: `page must be a positive integer and pageSize an integer from 1 to ${MAX_PAGE_SIZE}`,
+        code: 'INVALID_PAGINATION'
+      });
+    }
+
+    const statuses = status === undefined ? undefined : String(status).split(',').map(value => value.trim());
+    if (statuses && statuses.some(value => !SESSION_STATUSES.includes(value))) {
+      return res.status(400).json({
+        error: 'Invalid status filter',
+        details: `status must be one or more of: ${SESSION_STATUSES.join(', ')}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    const range = {};
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) continue;
+      range[name] = new Date(String(value));
+      if (Number.isNaN(range[name].getTime())) {
+        return res.status(400).json({
+          error: 'Invalid date range',
+          details: `${name} must be an ISO 8601 date or timestamp`,
+          code: 'INVALID_DATE_RANGE'
+        });
+      }
+    }
+
+    if (!SORT_FIELDS.includes(sort) || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        error: 'Invalid sort',
+        details: `sort must be one of: ${SORT_FIELDS.join(', ')}; order must be asc or desc`,
+        code: 'INVALID_SORT'
+      });
+    }
+
+    // Clients only ever see their own sessions
+    if (owner !== undefined && owner !== req.client.id && req.client.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Admin role required',
+        details: 'Only admins can list the sessions of other clients',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const { total, entries } = await SessionManager.querySessions({
+      owner: req.client.role === 'admin' ? owner : req.client.id,
+      statuses,
+      fileName: fileName === undefined ? undefined : String(fileName),
+      from: range.from,
+      to: range.to,
+      sort,
+      order,
+      offset: (page - 1) * pageSize,
+      limit: pageSize
+    });
+
+    res.json({
+      sessions: entries.map(entry => ({
+        sessionId: entry.id,
+        owner: entry.owner,
+        fileName: entry.fileName,
+        ...describeSession(entry),
+        animationCount: entry.animationCount || 0,
+        hasAnimations: entry.animationCount > 0
+      })),
+      pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) }
+    });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Session list endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      details: error.message,
+      code: 'SESSION_LIST_ERROR'
+    });
+  }
+};
+
+module.exports = { getStatus, streamStatus, listSessions };
\ No newline at end of file
@@ -0,0 +1,369 @@
+const CONFIG = require('../config/config');
+const ResumableUploads = require('../services/resumableUploadService'); // Storage for chunked uploads
+const WebhookService = require('../services/webhookService'); // Service for completion callbacks
+const SecretUtils = require('../utils/secretUtils'); // Encryption of secrets kept on disk
+const ZipUtils = require('../utils/zipUtils'); // Largest archive that can be inspected
+const { startProcessing } = require('./processController'); // Shared processing start for ZIP archives
+const { canAccess } = require('../middleware/authMiddleware'); // Ownership checks
+
+// Hex-encoded SHA-256 digest
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+/**
+ * Looks up the upload named in req.params.uploadId, answering 400/404 itself when it is invalid.
+ * @param {object} req - Express request object (expects req.params.uploadId)
+ * @param {object} res - Express response object
+ * @returns {Promise<object|null>} - The upload metadata, or null if a response was sent.
+ */
+async function findUpload(req, res) {
+  const uploadId = req.params.uploadId;
+
+  // Validate upload ID format (must be alphanumeric, dashes allowed)
+  if (!uploadId || !uploadId.match(/^[a-f0-9-]+$/i)) {
+    res.status(400).json({
+      error: 'Invalid upload ID format',
+      code: 'INVALID_UPLOAD_ID'
+    });
+    return null;
+  }
+
+  // Uploads of other clients are reported as not found
+  const upload = await ResumableUploads.get(uploadId);
+  if (!upload || !canAccess(req.client, upload)) {
+    res.status(404).json({
+      error: 'Upload not found',
+      details: 'The upload does not exist or has expired',
+      code: 'UPLOAD_NOT_FOUND'
+    });
+    return null;
+  }
+  return upload;
+}
+
+/**
+ * Controller for POST /uploads.
+ * Starts a resumable upload for a ZIP archive too large (or a connection too unreliable) for POST /process.
+ * - Body: { fileName, totalSize, chunkSize?, callbackUrl?, callbackSecret?, rootFile?, force? }
+ *   The optional fields are the same as the POST /process form fields and apply once the upload completes.
+ * - Responds with the upload ID, the chunk size and the number of chunks to send.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const createUpload = async (req, res) => {
+  try {
+    const { fileName, totalSize, chunkSize = CONFIG.RESUMABLE_CHUNK_SIZE, callbackUrl, callbackSecret, rootFile, force } = req.body || {};
+
+    if (typeof fileName !== 'string' || !fileName.toLowerCase().endsWith('.zip')) {
+      return res.status(400).json({
+        error: 'Invalid file name',
+        details: 'fileName must name a .zip file',
+        code: 'INVALID_FILE_NAME'
+      });
+    }
+
+    // Refuse archives that could not be opened once assembled before any chunk is sent
+    const maxSize = Math.min(CONFIG.RESUMABLE_UPLOAD_MAX_SIZE, ZipUtils.getMaxArchiveSize());
+    if (!Number.isInteger(totalSize) || totalSize <= 0 || totalSize > maxSize) {
+      return res.status(400).json({
+        error: 'Invalid total size',
+        details: `totalSize must be a whole number of bytes between 1 and ${maxSize}`,
+        code: 'INVALID_TOTAL_SIZE'
+      });
+    }
+
+    if (!Number.isInteger(chunkSize) || chunkSize < CONFIG.RESUMABLE_MIN_CHUNK_SIZE || chunkSize > CONFIG.RESUMABLE_MAX_CHUNK_SIZE) {
+      return res.status(400).json({
+        error: 'Invalid chunk size',
+        details: `chunkSize must be between ${CONFIG.RESUMABLE_MIN_CHUNK_SIZE} and ${CONFIG.RESUMABLE_MAX_CHUNK_SIZE} bytes`,
+        code: 'INVALID_CHUNK_SIZE'
+      });
+    }
+
+    // Reject a bad callback URL now rather than after the whole archive has been sent
+    if (callbackUrl !== undefined) {
+      const urlError = await WebhookService.validateCallbackUrl(callbackUrl);
+      if (urlError) {
+        return res.status(400).json({
+          error: 'Invalid callback URL',
+          details: urlError,
+          code: 'INVALID_CALLBACK_URL'
+        });
+      }
+    }
+
+    const upload = await ResumableUploads.create({
+      fileName,
+      totalSize,
+      chunkSize,
+      owner: req.client.id,
+      // The callback secret waits in upload.json until completion, so it is stored encrypted
+      fields: { callbackUrl, callbackSecret: SecretUtils.encrypt(callbackSecret), rootFile, force }
+    });
+
+    res.status(201).json({
+      success: true,
+      uploadId: upload.uploadId,
+      chunkSize: upload.chunkSize,
+      totalChunks: upload.totalChunks,
+      expiresAt: upload.expiresAt
+    });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Upload create endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to start upload',
+      details: error.message,
+      code: 'UPLOAD_ERROR'
+    });
+  }
+};
+
+/**
+ * Controller for PUT /uploads/:uploadId/chunks/:index.
+ * Stores one chunk; the request body is the raw chunk data (Content-Type: application/octet-stream).
+ * - Chunks may be sent in any order, in parallel, and re-sent (the last complete copy wins).
+ * - Every chunk but the last must be exactly chunkSize bytes. A chunk whose Content-Length differs
+ *   is rejected up front, and one that turns out larger is rejected as soon as it passes the size.
+ * - Optional X-Chunk-Sha256 header: hex SHA-256 of the chunk, verified before it is accepted.
+ *
+ * @param {object} req - Express request object (expects req.params.uploadId and req.params.index)
+ * @param {object} res - Express response object
+ */
+const uploadChunk = async (req, res) => {
+  try {
+    const upload = await findUpload(req, res);
+    if (!upload) return;
+
+    const index = /^\d+$/.test(req.params.index) ? parseInt(req.params.index, 10) : -1;
+    if (index < 0 || index >= upload.totalChunks) {
+      return res.status(400).json({
+        error: 'Invalid chunk index',
+        details: `index must be between 0 and ${upload.totalChunks - 1}`,
+        code: 'INVALID_CHUNK_INDEX'
+      });
+    }
+
+    if (upload.status !== 'uploading') {
+      return res.status(409).json({
+        error: 'Upload is being finalized',
+        code: 'UPLOAD_FINALIZING'
+      });
+    }
+
+    const expectedSha256 = req.get('X-Chunk-Sha256') || null;
+    if (expectedSha256 && !SHA256_PATTERN.test(expectedSha256)) {
+      return res.status(400).json({
+        error: 'Invalid chunk checksum',
+        details: 'X-Chunk-Sha256 must be a hex-encoded SHA-256 digest',
+        code: 'INVALID_CHECKSUM'
+      });
+    }
+
+    // A chunk announcing the wrong size is rejected before any of it is read
+    const expectedSize = ResumableUploads.getChunkSize(upload, index);
+    const contentLength = req.get('Content-Length');
+    if (contentLength !== undefined && Number(contentLength) !== expectedSize) {
+      return res.status(400).json({
+        error: 'Chunk rejected',
+        details: `Chunk ${index} must be ${expectedSize} bytes, Content-Length is ${contentLength}`,
+        code: 'CHUNK_SIZE_MISMATCH'
+      });
+    }
+
+    let chunk;
+    try {
+      chunk = await ResumableUploads.writeChunk(upload, index, req, expectedSha256);
+    } catch (error) {
+      if (error.code === 'CHUNK_SIZE_MISMATCH' || error.code === 'CHUNK_CHECKSUM_MISMATCH') {
+        // The rest of an oversized chunk is not read; closing the connection stops the client sending it
+        if (!req.complete) res.set('Connection', 'close');
+        return res.status(400).json({
+          error: 'Chunk rejected',
+          details: error.message,
+          code: error.code
+        });
+      }
+      // The upload was completed or deleted while the chunk arrived
+      if (error.code === 'UPLOAD_FINALIZING') {
+        return res.status(409).json({
+          error: 'Upload is being finalized',
+          code: 'UPLOAD_FINALIZING'
+        });
+      }
+      if (error.code === 'UPLOAD_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Upload not found',
+          details: 'The upload does not exist or has expired',
+          code: 'UPLOAD_NOT_FOUND'
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      uploadId: upload.uploadId,
+      index,
+      size: chunk.size,
+      sha256: chunk.sha256,
+      expiresAt: upload.expiresAt
+    });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Upload chunk endpoint error:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to store chunk',
+        details: error.message,
+        code: 'UPLOAD_ERROR'
+      });
+    }
+  }
+};
+
+/**
+ * Controller for GET /uploads/:uploadId.
+ * Reports which chunks (and byte ranges) have been received, so an interrupted client knows what to re-send.
+ *
+ * @param {object} req - Express request object (expects req.params.uploadId)
+ * @param {object} res - Express response object
+ */
+const getUpload = async (req, res) => {
+  try {
+    const upload = await findUpload(req, res);
+    if (!upload) return;
+
+    res.json(await ResumableUploads.describe(upload));
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Upload status endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to get upload status',
+      details: error.message,
+      code: 'UPLOAD_ERROR'
+    });
+  }
+};
+
+/**
+ * Controller for POST /uploads/:uploadId/complete.
+ * Assembles the chunks into the ZIP archive, verifies its checksum and starts processing it
+ * exactly like POST /process (the response is the same: { sessionId, queuePosition }).
+ * - Body: { checksum } - hex SHA-256 of the complete archive.
+ * - On a checksum mismatch the chunks are kept, so the client can re-send the bad ones and retry.
+ *
+ * @param {object} req - Express request object (expects req.params.uploadId)
+ * @param {object} res - Express response object
+ */
+const completeUpload = async (req, res) => {
+  let upload = null;
+
+  try {
+    upload = await findUpload(req, res);
+    if (!upload) return;
+
+    const checksum = req.body?.checksum;
+    if (typeof checksum !== 'string' || !SHA256_PATTERN.test(checksum)) {
+      return res.status(400).json({
+        error: 'Invalid checksum',
+        details: 'checksum must be the hex-encoded SHA-256 digest of the complete archive',
+        code: 'INVALID_CHECKSUM'
+      });
+    }
+
+    // Claim the upload, which blocks further chunks while the archive is assembled; of two
+    // concurrent completions only one gets past this point
+    const claimed = await ResumableUploads.updateStatus(upload.uploadId, 'uploading', 'finalizing');
+    if (!claimed) {
+      return res.status(409).json({
+        error: 'Upload is already being finalized',
+        code: 'UPLOAD_FINALIZING'
+      });
+    }
+    upload = claimed;
+
+    const { missingChunks } = await ResumableUploads.describe(upload);
+    if (missingChunks.length > 0) {
+      await ResumableUploads.updateStatus(upload.uploadId, 'finalizing', 'uploading');
+      return res.status(409).json({
+        error: 'Upload is incomplete',
+        details: `Missing chunks: ${missingChunks.join(', ')}`,
+        missingChunks,
+        code: 'UPLOAD_INCOMPLETE'
+      });
+    }
+
+    let zipPath;
+    try {
+      zipPath = await ResumableUploads.assemble(upload, checksum);
+    } catch (error) {
+      await ResumableUploads.updateStatus(upload.uploadId, 'finalizing', 'uploading');
+
+      if (error.code === 'CHECKSUM_MISMATCH') {
+        return res.status(400).json({
+          error: 'Checksum mismatch',
+          details: 'The assembled archive does not match the checksum; verify the chunks and complete again',
+          code: 'CHECKSUM_MISMATCH'
+        });
+      }
+      throw error;
+    }
+
+    // The archive now lives at zipPath (removed by startProcessing), so the chunks can go
+    await ResumableUploads.remove(upload.uploadId);
+    await startProcessing(res, {
+      zipPath,
+      fileName: upload.fileName,
+      owner: upload.owner,
+      fields: { ...upload.fields, callbackSecret: SecretUtils.decrypt(upload.fields.callbackSecret) }
+    });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Upload complete endpoint error:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to complete upload',
+        details: error.message,
+        code: 'UPLOAD_ERROR'
+      });
+    }
+  }
+};
+
+/**
+ * Controller for DELETE /uploads/:uploadId.
+ * Abandons an upload and deletes the chunks received so far.
+ *
+ * @param {object} req - Express request object (expects req.params.uploadId)
+ * @param {object} res - Express response object
+ */
+const deleteUpload = async (req, res) => {
+  try {
+    const upload = await findUpload(req, res);
+    if (!upload) return;
+
+    if (!(await ResumableUploads.removeIf(upload.uploadId, 'uploading'))) {
+      return res.status(409).json({
+        error: 'Upload is being finalized',
+        code: 'UPLOAD_FINALIZING'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Upload deleted',
+      uploadId: upload.uploadId
+    });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Upload delete endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to delete upload',
+      details: error.message,
+      code: 'UPLOAD_ERROR'
+    });
+  }
+};
+
+module.exports = { createUpload, uploadChunk, getUpload, completeUpload, deleteUpload };
@@ -0,0 +1,81 @@
+const { UsageService } = require('../services/usageService');
+const { ApiKeyStore } = require('../services/apiKeyStore');
+
+/**
+ * Controller for GET /usage.
+ * Responds with the caller's usage today against its daily quotas, its current rate limit windows
+ * and its usage on earlier days.
+ * - Query: days? (earlier days to include, 0-30, default 7); admins may add clientId to see another client
+ *   (quotas overridden on that client's API keys are taken from its first active key).
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getUsage = async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > 30) {
+      return res.status(400).json({
+        error: 'Invalid days',
+        details: 'days must be an integer from 0 to 30',
+        code: 'INVALID_DAYS'
+      });
+    }
+
+    let client = req.client;
+    if (req.query.clientId !== undefined && req.query.clientId !== req.client.id) {
+      if (req.client.role !== 'admin') {
+        return res.status(403).json({
+          error: 'Admin role required',
+          details: 'Only admins can see the usage of other clients',
+          code: 'FORBIDDEN'
+        });
+      }
+      const key = (await ApiKeyStore.load()).find(record => record.clientId === req.query.clientId && !record.revokedAt);
+      client = { id: String(req.query.clientId), quotas: key?.quotas };
+    }
+
+    res.json(await UsageService.describe(client, days));
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Usage endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to get usage',
+      details: error.message,
+      code: 'USAGE_ERROR'
+    });
+  }
+};
+
+/**
+ * Controller for GET /admin/usage.
+ * Lists every client's uploads, translations and generations on a day.
+ * - Query: date? ('YYYY-MM-DD', UTC; default today)
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listUsage = async (req, res) => {
+  try {
+    const date = req.query.date === undefined ? UsageService.getDay() : req.query.date;
+    if (typeof date !== 'string' || !date.match(/^\d{4}-\d{2}-\d{2}$/)) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        details: 'date must be formatted YYYY-MM-DD',
+        code: 'INVALID_DATE'
+      });
+    }
+
+    res.json({ date, clients: await UsageService.listDay(date) });
+  } catch (error) {
+    // Log error and respond with 500 Internal Server Error
+    console.error('Usage list endpoint error:', error.message);
+    res.status(500).json({
+      error: 'Failed to list usage',
+      details: error.message,
+      code: 'USAGE_ERROR'
+    });
+  }
+};
+
+module.exports = { getUsage, listUsage };
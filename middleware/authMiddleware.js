@@ -0,0 +1,151 @@
+const crypto = require('crypto'); // For JWT signature checks
+const CONFIG = require('../config/config'); // Import application configuration
+const SessionManager = require('../services/sessionService'); // Service for managing session data
+const { ApiKeyStore } = require('../services/apiKeyStore'); // Hashed API keys
+
+// JWTs are three base64url segments; API keys are single tokens
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+/**
+ * Sends a 401 response asking for credentials.
+ * @param {object} res - Express response object.
+ * @param {string} details - Why the request was rejected.
+ */
+function unauthorized(res, details) {
+  res.set('WWW-Authenticate', 'Bearer');
+  res.status(401).json({
+    error: 'Authentication required',
+    details,
+    code: 'UNAUTHORIZED'
+  });
+}
+
+/**
+ * Verifies an HS256 JWT signed with CONFIG.JWT_SECRET.
+ * @param {string} token - The JWT.
+ * @returns {object|null} - The claims, or null if the token is invalid or expired.
+ */
+function verifyJwt(token) {
+  if (!CONFIG.JWT_SECRET) return null;
+
+  const [header, payload, signature] = token.split('.');
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+
+    const expected = crypto.createHmac('sha256', CONFIG.JWT_SECRET).update(`${header}.${payload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && claims.exp <= now) return null;
+    if (typeof claims.nbf === 'number' && claims.nbf > now) return null;
+    if (CONFIG.JWT_AUDIENCE && ![].concat(claims.aud || []).includes(CONFIG.JWT_AUDIENCE)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Authenticates every API request and sets req.client = { id, role, keyId?, quotas? }.
+ * Credentials (either one):
+ * - API key: "X-API-Key: <key>" or "Authorization: Bearer <key>" (keys from config/apiKeys.json).
+ * - JWT: "Authorization: Bearer <jwt>", HS256-signed with JWT_SECRET; `sub` is the client ID and
+ *   `role: "admin"` grants the admin role.
+ * Status streams (GET .../stream) may pass either credential as ?access_token= instead.
+ * With AUTH_ENABLED=false every request runs as an anonymous admin (local development only).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - Callback to pass control to the next handler.
+ */
+const authenticateRequest = async (req, res, next) => {
+  if (!CONFIG.AUTH_ENABLED) {
+    req.client = { id: 'anonymous', role: 'admin' };
+    return next();
+  }
+
+  try {
+    const bearer = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+    // Browsers' EventSource cannot send headers, so status streams also accept ?access_token=
+    const streamToken = req.method === 'GET' && req.path.endsWith('/stream') ? req.query.access_token : undefined;
+    const credential = req.get('X-API-Key') || bearer || streamToken;
+    if (!credential) {
+      return unauthorized(res, 'Send an API key (X-API-Key header) or a bearer token');
+    }
+
+    if (JWT_PATTERN.test(credential)) {
+      const claims = verifyJwt(credential);
+      if (!claims?.sub) {
+        return unauthorized(res, 'Invalid or expired token');
+      }
+      req.client = { id: String(claims.sub), role: claims.role === 'admin' ? 'admin' : 'client' };
+      return next();
+    }
+
+    const key = await ApiKeyStore.verify(credential);
+    if (!key) {
+      return unauthorized(res, 'Invalid or revoked API key');
+    }
+    // A key record may override the default daily quotas (see CONFIG.DAILY_QUOTAS)
+    req.client = { id: key.clientId, role: key.role, keyId: key.id, quotas: key.quotas };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restricts a route to admins.
+ * @param {object} req - The Express request object (after authenticateRequest).
+ * @param {object} res - The Express response object.
+ * @param {function} next - Callback to pass control to the next handler.
+ */
+const requireAdmin = (req, res, next) => {
+  if (req.client?.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Admin role required',
+      code: 'FORBIDDEN'
+    });
+  }
+  next();
+};
+
+/**
+ * Checks whether a client may use a session (or resumable upload): admins may use every one,
+ * clients only those they own. Records without an owner (created before authentication was
+ * added) are admin-only.
+ * @param {object} client - req.client.
+ * @param {object} record - The session or upload, with its `owner`.
+ * @returns {boolean} - True if access is allowed.
+ */
+function canAccess(client, record) {
+  return client?.role === 'admin' || (Boolean(record?.owner) && record.owner === client?.id);
+}
+
+/**
+ * Route parameter handler for :sessionId. Sessions owned by another client are reported as not
+ * found, so their IDs cannot be probed. Malformed and unknown IDs are left to the controllers.
+ * @param {object} req - The Express request object (after authenticateRequest).
+ * @param {object} res - The Express response object.
+ * @param {function} next - Callback to pass control to the next handler.
+ * @param {string} sessionId - The :sessionId route parameter.
+ */
+const authorizeSession = async (req, res, next, sessionId) => {
+  try {
+    if (!sessionId.match(/^[a-f0-9-]+$/i)) return next();
+
+    const session = await SessionManager.getSession(sessionId);
+    if (session && !canAccess(req.client, session)) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authenticateRequest, requireAdmin, authorizeSession, canAccess };
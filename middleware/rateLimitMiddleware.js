@@ -0,0 +1,77 @@
+const { UsageService } = require('../services/usageService'); // Rate limit and quota counters
+
+/**
+ * Sends a 429 response for an exhausted daily quota.
+ * @param {object} res - Express response object.
+ * @param {string} kind - The quota kind ('uploads', 'translations' or 'generations').
+ * @param {object} quota - Result of UsageService.checkQuota.
+ */
+function sendQuotaExceeded(res, kind, quota) {
+  res.set('Retry-After', String(Math.max(Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000), 1)));
+  res.status(429).json({
+    error: 'Daily quota exceeded',
+    details: `Daily ${kind} quota of ${quota.limit} used up; it resets at ${quota.resetAt.toISOString()}`,
+    code: 'QUOTA_EXCEEDED',
+    quota: kind
+  });
+}
+
+/**
+ * Creates middleware that counts requests against a rate limit group (CONFIG.RATE_LIMITS) for the
+ * calling client and for all clients together. Responses carry RateLimit-Limit, RateLimit-Remaining
+ * and RateLimit-Reset headers for the client limit; rejected requests get 429 with Retry-After.
+ * @param {string} group - Rate limit group.
+ * @returns {function} - Express middleware (after authenticateRequest).
+ */
+function rateLimit(group) {
+  return async (req, res, next) => {
+    try {
+      const result = await UsageService.hit(group, req.client.id);
+      const resetSeconds = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1);
+
+      if (result.limit !== null) {
+        res.set({
+          'RateLimit-Limit': String(result.limit),
+          'RateLimit-Remaining': String(result.remaining),
+          'RateLimit-Reset': String(resetSeconds)
+        });
+      }
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          error: 'Too many requests',
+          details: result.scope === 'global'
+            ? 'The server is handling too many of these requests; try again later'
+            : `Rate limit of ${result.limit} requests per window exceeded`,
+          code: 'RATE_LIMITED'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Creates middleware that rejects requests once the caller has used up one of the given daily quotas.
+ * The quotas are only checked here; the services count usage when the work actually happens.
+ * @param {...string} kinds - Quota kinds to check.
+ * @returns {function} - Express middleware (after authenticateRequest).
+ */
+function requireQuota(...kinds) {
+  return async (req, res, next) => {
+    try {
+      for (const kind of kinds) {
+        const quota = await UsageService.checkQuota(req.client, kind);
+        if (!quota.allowed) return sendQuotaExceeded(res, kind, quota);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = { rateLimit, requireQuota, sendQuotaExceeded };
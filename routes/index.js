@@ -4,28 +4,124 @@ const express = require('express');
 // Import middleware for handling file uploads (specifically for zip files)
 const upload = require('../middleware/uploadMiddleware');
 
+// Import middleware for API authentication and session ownership
+const { authenticateRequest, requireAdmin, authorizeSession } = require('../middleware/authMiddleware');
+
+// Import middleware for per-client rate limits and daily quotas
+const { rateLimit, requireQuota } = require('../middleware/rateLimitMiddleware');
+
 // Import controller for processing uploaded files (main workflow)
 const { processUpload } = require('../controllers/processController');
 
+// Import controller for resumable chunked uploads of large zip files
+const { createUpload, uploadChunk, getUpload, completeUpload, deleteUpload } = require('../controllers/uploadController');
+
 // Import controller for checking the status of a session/process
-const { getStatus } = require('../controllers/statusController');
+const { getStatus, streamStatus, listSessions } = require('../controllers/statusController');
+
+// Import controller for session lifecycle actions
+const { retrySession, cancelSession, selectRootFile } = require('../controllers/sessionController');
+
+// Import controller for inspecting the processing queue
+const { getQueue } = require('../controllers/queueController');
 
 // Import controller for handling authentication requests
 const { authenticate } = require('../controllers/authController');
 
-// Import controller for generating animation commands for a session
-const { generateAnimation } = require('../controllers/animationController');
+// Import controller for managing API keys (admin only)
+const { listApiKeys, createApiKey, revokeApiKey } = require('../controllers/adminController');
+
+// Import controller for reporting usage against rate limits and quotas
+const { getUsage, listUsage } = require('../controllers/usageController');
+
+// Import controller for querying a processed model's hierarchy and properties
+const { getHierarchy, searchObjects, getObject } = require('../controllers/modelController');
+
+// Import controllers for generating and managing saved animations for a session
+const {
+  generateAnimation,
+  createAnimation,
+  createAnimationVersion,
+  listAnimations,
+  getAnimation,
+  deleteAnimation,
+  setDefaultAnimation
+} = require('../controllers/animationController');
 
 // Create a new Express router instance
 const router = express.Router();
 
+/**
+ * Every route requires an API key (X-API-Key or Authorization: Bearer) or a JWT (Authorization: Bearer).
+ * Authentication runs before the upload middleware, so anonymous uploads are never written to disk.
+ */
+router.use(authenticateRequest);
+
+/**
+ * Every route with a :sessionId only serves sessions owned by the caller (admins can use every session);
+ * other clients' sessions respond 404 SESSION_NOT_FOUND.
+ */
+router.param('sessionId', authorizeSession);
+
+/**
+ * Every route counts against the 'default' rate limit (CONFIG.RATE_LIMITS); routes that start uploads,
+ * translations or generations also count against their own group and check the caller's daily quotas.
+ * Rejected requests respond 429 RATE_LIMITED or QUOTA_EXCEEDED with a Retry-After header.
+ */
+router.use(rateLimit('default'));
+const uploadLimits = [rateLimit('uploads'), requireQuota('uploads', 'translations')];
+const translationLimits = [rateLimit('uploads'), requireQuota('translations')];
+const generationLimits = [rateLimit('generation')];
+
 /**
  * Route: POST /process
  * Description: Handles the upload of a zip file containing model data.
  * Middleware: Uses upload.single('zipfile') to process a single file upload with the field name 'zipfile'.
+ * Optional form fields: callbackUrl (POSTed a signed JSON payload when processing completes or fails),
+ * callbackSecret (HMAC-SHA256 signing key), rootFile (path of the design to translate inside the ZIP;
+ * required when the ZIP holds several possible roots, otherwise the session waits for POST /sessions/:sessionId/root)
+ * and force ('true' translates again even if identical files were translated before; see the status 'cache' field).
  * Controller: processUpload handles the main processing logic after upload.
  */
-router.post('/process', upload.single('zipfile'), processUpload);
+router.post('/process', ...uploadLimits, upload.single('zipfile'), processUpload);
+
+/**
+ * Route: POST /uploads
+ * Description: Starts a resumable upload for a zip file too large for POST /process.
+ * Body: { fileName, totalSize, chunkSize? } plus the optional POST /process fields (callbackUrl, callbackSecret, rootFile, force).
+ * Controller: createUpload returns the upload ID, chunk size and number of chunks.
+ */
+router.post('/uploads', ...uploadLimits, createUpload);
+
+/**
+ * Route: PUT /uploads/:uploadId/chunks/:index
+ * Description: Stores one numbered chunk (raw request body); an optional X-Chunk-Sha256 header is verified.
+ * Controller: uploadChunk writes the chunk to disk.
+ */
+router.put('/uploads/:uploadId/chunks/:index', uploadChunk);
+
+/**
+ * Route: GET /uploads/:uploadId
+ * Description: Lists the received chunks and byte ranges and the chunks still missing.
+ * Controller: getUpload returns the upload state.
+ */
+router.get('/uploads/:uploadId', getUpload);
+
+/**
+ * Route: POST /uploads/:uploadId/complete
+ * Description: Assembles the chunks, verifies the archive's SHA-256 ({ checksum }) and starts processing
+ * like POST /process. Incomplete uploads expire after RESUMABLE_UPLOAD_EXPIRY_HOURS without activity.
+ * Completing starts an upload and a translation, so it counts against the same limits and quotas as POST /process.
+ * Controller: completeUpload responds with the session ID.
+ */
+router.post('/uploads/:uploadId/complete', ...uploadLimits, completeUpload);
+
+/**
+ * Route: DELETE /uploads/:uploadId
+ * Description: Abandons an upload and deletes its chunks.
+ * Controller: deleteUpload removes the upload.
+ */
+router.delete('/uploads/:uploadId', deleteUpload);
 
 /**
  * Route: GET /status/:sessionId
@@ -34,19 +130,176 @@ router.post('/process', upload.single('zipfile'), processUpload);
  */
 router.get('/status/:sessionId', getStatus);
 
+/**
+ * Route: GET /status/:sessionId/stream
+ * Description: Server-Sent Events stream of status, message and progress changes for a session.
+ * Ends with a 'completed', 'failed' or 'cancelled' event. Supports reconnects via the Last-Event-ID header.
+ * Controller: streamStatus pushes the events.
+ */
+router.get('/status/:sessionId/stream', streamStatus);
+
+/**
+ * Route: GET /sessions
+ * Description: Lists the caller's sessions (admins: every session) with the GET /status fields, file name,
+ * owner and whether animations were saved. Served from the session index, not by reading every session.
+ * Query: status (comma-separated), fileName (substring), from/to (creation time), owner (admins only),
+ *        sort (createdAt, updatedAt, fileName, status), order (asc, desc), page, pageSize (at most 100).
+ * Controller: listSessions filters, sorts and pages the index.
+ */
+router.get('/sessions', listSessions);
+
+/**
+ * Route: POST /sessions/:sessionId/retry
+ * Description: Re-queues a failed session, resuming from the first incomplete pipeline step.
+ * Optional body: { fromStep } to redo a specific step and everything after it.
+ * Controller: retrySession validates the session and queues it.
+ */
+router.post('/sessions/:sessionId/retry', ...translationLimits, retrySession);
+
+/**
+ * Route: POST /sessions/:sessionId/root
+ * Description: Picks the root file for a session in 'awaiting_root_selection' and resumes processing.
+ * Body: { rootFile } (one of the session's rootCandidates).
+ * Controller: selectRootFile validates the choice and queues the session.
+ */
+router.post('/sessions/:sessionId/root', ...translationLimits, selectRootFile);
+
+/**
+ * Route: DELETE /sessions/:sessionId and POST /sessions/:sessionId/cancel
+ * Description: Stops processing (if queued or running), deletes the Forge bucket and the local
+ * upload/response files, and marks the session 'cancelled'. Also cleans up completed sessions.
+ * Controller: cancelSession aborts the pipeline and releases resources.
+ */
+router.delete('/sessions/:sessionId', cancelSession);
+router.post('/sessions/:sessionId/cancel', cancelSession);
+
+/**
+ * Route: GET /queue
+ * Description: Returns processing queue depth, running pipelines and wait time statistics.
+ * Controller: getQueue reads the queue state.
+ */
+router.get('/queue', getQueue);
+
 /**
  * Route: POST /auth
- * Description: Handles authentication requests (e.g., for obtaining tokens).
+ * Description: Returns a read-only (data:read) Forge viewer token for a session. This is the only way clients
+ * receive Forge tokens; status responses and stored session files never contain them.
  * Controller: authenticate processes authentication logic.
  */
 router.post('/auth', authenticate);
 
+/**
+ * Route: GET /sessions/:sessionId/hierarchy
+ * Description: The processed model's object tree, or the subtree of ?objectid=, down to ?depth= levels.
+ * Query: objectid, depth, fields (all optional).
+ * Model query routes answer 304 to a matching If-None-Match (ETag) header.
+ */
+router.get('/sessions/:sessionId/hierarchy', getHierarchy);
+
+/**
+ * Route: GET /sessions/:sessionId/objects
+ * Description: Searches the model's objects by name and/or category.
+ * Query: name, category, fields, page, pageSize (all optional).
+ */
+router.get('/sessions/:sessionId/objects', searchObjects);
+
+/**
+ * Route: GET /sessions/:sessionId/objects/:objectid
+ * Description: One object with its parent, children and merged properties.
+ * Query: fields (optional).
+ */
+router.get('/sessions/:sessionId/objects/:objectid', getObject);
+
 /**
  * Route: GET /generate-animation/:sessionId
- * Description: Generates animation commands for a given session ID.
+ * Description: Returns the session's default saved animation, or generates and saves one.
+ * Query: regenerate=true (optional) generates and saves a new animation instead of returning the default.
+ *        mode (optional) is 'llm' (default) or 'rules' for the deterministic planner.
+ *        provider (optional) selects the LLM provider ('gemini', 'openai' or 'mock').
+ *        format (optional) is 'timeline' (default) or 'legacy' for the flat command array.
+ *        instructions, target, steps, style, temperature (optional) steer a newly generated animation.
  * Controller: generateAnimation triggers the animation generation process.
  */
-router.get('/generate-animation/:sessionId', generateAnimation);
+router.get('/generate-animation/:sessionId', ...generationLimits, generateAnimation);
+
+/**
+ * Route: POST /generate-animation/:sessionId
+ * Description: Generates and saves a new animation steered by the JSON body.
+ * Body: instructions, target (objectid or name path), steps, style, temperature, mode, provider (all optional).
+ * Query: format (optional).
+ */
+router.post('/generate-animation/:sessionId', ...generationLimits, generateAnimation);
+
+/**
+ * Route: POST /sessions/:sessionId/animations
+ * Description: Generates a new animation and saves it with the session.
+ * Body: name, mode, provider, isDefault, instructions, target, steps, style, temperature (all optional).
+ * Query: format (optional).
+ */
+router.post('/sessions/:sessionId/animations', ...generationLimits, createAnimation);
+
+/**
+ * Route: GET /sessions/:sessionId/animations
+ * Description: Lists the animations saved for a session and the default animation ID.
+ */
+router.get('/sessions/:sessionId/animations', listAnimations);
+
+/**
+ * Route: GET /sessions/:sessionId/animations/:animationId
+ * Description: Returns a saved animation (latest version, or ?version=N).
+ * Query: version, format, history (all optional).
+ */
+router.get('/sessions/:sessionId/animations/:animationId', getAnimation);
+
+/**
+ * Route: DELETE /sessions/:sessionId/animations/:animationId
+ * Description: Deletes a saved animation and its version history.
+ */
+router.delete('/sessions/:sessionId/animations/:animationId', deleteAnimation);
+
+/**
+ * Route: POST /sessions/:sessionId/animations/:animationId/versions
+ * Description: Regenerates a saved animation and stores the result as a new version.
+ */
+router.post('/sessions/:sessionId/animations/:animationId/versions', ...generationLimits, createAnimationVersion);
+
+/**
+ * Route: PUT /sessions/:sessionId/animations/:animationId/default
+ * Description: Marks a saved animation as the session's default.
+ */
+router.put('/sessions/:sessionId/animations/:animationId/default', setDefaultAnimation);
+
+/**
+ * Route: GET /usage
+ * Description: The caller's usage today against its daily quotas (uploads, translations, LLM generations),
+ * its rate limit windows and its usage on earlier days (?days=N, default 7). Admins may add ?clientId=.
+ * Controller: getUsage reads the persisted counters.
+ */
+router.get('/usage', getUsage);
+
+/**
+ * Route: GET /admin/usage
+ * Description: Every client's usage on a day (?date=YYYY-MM-DD, default today). Admin only.
+ */
+router.get('/admin/usage', requireAdmin, listUsage);
+
+/**
+ * Route: GET /admin/api-keys
+ * Description: Lists API keys (without hashes). Admin only.
+ */
+router.get('/admin/api-keys', requireAdmin, listApiKeys);
+
+/**
+ * Route: POST /admin/api-keys
+ * Description: Creates an API key for a client ({ clientId, name?, role?, quotas? }); the key is only shown in the response. Admin only.
+ */
+router.post('/admin/api-keys', requireAdmin, createApiKey);
+
+/**
+ * Route: DELETE /admin/api-keys/:keyId
+ * Description: Revokes an API key. Admin only.
+ */
+router.delete('/admin/api-keys/:keyId', requireAdmin, revokeApiKey);
 
 // Export the router to be used in the main app
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Creates an API key in config/apiKeys.json (or API_KEYS_FILE), e.g. the first admin key.
+ * Further keys can also be created through POST /admin/api-keys.
+ *
+ * Run from the project root: node scripts/createApiKey.js <clientId> [--admin] [--name "<description>"]
+ * The key is printed once; only its hash is stored.
+ */
+
+// Load environment variables (API_KEYS_FILE and the settings required by config)
+require('dotenv').config();
+
+const { ApiKeyStore } = require('../services/apiKeyStore');
+
+const args = process.argv.slice(2);
+const nameIndex = args.indexOf('--name');
+const name = nameIndex >= 0 ? args[nameIndex + 1] : undefined;
+const clientId = args.find((arg, index) => !arg.startsWith('--') && index !== nameIndex + 1);
+
+if (!clientId || !clientId.match(/^[\w.@-]{1,100}$/)) {
+  console.error('Usage: node scripts/createApiKey.js <clientId> [--admin] [--name "<description>"]');
+  process.exit(1);
+}
+
+ApiKeyStore.create({ clientId, name, role: args.includes('--admin') ? 'admin' : 'client' })
+  .then(({ key, record }) => {
+    console.log(`Created ${record.role} key ${record.id} for client '${record.clientId}'`);
+    console.log(`API key (shown once): ${key}`);
+  })
+  .catch(error => {
+    console.error('Failed to create API key:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,608 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// Prefix of every access token handed out (any bearer token with it is accepted, so tokens cached
+// by the animation server stay valid when the fake server restarts)
+const TOKEN_PREFIX = 'fake-aps-';
+
+// Object URN prefix used by OSS (bucket key and object key follow)
+const OBJECT_URN_PREFIX = 'urn:adsk.objects:os.object:';
+
+// Bucket keys accepted by OSS
+const BUCKET_KEY_PATTERN = /^[-_.a-z0-9]{3,128}$/;
+
+// Endpoint names that fault rules can target ('*' matches all of them)
+const ENDPOINTS = [
+  'token', 'createBucket', 'deleteBucket', 'getSignedUrls', 'uploadPart', 'completeUpload',
+  'references', 'job', 'manifest', 'metadata', 'hierarchy', 'properties'
+];
+
+/**
+ * FakeAps is a local stand-in for the Autodesk Platform Services endpoints used by ForgeClient
+ * (token, OSS buckets and signed S3 uploads, Model Derivative references, jobs, manifests,
+ * metadata, hierarchy and properties), so the pipeline can run without credentials or network.
+ *
+ * - Translations are served from fixture models (fixtures/<name>.json). The fixture is chosen by
+ *   the root file name: "gearbox.iam" uses gearbox.json; unknown names use the default fixture.
+ * - Manifests move from pending through inprogress to the fixture's outcome over `manifestPolls` polls.
+ * - Faults can be injected through `faults` (constructor, FAKE_APS_FAULTS or PUT /__fake/faults):
+ *     {
+ *       "translation": "failed" | "timeout",   // outcome of every job, overriding the fixtures
+ *       "manifestPolls": 20,                     // slow manifests: polls before a job finishes
+ *       "rules": [                               // checked in order, first match wins
+ *         { "endpoint": "job", "status": 429, "retryAfter": 2, "times": 1 },
+ *         { "endpoint": "uploadPart", "status": 503, "skip": 1, "times": 2 },
+ *         { "endpoint": "hierarchy", "status": 202 },
+ *         { "endpoint": "manifest", "delay": 3000 }
+ *       ]
+ *     }
+ *   A rule answers with `status` (and a Retry-After header for 429s) and/or waits `delay` ms first.
+ *   `skip` lets the first N matching requests through, `times` limits how often the rule fires.
+ * - State and control endpoints live under /__fake (GET state, GET/PUT faults, POST reset).
+ *
+ * Everything is kept in memory; nothing uploaded is stored beyond its size.
+ */
+class FakeAps {
+  /**
+   * @param {object} options - Optional settings.
+   * @param {string} options.fixturesDir - Folder with the fixture models.
+   * @param {string} options.defaultFixture - Fixture used for root files without a fixture of their own.
+   * @param {number} options.manifestPolls - Manifest polls before a translation finishes.
+   * @param {number} options.tokenTtl - Lifetime (in seconds) reported for access tokens.
+   * @param {object} options.faults - Initial faults (see above).
+   * @param {boolean} options.log - Log every request to the console.
+   */
+  constructor({
+    fixturesDir = path.join(__dirname, 'fixtures'),
+    defaultFixture = 'gearbox',
+    manifestPolls = 3,
+    tokenTtl = 3599,
+    faults = {},
+    log = false
+  } = {}) {
+    this.fixtures = this.loadFixtures(fixturesDir);
+    if (!this.fixtures.has(defaultFixture)) {
+      throw new Error(`Default fixture '${defaultFixture}' not found in ${fixturesDir}`);
+    }
+    this.defaultFixture = defaultFixture;
+    this.manifestPolls = manifestPolls;
+    this.tokenTtl = tokenTtl;
+    this.initialFaults = faults;
+    this.log = log;
+    this.server = null;
+    this.reset();
+    this.app = this.createApp();
+  }
+
+  /**
+   * Reads every fixture model in a folder.
+   * @param {string} fixturesDir - Folder with <name>.json files.
+   * @returns {Map<string, object>} - Fixtures by lower-case name.
+   */
+  loadFixtures(fixturesDir) {
+    const fixtures = new Map();
+    for (const file of fs.readdirSync(fixturesDir).filter(name => name.endsWith('.json'))) {
+      const fixture = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf-8'));
+      fixtures.set(path.basename(file, '.json').toLowerCase(), fixture);
+    }
+    return fixtures;
+  }
+
+  /**
+   * Clears all buckets, uploads and jobs and restores the initial faults.
+   */
+  reset() {
+    this.buckets = new Map(); // bucketKey -> { bucketKey, policyKey, createdDate, objects: Map(objectKey -> object) }
+    this.uploads = new Map(); // uploadKey -> { bucketKey, objectKey, parts: Map(partNumber -> size) }
+    this.jobs = new Map(); // encoded URN -> { urn, objectKey, fixtureName, polls, guid, references }
+    this.setFaults(this.initialFaults);
+  }
+
+  /**
+   * Replaces the injected faults.
+   * @param {object} faults - { translation, manifestPolls, rules }.
+   * @throws {Error} - If a rule targets an unknown endpoint.
+   */
+  setFaults({ translation, manifestPolls, rules = [] } = {}) {
+    if (translation !== undefined && !['success', 'failed', 'timeout'].includes(translation)) {
+      throw new Error("translation must be 'success', 'failed' or 'timeout'");
+    }
+    for (const rule of rules) {
+      if (rule.endpoint !== '*' && !ENDPOINTS.includes(rule.endpoint)) {
+        throw new Error(`Unknown endpoint '${rule.endpoint}' (supported: *, ${ENDPOINTS.join(', ')})`);
+      }
+    }
+    this.faults = {
+      translation,
+      manifestPolls,
+      // Each rule counts the requests it has seen, so `skip` and `times` work across requests
+      rules: rules.map(rule => ({ ...rule, seen: 0, fired: 0 }))
+    };
+  }
+
+  /**
+   * Builds the Express app.
+   * @returns {object} - Express app.
+   */
+  createApp() {
+    const app = express();
+
+    if (this.log) {
+      app.use((req, res, next) => {
+        res.on('finish', () => console.log(`${req.method} ${req.originalUrl} -> ${res.statusCode}`));
+        next();
+      });
+    }
+
+    // Control endpoints (no authentication)
+    app.get('/__fake/state', (req, res) => res.json(this.describeState()));
+    app.get('/__fake/faults', (req, res) => res.json(this.describeFaults()));
+    app.put('/__fake/faults', express.json(), (req, res) => {
+      try {
+        this.setFaults(req.body || {});
+        res.json(this.describeFaults());
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    app.post('/__fake/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+
+    // Authentication API
+    app.post('/authentication/v2/token', this.fault('token'), express.urlencoded({ extended: false }), (req, res) => {
+      const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+      const [clientId, clientSecret] = Buffer.from(credentials || '', 'base64').toString().split(':');
+      if (scheme !== 'Basic' || !clientId || !clientSecret) {
+        return res.status(401).json({ error: 'invalid_client', error_description: 'The client credentials are invalid.' });
+      }
+      if (req.body?.grant_type !== 'client_credentials') {
+        return res.status(400).json({ error: 'unsupported_grant_type', error_description: 'Only client_credentials is supported.' });
+      }
+      res.json({
+        access_token: `${TOKEN_PREFIX}${crypto.randomBytes(16).toString('hex')}`,
+        token_type: 'Bearer',
+        expires_in: this.tokenTtl
+      });
+    });
+
+    // Everything below requires a bearer token, except the signed S3 URLs
+    const authenticate = (req, res, next) => {
+      if (!(req.headers.authorization || '').startsWith(`Bearer ${TOKEN_PREFIX}`)) {
+        return res.status(401).json({ developerMessage: 'The Authorization header is missing or invalid.', errorCode: 'AUTH-001' });
+      }
+      next();
+    };
+
+    // OSS: buckets and signed S3 uploads
+    app.post('/oss/v2/buckets', this.fault('createBucket'), authenticate, express.json(), (req, res) => this.createBucket(req, res));
+    app.delete('/oss/v2/buckets/:bucketKey', this.fault('deleteBucket'), authenticate, (req, res) => this.deleteBucket(req, res));
+    app.get('/oss/v2/buckets/:bucketKey/objects/:objectKey/signeds3upload', this.fault('getSignedUrls'), authenticate,
+      (req, res) => this.getSignedUrls(req, res));
+    app.post('/oss/v2/buckets/:bucketKey/objects/:objectKey/signeds3upload', this.fault('completeUpload'), authenticate,
+      express.json(), (req, res) => this.completeUpload(req, res));
+    app.put('/__s3/:uploadKey/:part', this.fault('uploadPart'), (req, res) => this.uploadPart(req, res));
+
+    // Model Derivative
+    app.post('/modelderivative/v2/designdata/job', this.fault('job'), authenticate, express.json(), (req, res) => this.startJob(req, res));
+    app.post('/modelderivative/v2/designdata/:urn/references', this.fault('references'), authenticate, express.json(),
+      (req, res) => this.setReferences(req, res));
+    app.get('/modelderivative/v2/designdata/:urn/manifest', this.fault('manifest'), authenticate, (req, res) => this.getManifest(req, res));
+    app.get('/modelderivative/v2/designdata/:urn/metadata', this.fault('metadata'), authenticate, (req, res) => this.getMetadata(req, res));
+    app.get('/modelderivative/v2/designdata/:urn/metadata/:guid', this.fault('hierarchy'), authenticate,
+      (req, res) => this.getHierarchy(req, res));
+    app.get('/modelderivative/v2/designdata/:urn/metadata/:guid/properties', this.fault('properties'), authenticate,
+      (req, res) => this.getProperties(req, res));
+
+    app.use((req, res) => res.status(404).json({ reason: `No fake endpoint for ${req.method} ${req.path}` }));
+
+    return app;
+  }
+
+  /**
+   * Returns middleware that applies the first matching fault rule to an endpoint.
+   * @param {string} endpoint - Endpoint name (one of ENDPOINTS).
+   * @returns {function} - Express middleware.
+   */
+  fault(endpoint) {
+    return async (req, res, next) => {
+      const rule = this.faults.rules.find(candidate => {
+        if (candidate.endpoint !== '*' && candidate.endpoint !== endpoint) return false;
+        candidate.seen++;
+        return candidate.seen > (candidate.skip || 0) && candidate.fired < (candidate.times ?? Infinity);
+      });
+      if (!rule) return next();
+
+      rule.fired++;
+      if (rule.delay) await new Promise(resolve => setTimeout(resolve, rule.delay));
+      if (!rule.status) return next();
+
+      // Drain upload bodies so the client sees the response rather than a reset connection
+      req.resume();
+      if (rule.status === 429) res.set('Retry-After', String(rule.retryAfter ?? 1));
+      if (rule.status < 400) return res.status(rule.status).json({ result: 'success' });
+
+      const message = rule.message || `Injected ${rule.status} fault on ${endpoint}`;
+      res.status(rule.status).json(endpoint === 'token'
+        ? { error: 'server_error', error_description: message }
+        : { reason: message, diagnostic: message, errorMessage: message, developerMessage: message });
+    };
+  }
+
+  /**
+   * Decodes a base64url-encoded object URN and finds its bucket and object.
+   * @param {string} encodedUrn - Encoded URN as used in Model Derivative URLs.
+   * @returns {{ urn: string, bucketKey: string, objectKey: string, object: object|undefined }|null} - The
+   *   decoded URN, or null if it is not an OSS object URN.
+   */
+  resolveUrn(encodedUrn) {
+    const urn = Buffer.from(String(encodedUrn).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString();
+    if (!urn.startsWith(OBJECT_URN_PREFIX)) return null;
+    const [bucketKey, ...keyParts] = urn.slice(OBJECT_URN_PREFIX.length).split('/');
+    const objectKey = keyParts.join('/');
+    return { urn, bucketKey, objectKey, object: this.buckets.get(bucketKey)?.objects.get(objectKey) };
+  }
+
+  /**
+   * Picks the fixture for a root file: the one named like the file (without extension), else the default.
+   * @param {string} objectKey - Object key of the root file.
+   * @returns {string} - Fixture name.
+   */
+  selectFixture(objectKey) {
+    const name = path.posix.basename(objectKey).replace(/(\.\d+)?$/, '').replace(/\.[^.]*$/, '').toLowerCase();
+    return this.fixtures.has(name) ? name : this.defaultFixture;
+  }
+
+  // --- OSS ---
+
+  // POST /oss/v2/buckets: creates a bucket (409 if it exists)
+  createBucket(req, res) {
+    const { bucketKey, policyKey = 'transient' } = req.body || {};
+    if (!BUCKET_KEY_PATTERN.test(bucketKey || '')) {
+      return res.status(400).json({ reason: 'Valid bucket key must match ^[-_.a-z0-9]{3,128}$' });
+    }
+    if (this.buckets.has(bucketKey)) {
+      return res.status(409).json({ reason: 'Bucket already exists' });
+    }
+
+    const bucket = { bucketKey, policyKey, createdDate: Date.now(), objects: new Map() };
+    this.buckets.set(bucketKey, bucket);
+    res.json({ bucketKey, bucketOwner: 'fake-aps', createdDate: bucket.createdDate, permissions: [], policyKey });
+  }
+
+  // DELETE /oss/v2/buckets/:bucketKey: deletes a bucket with its objects
+  deleteBucket(req, res) {
+    if (!this.buckets.delete(req.params.bucketKey)) {
+      return res.status(404).json({ reason: 'Bucket not found' });
+    }
+    res.status(200).end();
+  }
+
+  // GET .../signeds3upload: starts or continues an upload and returns signed part URLs
+  getSignedUrls(req, res) {
+    const { bucketKey, objectKey } = req.params;
+    if (!this.buckets.has(bucketKey)) {
+      return res.status(404).json({ reason: 'Bucket not found' });
+    }
+
+    const firstPart = Number(req.query.firstPart) || 1;
+    const parts = Number(req.query.parts) || 1;
+    if (parts > 25) {
+      return res.status(400).json({ reason: 'parts must be at most 25' });
+    }
+
+    let uploadKey = req.query.uploadKey;
+    if (uploadKey) {
+      const upload = this.uploads.get(uploadKey);
+      if (!upload || upload.bucketKey !== bucketKey || upload.objectKey !== objectKey) {
+        return res.status(400).json({ reason: 'Unknown uploadKey' });
+      }
+    } else {
+      uploadKey = crypto.randomBytes(16).toString('hex');
+      this.uploads.set(uploadKey, { bucketKey, objectKey, parts: new Map() });
+    }
+
+    // Signed URLs point back at this server
+    const urls = Array.from({ length: parts }, (_, index) => `${this.getOrigin(req)}/__s3/${uploadKey}/${firstPart + index}`);
+    res.json({ uploadKey, uploadExpiration: new Date(Date.now() + 60 * 60 * 1000).toISOString(), urls });
+  }
+
+  // PUT /__s3/:uploadKey/:part: receives one part (the fake S3 behind the signed URLs)
+  uploadPart(req, res) {
+    const upload = this.uploads.get(req.params.uploadKey);
+    if (!upload) {
+      req.resume();
+      return res.status(403).type('application/xml').send('<Error><Code>AccessDenied</Code><Message>Request has expired</Message></Error>');
+    }
+
+    // Only the size of each part is kept
+    let size = 0;
+    req.on('data', chunk => { size += chunk.length; });
+    req.on('end', () => {
+      upload.parts.set(Number(req.params.part), size);
+      res.set('ETag', `"${crypto.randomBytes(8).toString('hex')}"`).status(200).end();
+    });
+    req.on('error', () => res.destroy());
+  }
+
+  // POST .../signeds3upload: completes an upload, creating the object
+  completeUpload(req, res) {
+    const { bucketKey, objectKey } = req.params;
+    const upload = this.uploads.get(req.body?.uploadKey);
+    if (!upload || upload.bucketKey !== bucketKey || upload.objectKey !== objectKey) {
+      return res.status(400).json({ reason: 'Unknown uploadKey' });
+    }
+
+    // Parts must be numbered 1..n without gaps
+    const partNumbers = [...upload.parts.keys()].sort((a, b) => a - b);
+    if (partNumbers.length === 0 || partNumbers.some((part, index) => part !== index + 1)) {
+      return res.status(400).json({ reason: 'Not all parts have been uploaded' });
+    }
+
+    const bucket = this.buckets.get(bucketKey);
+    if (!bucket) {
+      return res.status(404).json({ reason: 'Bucket not found' });
+    }
+
+    const size = partNumbers.reduce((total, part) => total + upload.parts.get(part), 0);
+    const objectId = `${OBJECT_URN_PREFIX}${bucketKey}/${objectKey}`;
+    bucket.objects.set(objectKey, { objectKey, objectId, size });
+    this.uploads.delete(req.body.uploadKey);
+
+    res.json({
+      bucketKey,
+      objectId,
+      objectKey,
+      size,
+      contentType: 'application/octet-stream',
+      location: `${this.getOrigin(req)}/oss/v2/buckets/${bucketKey}/objects/${encodeURIComponent(objectKey)}`
+    });
+  }
+
+  // --- Model Derivative ---
+
+  // POST /modelderivative/v2/designdata/:urn/references: records the references of a root file
+  setReferences(req, res) {
+    const target = this.resolveUrn(req.params.urn);
+    if (!target?.object) {
+      return res.status(404).json({ diagnostic: 'Object not found', errorMessage: 'Object not found' });
+    }
+    target.object.references = req.body?.references || [];
+    res.json({ result: 'success' });
+  }
+
+  // POST /modelderivative/v2/designdata/job: starts a translation backed by the root file's fixture
+  startJob(req, res) {
+    const encodedUrn = req.body?.input?.urn;
+    const target = encodedUrn && this.resolveUrn(encodedUrn);
+    if (!target?.object) {
+      const message = 'Failed to trigger translation for this file.';
+      return res.status(400).json({ diagnostic: message, errorMessage: message });
+    }
+
+    // x-ads-force replaces an existing job; otherwise the existing one is reported again
+    if (!this.jobs.has(encodedUrn) || req.headers['x-ads-force'] === 'true') {
+      const fixtureName = this.selectFixture(target.objectKey);
+      this.jobs.set(encodedUrn, {
+        urn: target.urn,
+        objectKey: target.objectKey,
+        fixtureName,
+        polls: 0,
+        guid: crypto.randomUUID(),
+        references: target.object.references?.length || 0
+      });
+    }
+
+    res.json({
+      result: 'created',
+      urn: encodedUrn,
+      acceptedJobs: { output: req.body.output || { formats: [{ type: 'svf2', views: ['2d', '3d'] }] } }
+    });
+  }
+
+  /**
+   * Returns the status a job reports at its current number of polls.
+   * @param {object} job - The job.
+   * @returns {{ status: string, progress: string, message?: string }} - Status, progress text and failure message.
+   */
+  getJobStatus(job) {
+    const fixture = this.fixtures.get(job.fixtureName);
+    const polls = this.faults.manifestPolls ?? this.manifestPolls;
+
+    if (job.polls < polls) {
+      if (job.polls <= 1) return { status: 'pending', progress: '0% complete' };
+      return { status: 'inprogress', progress: `${Math.floor((job.polls - 1) / polls * 100)}% complete` };
+    }
+
+    const status = this.faults.translation || fixture.translation?.status || 'success';
+    if (status === 'success') return { status, progress: 'complete' };
+    return {
+      status,
+      progress: 'complete',
+      message: this.faults.translation ? `Injected translation ${status}` : fixture.translation?.message || `Translation ${status}`
+    };
+  }
+
+  // GET .../manifest: reports the job's progress, advancing it by one poll
+  getManifest(req, res) {
+    const job = this.jobs.get(req.params.urn);
+    if (!job) {
+      return res.status(404).json({ diagnostic: 'Requested file does not exist' });
+    }
+
+    job.polls++;
+    const { status, progress, message } = this.getJobStatus(job);
+    const messages = message ? [{ type: 'error', code: 'TranslationWorker-InternalFailure', message }] : undefined;
+    const fixture = this.fixtures.get(job.fixtureName);
+
+    res.json({
+      type: 'manifest',
+      hasThumbnail: String(status === 'success'),
+      status,
+      progress,
+      region: 'US',
+      urn: req.params.urn,
+      version: '1.0',
+      messages,
+      derivatives: status === 'pending' ? [] : [{
+        name: path.posix.basename(job.objectKey),
+        hasThumbnail: String(status === 'success'),
+        status,
+        progress,
+        outputType: 'svf2',
+        messages,
+        children: status === 'success' ? [{
+          guid: job.guid,
+          type: 'geometry',
+          role: '3d',
+          name: fixture.viewableName || '3D View',
+          status: 'success',
+          progress: 'complete'
+        }] : []
+      }]
+    });
+  }
+
+  /**
+   * Finds a job whose translation has succeeded, answering 404 otherwise.
+   * @param {object} req - Express request (params.urn).
+   * @param {object} res - Express response.
+   * @returns {object|null} - The job, or null if a response was sent.
+   */
+  getFinishedJob(req, res) {
+    const job = this.jobs.get(req.params.urn);
+    if (!job || this.getJobStatus(job).status !== 'success') {
+      res.status(404).json({ diagnostic: 'Requested file does not exist', errorMessage: 'No derivatives found' });
+      return null;
+    }
+    return job;
+  }
+
+  // GET .../metadata: lists the viewable of a translated model
+  getMetadata(req, res) {
+    const job = this.getFinishedJob(req, res);
+    if (!job) return;
+
+    const fixture = this.fixtures.get(job.fixtureName);
+    res.json({
+      data: {
+        type: 'metadata',
+        metadata: [{ name: fixture.viewableName || '3D View', role: '3d', guid: job.guid, isMasterView: true }]
+      }
+    });
+  }
+
+  // GET .../metadata/:guid: object hierarchy of the fixture
+  getHierarchy(req, res) {
+    const job = this.getFinishedJob(req, res);
+    if (!job) return;
+    if (req.params.guid !== job.guid) {
+      return res.status(404).json({ diagnostic: 'GUID not found', errorMessage: 'GUID not found' });
+    }
+
+    // The hierarchy holds names and children only; properties are served separately
+    const strip = ({ objectid, name, objects }) => ({
+      objectid,
+      name,
+      ...(objects?.length ? { objects: objects.map(strip) } : {})
+    });
+    res.json({ data: { type: 'objects', objects: this.fixtures.get(job.fixtureName).objects.map(strip) } });
+  }
+
+  // GET .../metadata/:guid/properties: properties of every object in the fixture
+  getProperties(req, res) {
+    const job = this.getFinishedJob(req, res);
+    if (!job) return;
+    if (req.params.guid !== job.guid) {
+      return res.status(404).json({ diagnostic: 'GUID not found', errorMessage: 'GUID not found' });
+    }
+
+    const collection = [];
+    const walk = (node) => {
+      collection.push({
+        objectid: node.objectid,
+        name: node.name,
+        externalId: crypto.createHash('md5').update(`${job.fixtureName}/${node.objectid}`).digest('hex'),
+        properties: node.properties || {}
+      });
+      (node.objects || []).forEach(walk);
+    };
+    this.fixtures.get(job.fixtureName).objects.forEach(walk);
+
+    res.json({ data: { type: 'properties', collection } });
+  }
+
+  // --- State ---
+
+  /**
+   * Returns the origin (protocol and host) a request was sent to.
+   * @param {object} req - Express request.
+   * @returns {string} - Origin such as http://localhost:3900.
+   */
+  getOrigin(req) {
+    return `${req.protocol}://${req.get('host')}`;
+  }
+
+  /**
+   * Summarizes buckets, pending uploads and jobs.
+   * @returns {object} - State summary.
+   */
+  describeState() {
+    return {
+      fixtures: [...this.fixtures.keys()],
+      defaultFixture: this.defaultFixture,
+      buckets: [...this.buckets.values()].map(bucket => ({
+        bucketKey: bucket.bucketKey,
+        policyKey: bucket.policyKey,
+        objects: [...bucket.objects.values()].map(({ objectKey, size, references }) => ({
+          objectKey, size, references: references?.length || 0
+        }))
+      })),
+      pendingUploads: this.uploads.size,
+      jobs: [...this.jobs.entries()].map(([encodedUrn, job]) => ({
+        encodedUrn,
+        objectKey: job.objectKey,
+        fixture: job.fixtureName,
+        polls: job.polls,
+        ...this.getJobStatus(job)
+      })),
+      faults: this.describeFaults()
+    };
+  }
+
+  /**
+   * Returns the injected faults with how often each rule has fired.
+   * @returns {object} - { translation, manifestPolls, rules }.
+   */
+  describeFaults() {
+    return {
+      translation: this.faults.translation,
+      manifestPolls: this.faults.manifestPolls ?? this.manifestPolls,
+      rules: this.faults.rules
+    };
+  }
+
+  /**
+   * Starts listening.
+   * @param {number} port - Port to listen on (0 picks a free one).
+   * @returns {Promise<number>} - The port in use.
+   */
+  listen(port) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, error => (error ? reject(error) : resolve(this.server.address().port)));
+    });
+  }
+
+  /**
+   * Stops listening.
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+module.exports = { FakeAps, ENDPOINTS };
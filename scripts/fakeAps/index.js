@@ -0,0 +1,57 @@
+/**
+ * Runs the fake Autodesk Platform Services server (see fakeAps.js) for local development and CI.
+ *
+ * Run from the project root: npm run fake-aps
+ * Then start the animation server against it, e.g.
+ *   FORGE_BASE_URL=http://localhost:3900 FORGE_CLIENT_ID=local FORGE_CLIENT_SECRET=local \
+ *   TRANSLATION_CHECK_INTERVAL=1000 node server.js
+ *
+ * Settings (environment variables):
+ *   FAKE_APS_PORT            Port to listen on (default 3900)
+ *   FAKE_APS_FIXTURE         Fixture used for root files without a fixture of their own (default gearbox)
+ *   FAKE_APS_MANIFEST_POLLS  Manifest polls before a translation finishes (default 3)
+ *   FAKE_APS_FAULTS          Faults to inject: a JSON object or the path of a JSON file
+ *   FAKE_APS_LOG             Set to false to stop logging requests
+ * Faults can also be changed while running: PUT /__fake/faults with the same JSON.
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const fs = require('fs');
+const { FakeAps } = require('./fakeAps');
+
+/**
+ * Reads FAKE_APS_FAULTS, which holds either JSON or the path of a JSON file.
+ * @param {string|undefined} value - The variable's value.
+ * @returns {object} - Faults.
+ */
+function readFaults(value) {
+  if (!value) return {};
+  return JSON.parse(value.trim().startsWith('{') ? value : fs.readFileSync(value, 'utf-8'));
+}
+
+async function main() {
+  const fakeAps = new FakeAps({
+    defaultFixture: process.env.FAKE_APS_FIXTURE || 'gearbox',
+    manifestPolls: Number(process.env.FAKE_APS_MANIFEST_POLLS) || 3,
+    faults: readFaults(process.env.FAKE_APS_FAULTS),
+    log: process.env.FAKE_APS_LOG !== 'false'
+  });
+
+  const port = await fakeAps.listen(Number(process.env.FAKE_APS_PORT) || 3900);
+  console.log(`Fake APS server listening on http://localhost:${port}`);
+  console.log(`Fixtures: ${[...fakeAps.fixtures.keys()].join(', ')} (default: ${fakeAps.defaultFixture})`);
+  if (fakeAps.faults.rules.length > 0 || fakeAps.faults.translation) {
+    console.log('Injected faults:', JSON.stringify(fakeAps.describeFaults()));
+  }
+
+  const shutdown = () => fakeAps.close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('Failed to start the fake APS server:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+/**
+ * Copies sessions from the session folders (responses/session_<id>/session.json) into the session
+ * store selected by SESSION_STORE, e.g. after switching from 'file' to 'sqlite' or 'redis'.
+ * Sessions already in the store are kept unless --overwrite is given. The session.json files are
+ * left in place and can be deleted once the import has been checked.
+ *
+ * Run from the project root with the new SESSION_STORE settings:
+ *   node scripts/importSessions.js [--dry-run] [--overwrite]
+ */
+
+// Load environment variables (SESSION_STORE and the settings required by config)
+require('dotenv').config();
+
+const CONFIG = require('../config/config');
+const { getSessionStore } = require('../services/sessionStores');
+
+const dryRun = process.argv.includes('--dry-run');
+const overwrite = process.argv.includes('--overwrite');
+
+async function main() {
+  if (CONFIG.SESSION_STORE === 'file') {
+    console.log('SESSION_STORE is file: the session folders already are the store, nothing to import');
+    return;
+  }
+
+  const source = getSessionStore('file');
+  const target = getSessionStore();
+  let imported = 0;
+  let skipped = 0;
+
+  try {
+    for (const { id, session } of await source.list()) {
+      const existing = await target.get(id);
+      if (existing && !overwrite) {
+        skipped++;
+        continue;
+      }
+
+      if (!dryRun) {
+        // Written as read, so createdAt and updatedAt (and with them the cleanup schedule) are kept
+        await target.update(id, current => (current && !overwrite ? current : session));
+      }
+      imported++;
+      console.log(`${dryRun ? 'Would import' : 'Imported'}: ${id}`);
+    }
+  } finally {
+    await target.close();
+  }
+
+  console.log(`${imported} session(s) ${dryRun ? 'would be imported' : 'imported'} into ${target.name}, ${skipped} already present`);
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
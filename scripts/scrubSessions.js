@@ -0,0 +1,155 @@
+/**
+ * One-off migration that removes secrets written by earlier versions of the server:
+ * - the write-scoped Forge access token in sessions (result.accessToken)
+ * - the access token in 01_get_access_token.json
+ * - plaintext webhook secrets in sessions and in pending resumable uploads (encrypted instead)
+ *
+ * Sessions are scrubbed in the session store selected by SESSION_STORE (so sessions imported into
+ * sqlite or redis are covered), and so are the session.json files importSessions.js leaves behind.
+ * Sessions keep their updatedAt and files their modification time, so the scrub does not postpone
+ * session cleanup.
+ *
+ * Run from the project root with the server's SESSION_STORE settings: node scripts/scrubSessions.js [--dry-run]
+ */
+
+// Load environment variables (the encryption key and the settings required by config)
+require('dotenv').config();
+
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config/config');
+const SecretUtils = require('../utils/secretUtils');
+const { getSessionStore } = require('../services/sessionStores');
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Reads a JSON file, or returns null if it does not exist or cannot be parsed.
+ * @param {string} filePath - Path to the file.
+ * @returns {Promise<object|null>} - Parsed contents.
+ */
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Skipping ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Rewrites a JSON file atomically, keeping its modification time.
+ * @param {string} filePath - Path to the file.
+ * @param {object} data - New contents.
+ */
+async function writeJson(filePath, data) {
+  if (dryRun) return;
+  const stats = await fs.stat(filePath);
+  await fs.writeFile(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+  await fs.rename(`${filePath}.tmp`, filePath);
+  await fs.utimes(filePath, stats.atime, stats.mtime);
+}
+
+/**
+ * Lists sub-folders of a directory (none if it does not exist).
+ * @param {string} dir - Directory path.
+ * @returns {Promise<string[]>} - Folder paths.
+ */
+async function listFolders(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  return entries.filter(entry => entry.isDirectory()).map(entry => path.join(dir, entry.name));
+}
+
+/**
+ * Removes the access token from a session and encrypts a plaintext webhook secret (in place).
+ * @param {object} session - The session data.
+ * @returns {boolean} - True if the session was changed.
+ */
+function scrubSession(session) {
+  let dirty = false;
+  if (session.result?.accessToken) {
+    delete session.result.accessToken;
+    dirty = true;
+  }
+  if (session.webhook?.secret && !SecretUtils.isEncrypted(session.webhook.secret)) {
+    session.webhook.secret = SecretUtils.encrypt(session.webhook.secret);
+    dirty = true;
+  }
+  return dirty;
+}
+
+/**
+ * Scrubs the sessions in the configured session store. Each session is rewritten with the store's
+ * own (locked, atomic) update, from its current contents.
+ * @param {string[]} changed - Collects descriptions of the scrubbed sessions.
+ */
+async function scrubStore(changed) {
+  const store = getSessionStore();
+  try {
+    for (const { id, session } of await store.list()) {
+      if (!scrubSession(session)) continue;
+
+      try {
+        if (!dryRun) {
+          await store.update(id, current => {
+            if (!current) throw new Error('the session was deleted');
+            scrubSession(current);
+            return current;
+          });
+        }
+        changed.push(`session ${id} (${store.name} store)`);
+      } catch (error) {
+        console.error(`Skipping session ${id}:`, error.message);
+      }
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+async function main() {
+  const changed = [];
+
+  await scrubStore(changed);
+
+  for (const sessionPath of await listFolders('responses')) {
+    if (!path.basename(sessionPath).startsWith('session_')) continue;
+
+    // With another store, session.json is a copy left behind by importSessions.js (the file store was scrubbed above)
+    if (CONFIG.SESSION_STORE !== 'file') {
+      const sessionFile = path.join(sessionPath, 'session.json');
+      const session = await readJson(sessionFile);
+      if (session && scrubSession(session)) {
+        await writeJson(sessionFile, session);
+        changed.push(sessionFile);
+      }
+    }
+
+    const tokenFile = path.join(sessionPath, '01_get_access_token.json');
+    const tokenResponse = await readJson(tokenFile);
+    if (tokenResponse?.access_token) {
+      delete tokenResponse.access_token;
+      await writeJson(tokenFile, tokenResponse);
+      changed.push(tokenFile);
+    }
+  }
+
+  for (const uploadPath of await listFolders(path.join('uploads', 'resumable'))) {
+    const uploadFile = path.join(uploadPath, 'upload.json');
+    const upload = await readJson(uploadFile);
+    const secret = upload?.fields?.callbackSecret;
+    if (secret && !SecretUtils.isEncrypted(secret)) {
+      upload.fields.callbackSecret = SecretUtils.encrypt(secret);
+      await writeJson(uploadFile, upload);
+      changed.push(uploadFile);
+    }
+  }
+
+  changed.forEach(file => console.log(`${dryRun ? 'Would scrub' : 'Scrubbed'}: ${file}`));
+  console.log(dryRun ? `${changed.length} item(s) would be scrubbed` : `${changed.length} item(s) scrubbed`);
+}
+
+main().catch(error => {
+  console.error('Scrub failed:', error.message);
+  process.exit(1);
+});
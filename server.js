@@ -4,12 +4,26 @@ const { app, initializeDirectories } = require('./app');
 // Import the SessionManager service for handling user sessions
 const SessionManager = require('./services/sessionService');
 
+// Import the processing queue so interrupted pipelines can be recovered at startup
+const ProcessingQueue = require('./services/processingQueue');
+
 // Import configuration settings (such as session cleanup interval)
 const CONFIG = require('./config/config');
 
+// Import the session store registry so a misconfigured store is reported at startup
+const { getSessionStore } = require('./services/sessionStores');
+
 // Set the port for the server to listen on (use environment variable if available, otherwise default to 3000)
 const port = process.env.PORT || 3000;
 
+// Open the session store (SESSION_STORE) before accepting requests
+try {
+  getSessionStore();
+} catch (error) {
+  console.error('Session store error:', error.message);
+  process.exit(1);
+}
+
 // Start the Express server and perform initialization tasks
 app.listen(port, async () => {
   // Log the server URL to the console
@@ -19,6 +33,11 @@ app.listen(port, async () => {
   await initializeDirectories();
   console.log('Directories initialized');
 
+  // Restart or fail pipelines that were interrupted by the previous shutdown, then resume the queue
+  await ProcessingQueue.recover().catch(error => {
+    console.error('Queue recovery error:', error.message);
+  });
+
   // Set up a periodic task to clean up old user sessions
   setInterval(() => {
     // Attempt to clean up old sessions; log any errors that occur
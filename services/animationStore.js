@@ -0,0 +1,261 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Pending index updates per session, so concurrent requests do not overwrite each other
+const locks = new Map();
+
+/**
+ * AnimationStore persists generated animations inside the session folder:
+ *   responses/session_<id>/animations/index.json     - list of animations and the default ID
+ *   responses/session_<id>/animations/<animId>.json  - one animation with its version history
+ * Each version keeps the timeline, the validation report and the options used to generate it.
+ */
+class AnimationStore {
+  /**
+   * Returns the animations folder for a session.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {string} - Path to the animations folder.
+   */
+  static getAnimationsPath(sessionId) {
+    return path.join('responses', `session_${sessionId}`, 'animations');
+  }
+
+  /**
+   * Runs a read-modify-write operation on a session's animations while holding its lock.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {function} operation - Async function to run exclusively.
+   * @returns {Promise<*>} - The operation's result.
+   */
+  static async withLock(sessionId, operation) {
+    const previous = locks.get(sessionId) || Promise.resolve();
+    const current = previous.catch(() => { }).then(operation);
+    locks.set(sessionId, current);
+
+    try {
+      return await current;
+    } finally {
+      // Drop the lock entry once nothing else has queued behind this operation
+      if (locks.get(sessionId) === current) locks.delete(sessionId);
+    }
+  }
+
+  /**
+   * Reads a JSON file, returning a fallback value if it does not exist.
+   * @param {string} filePath - Path to the JSON file.
+   * @param {*} fallback - Value returned when the file is missing.
+   * @returns {Promise<*>} - Parsed JSON data or the fallback.
+   */
+  static async readJson(filePath, fallback) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw error;
+    }
+  }
+
+  /**
+   * Writes a JSON file via a temporary file that is renamed over it, so a crash or a concurrent
+   * reader never sees it half-written.
+   * @param {string} filePath - Path to the JSON file.
+   * @param {*} data - Data to write.
+   * @returns {Promise<void>}
+   */
+  static async writeJson(filePath, data) {
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the animation index for a session.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<{ defaultAnimationId: string|null, animations: Array<object> }>} - The index.
+   */
+  static async readIndex(sessionId) {
+    return this.readJson(path.join(this.getAnimationsPath(sessionId), 'index.json'), {
+      defaultAnimationId: null,
+      animations: []
+    });
+  }
+
+  /**
+   * Writes the animation index for a session.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {object} index - The index to write.
+   */
+  static async writeIndex(sessionId, index) {
+    const animationsPath = this.getAnimationsPath(sessionId);
+    await fs.mkdir(animationsPath, { recursive: true });
+    await this.writeJson(path.join(animationsPath, 'index.json'), index);
+  }
+
+  /**
+   * Builds the index entry (summary) for an animation.
+   * @param {object} animation - The full animation record.
+   * @returns {object} - Summary without timeline data.
+   */
+  static summarize(animation) {
+    const latest = animation.versions[animation.versions.length - 1];
+    return {
+      id: animation.id,
+      name: animation.name,
+      createdAt: animation.createdAt,
+      updatedAt: animation.updatedAt,
+      latestVersion: latest.version,
+      versionCount: animation.versions.length,
+      options: latest.options
+    };
+  }
+
+  /**
+   * Lists the animations saved for a session.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<{ defaultAnimationId: string|null, animations: Array<object> }>} - Summaries and default ID.
+   */
+  static async list(sessionId) {
+    return this.readIndex(sessionId);
+  }
+
+  /**
+   * Retrieves a saved animation with its full version history.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {string} animationId - The animation ID.
+   * @returns {Promise<object|null>} - The animation record, or null if not found.
+   */
+  static async get(sessionId, animationId) {
+    return this.readJson(path.join(this.getAnimationsPath(sessionId), `${animationId}.json`), null);
+  }
+
+  /**
+   * Retrieves the session's default animation, if one is set.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<object|null>} - The default animation record, or null.
+   */
+  static async getDefault(sessionId) {
+    const index = await this.readIndex(sessionId);
+    return index.defaultAnimationId ? this.get(sessionId, index.defaultAnimationId) : null;
+  }
+
+  /**
+   * Saves a newly generated animation as version 1 of a new animation record.
+   * The first animation saved for a session automatically becomes the default.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {object} data - { name, timeline, report, options }.
+   * @param {boolean} makeDefault - Whether to mark this animation as the default.
+   * @returns {Promise<object>} - The saved animation record.
+   */
+  static async create(sessionId, { name, timeline, report, options }, makeDefault = false) {
+    return this.withLock(sessionId, async () => {
+      const now = new Date().toISOString();
+      const id = uuidv4();
+      const animation = {
+        id,
+        name: name || `Animation ${now}`,
+        createdAt: now,
+        updatedAt: now,
+        versions: [{ version: 1, createdAt: now, timeline, report, options }]
+      };
+
+      await fs.mkdir(this.getAnimationsPath(sessionId), { recursive: true });
+      await this.writeJson(path.join(this.getAnimationsPath(sessionId), `${id}.json`), animation);
+
+      const index = await this.readIndex(sessionId);
+      index.animations.push(this.summarize(animation));
+      if (makeDefault || !index.defaultAnimationId) index.defaultAnimationId = id;
+      await this.writeIndex(sessionId, index);
+
+      return animation;
+    });
+  }
+
+  /**
+   * Appends a new version to an existing animation.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {string} animationId - The animation ID.
+   * @param {object} data - { timeline, report, options }.
+   * @returns {Promise<object|null>} - The updated animation record, or null if not found.
+   */
+  static async addVersion(sessionId, animationId, { timeline, report, options }) {
+    return this.withLock(sessionId, async () => {
+      const animation = await this.get(sessionId, animationId);
+      if (!animation) return null;
+
+      const now = new Date().toISOString();
+      const version = animation.versions[animation.versions.length - 1].version + 1;
+      animation.versions.push({ version, createdAt: now, timeline, report, options });
+      animation.updatedAt = now;
+
+      await this.writeJson(path.join(this.getAnimationsPath(sessionId), `${animationId}.json`), animation);
+
+      const index = await this.readIndex(sessionId);
+      index.animations = index.animations.map(entry => entry.id === animationId ? this.summarize(animation) : entry);
+      await this.writeIndex(sessionId, index);
+
+      return animation;
+    });
+  }
+
+  /**
+   * Marks an animation as the session's default.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {string} animationId - The animation ID.
+   * @returns {Promise<boolean>} - True if the animation exists and was marked.
+   */
+  static async setDefault(sessionId, animationId) {
+    return this.withLock(sessionId, async () => {
+      const index = await this.readIndex(sessionId);
+      if (!index.animations.some(entry => entry.id === animationId)) return false;
+
+      index.defaultAnimationId = animationId;
+      await this.writeIndex(sessionId, index);
+      return true;
+    });
+  }
+
+  /**
+   * Deletes an animation and all its versions.
+   * If it was the default, the most recently updated remaining animation becomes the default.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {string} animationId - The animation ID.
+   * @returns {Promise<boolean>} - True if the animation existed and was deleted.
+   */
+  static async remove(sessionId, animationId) {
+    return this.withLock(sessionId, async () => {
+      const index = await this.readIndex(sessionId);
+      if (!index.animations.some(entry => entry.id === animationId)) return false;
+
+      await fs.rm(path.join(this.getAnimationsPath(sessionId), `${animationId}.json`), { force: true });
+
+      index.animations = index.animations.filter(entry => entry.id !== animationId);
+      if (index.defaultAnimationId === animationId) {
+        const latest = [...index.animations].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0];
+        index.defaultAnimationId = latest ? latest.id : null;
+      }
+      await this.writeIndex(sessionId, index);
+      return true;
+    });
+  }
+
+  /**
+   * Returns the time animations were last saved for a session (used by session cleanup).
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<number|null>} - Modification time in milliseconds, or null if none are saved.
+   */
+  static async getLastModified(sessionId) {
+    try {
+      const stats = await fs.stat(path.join(this.getAnimationsPath(sessionId), 'index.json'));
+      return stats.mtime.getTime();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = AnimationStore;
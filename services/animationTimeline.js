@@ -0,0 +1,213 @@
+const CONFIG = require('../config/config');
+
+/**
+ * Timeline animation format (version 1).
+ *
+ * {
+ *   "format": "timeline",
+ *   "version": 1,
+ *   "duration": <seconds, end time of the last step>,
+ *   "groups": [
+ *     {
+ *       "id": "g1",
+ *       "phase": "disassembly" | "reassembly",
+ *       "startTime": <seconds from the start of the animation>,
+ *       "steps": [                       // steps in a group play in parallel
+ *         {
+ *           "fragmentId": <number>,
+ *           "action": "rotate" | "scale" | "translate",
+ *           "params": { ... },           // same params as the legacy command format
+ *           "startTime": <seconds from the start of the group>,
+ *           "duration": <seconds>,
+ *           "easing": "linear" | "easeIn" | ...,
+ *           "keyframes": [               // optional intermediate poses
+ *             { "time": <0..1 fraction of the step>, "params": { ... } }
+ *           ]
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ */
+const TIMELINE_FORMAT = 'timeline';
+const TIMELINE_VERSION = 1;
+
+// Phases a group can belong to
+const PHASES = ['disassembly', 'reassembly'];
+
+// Easing curves the viewer supports
+const EASINGS = [
+  'linear',
+  'easeIn',
+  'easeOut',
+  'easeInOut',
+  'easeInCubic',
+  'easeOutCubic',
+  'easeInOutCubic',
+  'easeOutBack',
+  'easeOutBounce'
+];
+
+/**
+ * Returns the parameters that undo a command (negated translation or rotation, inverse scale).
+ * @param {object} command - A command or step with action and params.
+ * @returns {object} - The inverse params.
+ */
+function invertParams({ action, params }) {
+  switch (action) {
+    case 'rotate':
+      return { axis: params.axis, angle: -params.angle };
+    case 'scale':
+      return { factor: Math.round((1 / params.factor) * 1000) / 1000 };
+    default:
+      return { x: -params.x, y: -params.y, z: -params.z };
+  }
+}
+
+/**
+ * Checks whether a command exactly undoes another command on the same fragment.
+ * @param {object} command - The candidate inverse command.
+ * @param {object} original - The earlier command.
+ * @returns {boolean} - True if command undoes original.
+ */
+function isInverse(command, original) {
+  if (command.fragmentId !== original.fragmentId || command.action !== original.action) return false;
+  if (!command.params || !original.params) return false;
+  const inverse = invertParams(original);
+  return Object.keys(inverse).every(key =>
+    typeof inverse[key] === 'number'
+      ? Math.abs(inverse[key] - Number(command.params[key])) < 1e-6
+      : inverse[key] === command.params[key]
+  );
+}
+
+/**
+ * Computes the end time of a timeline (latest step end across all groups).
+ * @param {Array<object>} groups - Timeline groups.
+ * @returns {number} - Total duration in seconds.
+ */
+function computeDuration(groups) {
+  let duration = 0;
+  for (const group of groups) {
+    for (const step of group.steps) {
+      duration = Math.max(duration, group.startTime + step.startTime + step.duration);
+    }
+  }
+  return Math.round(duration * 1000) / 1000;
+}
+
+/**
+ * Wraps groups in the versioned timeline envelope.
+ * @param {Array<object>} groups - Timeline groups.
+ * @returns {object} - The timeline document.
+ */
+function createTimeline(groups) {
+  return {
+    format: TIMELINE_FORMAT,
+    version: TIMELINE_VERSION,
+    duration: computeDuration(groups),
+    groups
+  };
+}
+
+/**
+ * Converts a legacy flat command array into a timeline that plays the commands one after another.
+ * Commands that undo an earlier command on the same fragment are placed in the reassembly phase.
+ * @param {Array<object>} commands - Legacy commands ({ fragmentId, action, params }).
+ * @returns {object} - The equivalent timeline.
+ */
+function fromLegacyCommands(commands) {
+  const unmatched = [];
+  const groups = commands.map((command, index) => {
+    const originalIndex = command && typeof command === 'object'
+      ? unmatched.findIndex(original => isInverse(command, original))
+      : -1;
+
+    let phase = 'disassembly';
+    if (originalIndex !== -1) {
+      unmatched.splice(originalIndex, 1);
+      phase = 'reassembly';
+    } else if (command && typeof command === 'object') {
+      unmatched.push(command);
+    }
+
+    return {
+      id: `g${index + 1}`,
+      phase,
+      startTime: index * CONFIG.ANIMATION_LIMITS.DEFAULT_STEP_DURATION,
+      steps: [{
+        ...command,
+        startTime: 0,
+        duration: CONFIG.ANIMATION_LIMITS.DEFAULT_STEP_DURATION,
+        easing: 'easeInOut'
+      }]
+    };
+  });
+
+  return createTimeline(groups);
+}
+
+/**
+ * Builds a reassembly phase that undoes the disassembly groups in reverse order.
+ * Steps within a group stay parallel; their order within the group is mirrored too.
+ * @param {Array<object>} disassemblyGroups - The disassembly groups.
+ * @param {number} startTime - Time at which reassembly starts.
+ * @returns {Array<object>} - The reassembly groups.
+ */
+function buildReassembly(disassemblyGroups, startTime) {
+  const groups = [];
+  let time = startTime;
+
+  [...disassemblyGroups].reverse().forEach((group, index) => {
+    const length = computeDuration([{ startTime: 0, steps: group.steps }]);
+    groups.push({
+      id: `r${index + 1}`,
+      phase: 'reassembly',
+      startTime: Math.round(time * 1000) / 1000,
+      steps: group.steps.map(step => ({
+        fragmentId: step.fragmentId,
+        action: step.action,
+        params: invertParams(step),
+        startTime: Math.round((length - step.startTime - step.duration) * 1000) / 1000,
+        duration: step.duration,
+        easing: step.easing
+      }))
+    });
+    time += length;
+  });
+
+  return groups;
+}
+
+/**
+ * Down-converts a timeline to the legacy flat command array for older clients.
+ * Steps are ordered by absolute start time; timing, easing and keyframes are dropped.
+ * @param {object} timeline - The timeline document.
+ * @returns {Array<object>} - Legacy commands ({ fragmentId, action, params }).
+ */
+function toLegacyCommands(timeline) {
+  const steps = [];
+  timeline.groups.forEach(group => {
+    group.steps.forEach(step => {
+      steps.push({ start: group.startTime + step.startTime, step });
+    });
+  });
+
+  // Array.prototype.sort is stable, so parallel steps keep their group order
+  return steps
+    .sort((a, b) => a.start - b.start)
+    .map(({ step }) => ({ fragmentId: step.fragmentId, action: step.action, params: step.params }));
+}
+
+module.exports = {
+  TIMELINE_FORMAT,
+  TIMELINE_VERSION,
+  PHASES,
+  EASINGS,
+  invertParams,
+  computeDuration,
+  createTimeline,
+  fromLegacyCommands,
+  buildReassembly,
+  toLegacyCommands
+};
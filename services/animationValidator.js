@@ -0,0 +1,307 @@
+const CONFIG = require('../config/config');
+const { EASINGS, PHASES, TIMELINE_VERSION, fromLegacyCommands } = require('./animationTimeline');
+
+/**
+ * Formal schema for animation commands.
+ * Each action lists the params it requires and the type each param must have.
+ */
+const COMMAND_SCHEMA = {
+  rotate: {
+    axis: { type: 'axis' },
+    angle: { type: 'number', min: -CONFIG.ANIMATION_LIMITS.MAX_ROTATION_DEGREES, max: CONFIG.ANIMATION_LIMITS.MAX_ROTATION_DEGREES }
+  },
+  scale: {
+    factor: { type: 'number', min: CONFIG.ANIMATION_LIMITS.MIN_SCALE_FACTOR, max: CONFIG.ANIMATION_LIMITS.MAX_SCALE_FACTOR }
+  },
+  translate: {
+    x: { type: 'number', min: -CONFIG.ANIMATION_LIMITS.MAX_TRANSLATION, max: CONFIG.ANIMATION_LIMITS.MAX_TRANSLATION },
+    y: { type: 'number', min: -CONFIG.ANIMATION_LIMITS.MAX_TRANSLATION, max: CONFIG.ANIMATION_LIMITS.MAX_TRANSLATION },
+    z: { type: 'number', min: -CONFIG.ANIMATION_LIMITS.MAX_TRANSLATION, max: CONFIG.ANIMATION_LIMITS.MAX_TRANSLATION }
+  }
+};
+
+// Axes accepted for rotate commands
+const VALID_AXES = ['x', 'y', 'z'];
+
+/**
+ * Collects every objectid present in the model hierarchy.
+ * @param {object} hierarchyData - The object hierarchy data from Forge (09_object_hierarchy.json).
+ * @returns {Set<number>} - Set of all objectids in the model.
+ */
+function collectObjectIds(hierarchyData) {
+  const ids = new Set();
+
+  // Walk the tree depth-first and record each node's objectid
+  const walk = (node) => {
+    if (typeof node.objectid === 'number') ids.add(node.objectid);
+    if (node.objects) node.objects.forEach(walk);
+  };
+
+  (hierarchyData?.data?.objects || []).forEach(walk);
+  return ids;
+}
+
+/**
+ * Converts a value to a finite number if it is a number or numeric string.
+ * @param {*} value - The value to convert.
+ * @returns {number|null} - The number, or null if the value is not numeric.
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+/**
+ * Validates a single animation command against the schema and the model's objectids.
+ * Harmless formatting issues (numeric strings, upper-case axis/action names) are
+ * normalized in place and reported as fixes; anything else is reported as an error.
+ * @param {*} command - The command as returned by the LLM.
+ * @param {Set<number>} validIds - The objectids that exist in the model.
+ * @returns {{ command: object|null, errors: string[], fixes: string[] }} - Normalized command with errors and fixes.
+ */
+function validateCommand(command, validIds) {
+  const errors = [];
+  const fixes = [];
+
+  if (!command || typeof command !== 'object' || Array.isArray(command)) {
+    return { command: null, errors: ['Command must be a JSON object'], fixes };
+  }
+
+  // Validate the fragment ID and make sure it exists in the hierarchy
+  const fragmentId = toNumber(command.fragmentId);
+  if (fragmentId === null || !Number.isInteger(fragmentId)) {
+    errors.push(`fragmentId must be an integer (got ${JSON.stringify(command.fragmentId)})`);
+  } else {
+    if (typeof command.fragmentId !== 'number') fixes.push('Converted fragmentId to a number');
+    if (!validIds.has(fragmentId)) errors.push(`fragmentId ${fragmentId} does not exist in the model hierarchy`);
+  }
+
+  // Validate the action name
+  const action = typeof command.action === 'string' ? command.action.trim().toLowerCase() : command.action;
+  if (!COMMAND_SCHEMA[action]) {
+    errors.push(`Unknown action ${JSON.stringify(command.action)} (expected one of: ${Object.keys(COMMAND_SCHEMA).join(', ')})`);
+    return { command: { ...command, fragmentId }, errors, fixes };
+  }
+  if (action !== command.action) fixes.push(`Normalized action "${command.action}" to "${action}"`);
+
+  // Validate the params required by the action
+  const params = {};
+  const rawParams = command.params && typeof command.params === 'object' ? command.params : {};
+  if (!command.params || typeof command.params !== 'object') {
+    errors.push('params must be an object');
+  }
+
+  for (const [name, rule] of Object.entries(COMMAND_SCHEMA[action])) {
+    const value = rawParams[name];
+
+    if (value === undefined || value === null) {
+      errors.push(`${action} requires params.${name}`);
+      continue;
+    }
+
+    if (rule.type === 'axis') {
+      const axis = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (!VALID_AXES.includes(axis)) {
+        errors.push(`params.axis must be one of ${VALID_AXES.join(', ')} (got ${JSON.stringify(value)})`);
+        continue;
+      }
+      if (axis !== value) fixes.push(`Normalized axis "${value}" to "${axis}"`);
+      params[name] = axis;
+      continue;
+    }
+
+    const number = toNumber(value);
+    if (number === null) {
+      errors.push(`params.${name} must be a number (got ${JSON.stringify(value)})`);
+      continue;
+    }
+    if (typeof value !== 'number') fixes.push(`Converted params.${name} to a number`);
+    if (number < rule.min || number > rule.max) {
+      errors.push(`params.${name} = ${number} is outside the allowed range [${rule.min}, ${rule.max}]`);
+      continue;
+    }
+    params[name] = number;
+  }
+
+  return {
+    command: { fragmentId, action, params },
+    errors,
+    fixes
+  };
+}
+
+/**
+ * Validates a timing value (startTime or duration) and applies its default when missing.
+ * @param {object} source - Object holding the value.
+ * @param {string} name - Field name.
+ * @param {object} rule - { default, min, max, exclusiveMin }.
+ * @param {string[]} errors - Error list to append to.
+ * @param {string[]} fixes - Fix list to append to.
+ * @returns {number|undefined} - The normalized value, or undefined if invalid.
+ */
+function validateTime(source, name, rule, errors, fixes) {
+  const value = source[name];
+  if (value === undefined || value === null) {
+    fixes.push(`Defaulted ${name} to ${rule.default}`);
+    return rule.default;
+  }
+
+  const number = toNumber(value);
+  if (number === null) {
+    errors.push(`${name} must be a number of seconds (got ${JSON.stringify(value)})`);
+    return undefined;
+  }
+  if (typeof value !== 'number') fixes.push(`Converted ${name} to a number`);
+  if ((rule.exclusiveMin ? number <= rule.min : number < rule.min) || number > rule.max) {
+    errors.push(`${name} = ${number} is outside the allowed range ${rule.exclusiveMin ? '(' : '['}${rule.min}, ${rule.max}]`);
+    return undefined;
+  }
+  return number;
+}
+
+/**
+ * Validates a single timeline step: the command fields (fragmentId, action, params)
+ * plus timing, easing and optional keyframes.
+ * @param {*} step - The step as returned by the LLM.
+ * @param {Set<number>} validIds - The objectids that exist in the model.
+ * @returns {{ step: object|null, errors: string[], fixes: string[] }} - Normalized step with errors and fixes.
+ */
+function validateStep(step, validIds) {
+  const { command, errors, fixes } = validateCommand(step, validIds);
+  if (!command || !COMMAND_SCHEMA[command.action]) {
+    return { step: command, errors, fixes };
+  }
+
+  const normalized = { ...command };
+
+  // Timing: startTime is relative to the group, duration must be positive
+  normalized.startTime = validateTime(step, 'startTime', {
+    default: 0, min: 0, max: CONFIG.ANIMATION_LIMITS.MAX_TIMELINE_DURATION
+  }, errors, fixes);
+  normalized.duration = validateTime(step, 'duration', {
+    default: CONFIG.ANIMATION_LIMITS.DEFAULT_STEP_DURATION, min: 0, exclusiveMin: true, max: CONFIG.ANIMATION_LIMITS.MAX_STEP_DURATION
+  }, errors, fixes);
+
+  // Easing curve (case-insensitive match against the supported list)
+  if (step.easing === undefined || step.easing === null) {
+    normalized.easing = 'easeInOut';
+    fixes.push('Defaulted easing to "easeInOut"');
+  } else {
+    const easing = EASINGS.find(name => typeof step.easing === 'string' && name.toLowerCase() === step.easing.trim().toLowerCase());
+    if (!easing) {
+      errors.push(`easing must be one of ${EASINGS.join(', ')} (got ${JSON.stringify(step.easing)})`);
+    } else {
+      if (easing !== step.easing) fixes.push(`Normalized easing "${step.easing}" to "${easing}"`);
+      normalized.easing = easing;
+    }
+  }
+
+  // Optional keyframes: times are fractions of the step and must increase
+  if (step.keyframes !== undefined && step.keyframes !== null) {
+    if (!Array.isArray(step.keyframes)) {
+      errors.push('keyframes must be an array');
+    } else {
+      let previousTime = -1;
+      normalized.keyframes = [];
+
+      step.keyframes.forEach((keyframe, index) => {
+        const time = toNumber(keyframe?.time);
+        if (time === null || time < 0 || time > 1) {
+          errors.push(`keyframes[${index}].time must be a number between 0 and 1 (got ${JSON.stringify(keyframe?.time)})`);
+          return;
+        }
+        if (time <= previousTime) {
+          errors.push(`keyframes[${index}].time must be greater than the previous keyframe time`);
+          return;
+        }
+        previousTime = time;
+
+        // Keyframe params follow the same schema as the step's own params
+        const result = validateCommand({ fragmentId: command.fragmentId, action: command.action, params: keyframe.params }, validIds);
+        result.errors
+          .filter(error => !error.startsWith('fragmentId'))
+          .forEach(error => errors.push(`keyframes[${index}]: ${error}`));
+        normalized.keyframes.push({ time, params: result.command.params });
+      });
+    }
+  }
+
+  return { step: normalized, errors, fixes };
+}
+
+/**
+ * Validates a full timeline animation.
+ * A legacy flat command array is accepted and converted to a timeline first.
+ * Structural problems (missing groups, bad phases or group start times) are returned as
+ * timeline-level errors; problems with individual steps are returned per step, keyed by
+ * a "group.step" path, so they can be repaired or dropped one by one.
+ * @param {*} timeline - The parsed LLM output.
+ * @param {Set<number>} validIds - The objectids that exist in the model.
+ * @returns {{ groups: Array<object>, results: Array<object>, errors: string[], fixes: string[] }}
+ *   - Group skeletons, per-step results, timeline-level errors and timeline-level fixes.
+ */
+function validateTimeline(timeline, validIds) {
+  const errors = [];
+  const fixes = [];
+
+  // Accept the legacy flat array format and convert it
+  if (Array.isArray(timeline)) {
+    timeline = fromLegacyCommands(timeline);
+    fixes.push('Converted legacy command array to timeline format');
+  }
+
+  if (!timeline || typeof timeline !== 'object' || !Array.isArray(timeline.groups)) {
+    return { groups: [], results: [], errors: ['Output must be a timeline object with a "groups" array'], fixes };
+  }
+  if (timeline.groups.length === 0) {
+    errors.push('Timeline must contain at least one group');
+  }
+  if (timeline.version !== undefined && timeline.version !== TIMELINE_VERSION) {
+    fixes.push(`Set timeline version ${JSON.stringify(timeline.version)} to ${TIMELINE_VERSION}`);
+  }
+
+  const groups = [];
+  const results = [];
+  let previousEnd = 0;
+
+  timeline.groups.forEach((group, groupIndex) => {
+    if (!group || typeof group !== 'object' || !Array.isArray(group.steps)) {
+      errors.push(`groups[${groupIndex}] must be an object with a "steps" array`);
+      return;
+    }
+
+    // Phase (case-insensitive)
+    const phase = typeof group.phase === 'string' ? group.phase.trim().toLowerCase() : group.phase;
+    if (!PHASES.includes(phase)) {
+      errors.push(`groups[${groupIndex}].phase must be one of ${PHASES.join(', ')} (got ${JSON.stringify(group.phase)})`);
+      return;
+    }
+
+    // Group start time defaults to the end of the previous group
+    const groupErrors = [];
+    const startTime = validateTime(group, 'startTime', {
+      default: previousEnd, min: 0, max: CONFIG.ANIMATION_LIMITS.MAX_TIMELINE_DURATION
+    }, groupErrors, fixes);
+    groupErrors.forEach(error => errors.push(`groups[${groupIndex}].${error}`));
+    if (startTime === undefined) return;
+
+    const skeleton = { id: group.id ? String(group.id) : `g${groupIndex + 1}`, phase, startTime, paths: [] };
+    group.steps.forEach((step, stepIndex) => {
+      const path = `${groupIndex}.${stepIndex}`;
+      const result = validateStep(step, validIds);
+      results.push({ path, original: step, ...result });
+      skeleton.paths.push(path);
+
+      if (result.step?.duration !== undefined) {
+        previousEnd = Math.max(previousEnd, startTime + (result.step.startTime || 0) + result.step.duration);
+      }
+    });
+
+    groups.push(skeleton);
+  });
+
+  return { groups, results, errors, fixes };
+}
+
+module.exports = { COMMAND_SCHEMA, collectObjectIds, validateCommand, validateStep, validateTimeline };
@@ -0,0 +1,144 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const CONFIG = require('../config/config');
+
+// Roles a key can have: clients see their own sessions, admins see every session and manage keys
+const ROLES = ['client', 'admin'];
+
+// Keys as last read from disk, with the file's modification time (re-read when the file changes)
+let cache = { mtimeMs: null, keys: [] };
+
+// Pending writes of the key file, chained so they never interleave
+let writeChain = Promise.resolve();
+
+/**
+ * ApiKeyStore manages the API keys kept in CONFIG.API_KEYS_FILE (config/apiKeys.json by default).
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once, when it is created.
+ * The file can be edited by hand (changes are picked up on the next request) or through the
+ * admin endpoints.
+ *
+ * Key record: { id, clientId, name, role, hash, prefix, createdAt, quotas?, revokedAt? }
+ * where quotas overrides CONFIG.DAILY_QUOTAS for requests made with the key, e.g. { "translations": 100 }
+ * File shape: { keys: [records] }
+ */
+class ApiKeyStore {
+  /**
+   * Hashes an API key for storage and lookup.
+   * @param {string} key - The API key.
+   * @returns {string} - Hex SHA-256 hash.
+   */
+  static hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Returns the stored keys, re-reading the file if it changed.
+   * @returns {Promise<object[]>} - Key records.
+   */
+  static async load() {
+    try {
+      const stats = await fs.stat(CONFIG.API_KEYS_FILE);
+      if (stats.mtimeMs !== cache.mtimeMs) {
+        const data = JSON.parse(await fs.readFile(CONFIG.API_KEYS_FILE, 'utf-8'));
+        cache = { mtimeMs: stats.mtimeMs, keys: data.keys || [] };
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // No key file means no keys
+        cache = { mtimeMs: null, keys: [] };
+      } else {
+        // Keep the last good copy, e.g. while the file is being edited by hand
+        console.error('Failed to read API keys:', error.message);
+      }
+    }
+    return cache.keys;
+  }
+
+  /**
+   * Writes the keys to disk (via a temporary file, so a crash never leaves it half-written).
+   * @param {object[]} keys - Key records.
+   * @returns {Promise<void>}
+   */
+  static async save(keys) {
+    const snapshot = JSON.stringify({ keys }, null, 2);
+    writeChain = writeChain.catch(() => { }).then(async () => {
+      await fs.mkdir(path.dirname(CONFIG.API_KEYS_FILE), { recursive: true });
+      await fs.writeFile(`${CONFIG.API_KEYS_FILE}.tmp`, snapshot, { mode: 0o600 });
+      await fs.rename(`${CONFIG.API_KEYS_FILE}.tmp`, CONFIG.API_KEYS_FILE);
+      cache = { mtimeMs: (await fs.stat(CONFIG.API_KEYS_FILE)).mtimeMs, keys };
+    });
+    return writeChain;
+  }
+
+  /**
+   * Looks up an active key.
+   * @param {string} key - The API key presented by a client.
+   * @returns {Promise<object|null>} - The key record, or null if unknown or revoked.
+   */
+  static async verify(key) {
+    const hash = Buffer.from(this.hash(key), 'hex');
+    const keys = await this.load();
+    const record = keys.find(candidate =>
+      candidate.hash?.length === 64 && crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), hash));
+    return record && !record.revokedAt ? record : null;
+  }
+
+  /**
+   * Creates a key.
+   * @param {object} options - { clientId, name, role, quotas? }.
+   * @returns {Promise<{ key: string, record: object }>} - The new key (only available now) and its public record.
+   */
+  static async create({ clientId, name, role = 'client', quotas }) {
+    const key = `ak_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: uuidv4(),
+      clientId,
+      name: name || clientId,
+      role,
+      hash: this.hash(key),
+      prefix: key.slice(0, 8),
+      createdAt: new Date().toISOString(),
+      quotas
+    };
+
+    await this.save([...(await this.load()), record]);
+    return { key, record: this.toPublic(record) };
+  }
+
+  /**
+   * Revokes a key; revoked keys stay listed so their use can still be traced.
+   * @param {string} id - Key record ID.
+   * @returns {Promise<object|null>} - The revoked key's public record, or null if not found.
+   */
+  static async revoke(id) {
+    const keys = await this.load();
+    const record = keys.find(candidate => candidate.id === id);
+    if (!record) return null;
+
+    const updated = { ...record, revokedAt: record.revokedAt || new Date().toISOString() };
+    await this.save(keys.map(candidate => (candidate.id === id ? updated : candidate)));
+    return this.toPublic(updated);
+  }
+
+  /**
+   * Lists all keys without their hashes.
+   * @returns {Promise<object[]>} - Public key records.
+   */
+  static async list() {
+    return (await this.load()).map(record => this.toPublic(record));
+  }
+
+  /**
+   * Returns a key record without its hash.
+   * @param {object} record - Key record.
+   * @returns {object} - Public key record.
+   */
+  static toPublic(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  }
+}
+
+module.exports = { ApiKeyStore, ROLES };
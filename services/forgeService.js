@@ -1,80 +1,89 @@
 const axios = require('axios');
+const { setTimeout: sleep } = require('timers/promises');
+const { createReadStream } = require('fs');
+const { Transform } = require('stream');
 const fs = require('fs').promises;
 const path = require('path');
 const FileUtils = require('../utils/fileUtils');
+const AsyncUtils = require('../utils/asyncUtils');
+const TokenManager = require('./tokenManager');
 const CONFIG = require('../config/config');
 
+// Scopes of the token used by the processing pipeline
+const DEFAULT_SCOPES = ['data:write', 'data:read', 'bucket:create', 'bucket:delete'];
+
 /**
  * ForgeClient encapsulates all Autodesk Forge API interactions,
  * including authentication, bucket management, file uploads, translation jobs,
  * and retrieval of model metadata and properties.
+ * Every method obtains its access token from TokenManager, which caches and refreshes tokens,
+ * so callers never pass tokens around and long-running polls never use an expired one.
  */
 class ForgeClient {
   /**
    * Initialize the ForgeClient with client credentials.
    * @param {string} clientId - Autodesk Forge client ID.
    * @param {string} clientSecret - Autodesk Forge client secret.
+   * @param {object} options - Optional settings.
+   * @param {AbortSignal} options.signal - Aborts pending requests and polling waits when signalled.
    */
-  constructor(clientId, clientSecret) {
+  constructor(clientId, clientSecret, { signal } = {}) {
     this.clientId = clientId;
     this.clientSecret = clientSecret;
-    this.baseURL = 'https://developer.api.autodesk.com';
+    this.baseURL = CONFIG.FORGE_BASE_URL;
+    this.signal = signal;
+  }
+
+  /**
+   * Waits between polling attempts; rejects early if the client's signal is aborted.
+   * @param {number} ms - Milliseconds to wait.
+   * @returns {Promise<void>}
+   */
+  async delay(ms) {
+    await sleep(ms, undefined, { signal: this.signal });
+  }
+
+  /**
+   * Obtain an OAuth access token (cached by TokenManager, refreshed before it expires).
+   * @param {string[]} scopes - Array of OAuth scopes to request.
+   * @returns {Promise<{ accessToken: string, tokenType: string, expiresIn: number, expiresAt: string }>} - The token
+   *   and its remaining lifetime in seconds.
+   */
+  async getToken(scopes = DEFAULT_SCOPES) {
+    return TokenManager.getToken(this.clientId, this.clientSecret, scopes, { baseURL: this.baseURL, signal: this.signal });
   }
 
   /**
-   * Obtain an OAuth access token from Forge.
-   * Optionally saves the token response to disk.
+   * Obtain an OAuth access token string.
+   * Optionally saves the token details (never the token itself) to disk.
    * @param {string|null} responsePath - Path to save the token response (optional).
    * @param {string[]} scopes - Array of OAuth scopes to request.
    * @returns {Promise<string>} - The access token string.
    */
-  async getAccessToken(responsePath = null, scopes = [
-    'data:write',
-    'data:read',
-    'bucket:create',
-    'bucket:delete'
-  ]) {
-    const credentials = `${this.clientId}:${this.clientSecret}`;
-    const encodedCredentials = Buffer.from(credentials).toString('base64');
-
-    try {
-      const response = await axios.post(
-        `${this.baseURL}/authentication/v2/token`,
-        new URLSearchParams({
-          grant_type: 'client_credentials',
-          scope: scopes.join(' ')
-        }),
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'Accept': 'application/json',
-            'Authorization': `Basic ${encodedCredentials}`
-          },
-          timeout: 30000
-        }
-      );
-
-      // Save token response if a path is provided
-      if (responsePath) {
-        await FileUtils.saveResponseToFile(responsePath, '01_get_access_token', response.data);
-      }
-
-      return response.data.access_token;
-    } catch (error) {
-      const message = error.response?.data?.error_description || error.message;
-      throw new Error(`Access token error: ${message}`);
+  async getAccessToken(responsePath = null, scopes = DEFAULT_SCOPES) {
+    const token = await this.getToken(scopes);
+
+    // Save token response if a path is provided
+    if (responsePath) {
+      await FileUtils.saveResponseToFile(responsePath, '01_get_access_token', {
+        expires_in: token.expiresIn,
+        token_type: token.tokenType
+      });
     }
+
+    return token.accessToken;
   }
 
   /**
    * Create a new Forge bucket for file uploads.
    * If the bucket already exists, marks it as such.
-   * @param {string} accessToken - OAuth access token.
    * @param {string} bucketKey - Unique bucket key.
    * @param {string} responsePath - Path to save the response.
    * @returns {Promise<boolean>} - True if bucket created or already exists.
    */
-  async createBucket(accessToken, bucketKey, responsePath) {
+  async createBucket(bucketKey, responsePath) {
+    const accessToken = await this.getAccessToken();
+
     try {
       const response = await axios.post(
         `${this.baseURL}/oss/v2/buckets`,
@@ -88,6 +97,7 @@ class ForgeClient {
             'Authorization': `Bearer ${accessToken}`,
             'Content-Type': 'application/json'
           },
+          signal: this.signal,
           timeout: 30000
         }
       );
@@ -105,16 +115,45 @@ class ForgeClient {
     }
   }
 
+  /**
+   * Delete a Forge bucket together with all objects uploaded to it.
+   * A bucket that no longer exists (e.g. an expired transient bucket) counts as deleted.
+   * @param {string} bucketKey - Forge bucket key.
+   * @returns {Promise<boolean>} - True if the bucket was deleted, false if it did not exist.
+   */
+  async deleteBucket(bucketKey) {
+    const accessToken = await this.getAccessToken();
+
+    try {
+      await axios.delete(
+        `${this.baseURL}/oss/v2/buckets/${bucketKey}`,
+        {
+          headers: { 'Authorization': `Bearer ${accessToken}` },
+          signal: this.signal,
+          timeout: 30000
+        }
+      );
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return false;
+      }
+      const message = error.response?.data?.reason || error.message;
+      throw new Error(`Bucket deletion failed: ${message}`);
+    }
+  }
+
   /**
    * Upload all files in a folder (recursively) to a Forge bucket.
-   * Calls uploadSingleFile for each file found.
-   * @param {string} accessToken - OAuth access token.
+   * Files are uploaded in parallel (CONFIG.UPLOAD_CONCURRENCY at a time) and progress is
+   * reported by bytes sent, throttled to one update per CONFIG.UPLOAD_PROGRESS_INTERVAL.
    * @param {string} bucketKey - Forge bucket key.
    * @param {string} folderPath - Local folder to upload.
    * @param {string} responsePath - Path to save responses.
-   * @param {function} updateProgress - Optional callback for progress updates.
+   * @param {function} updateProgress - Optional callback for progress updates (message, fraction of bytes uploaded);
+   *   may return a promise, which is awaited before the next update.
    */
-  async uploadAllFiles(accessToken, bucketKey, folderPath, responsePath, updateProgress) {
+  async uploadAllFiles(bucketKey, folderPath, responsePath, updateProgress) {
     const files = [];
 
     // Recursively walk the directory to collect all files
@@ -125,67 +164,171 @@ class ForgeClient {
         if (entry.isDirectory()) {
           await walkDir(fullPath);
         } else {
+          const relative = FileUtils.normalizeRelativePath(path.relative(folderPath, fullPath));
           files.push({
             name: entry.name,
             path: fullPath,
-            relative: path.relative(folderPath, fullPath)
+            relative,
+            // Keyed by relative path, so same-named files in different folders do not overwrite each other
+            objectKey: relative,
+            size: (await fs.stat(fullPath)).size
           });
         }
       }
     };
 
     await walkDir(folderPath);
+
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+    let uploadedBytes = 0;
     let uploadedCount = 0;
+    let lastReport = 0;
+    let reports = Promise.resolve();
+
+    // Progress updates run one after another, so they never overwrite each other
+    const report = (force = false) => {
+      if (!updateProgress || (!force && Date.now() - lastReport < CONFIG.UPLOAD_PROGRESS_INTERVAL)) return;
+      lastReport = Date.now();
+      const fraction = totalBytes > 0 ? uploadedBytes / totalBytes : uploadedCount / Math.max(files.length, 1);
+      const message = `Uploaded ${uploadedCount}/${files.length} files (${toMB(uploadedBytes)} of ${toMB(totalBytes)} MB)`;
+      reports = reports.then(() => updateProgress(message, fraction)).catch(() => { });
+    };
 
-    // Upload each file one by one
-    for (const file of files) {
-      try {
-        await this.uploadSingleFile(accessToken, bucketKey, file, responsePath);
-        uploadedCount++;
-        if (updateProgress) {
-          updateProgress(`Uploaded ${uploadedCount}/${files.length} files`);
+    try {
+      await AsyncUtils.mapWithConcurrency(files, CONFIG.UPLOAD_CONCURRENCY, async (file) => {
+        this.signal?.throwIfAborted();
+        try {
+          await this.uploadSingleFile(bucketKey, file, responsePath, (bytes) => {
+            uploadedBytes += bytes;
+            report();
+          });
+        } catch (error) {
+          console.error(`Error uploading ${file.relative}:`, error.message);
+          throw error; // Stop on first upload failure
         }
-      } catch (error) {
-        console.error(`Error uploading ${file.name}:`, error.message);
-        throw error; // Stop on first upload failure
-      }
+        uploadedCount++;
+        report(uploadedCount === files.length);
+      });
+    } finally {
+      await reports;
     }
   }
 
   /**
-   * Upload a single file to Forge using a signed S3 URL.
-   * Handles S3 upload and finalizes with Forge.
-   * @param {string} accessToken - OAuth access token.
+   * Request signed S3 upload URLs for an object.
    * @param {string} bucketKey - Forge bucket key.
-   * @param {object} file - File object with name and path.
-   * @param {string} responsePath - Path to save responses.
+   * @param {string} objectKey - Object key.
+   * @param {number} firstPart - Number (1-based) of the first part to get a URL for.
+   * @param {number} parts - Number of URLs to get (at most 25 per request).
+   * @param {string|null} uploadKey - Upload key from an earlier request for the same upload.
+   * @returns {Promise<{ uploadKey: string, urls: string[] }>} - Upload key and signed URLs.
    */
-  async uploadSingleFile(accessToken, bucketKey, file, responsePath) {
-    // Get signed URL for S3 upload
-    const encodedFileName = encodeURIComponent(file.name);
-    const signedUrlResponse = await axios.get(
-      `${this.baseURL}/oss/v2/buckets/${bucketKey}/objects/${encodedFileName}/signeds3upload?minutesExpiration=60`,
+  async getSignedUploadUrls(bucketKey, objectKey, firstPart, parts, uploadKey = null) {
+    const accessToken = await this.getAccessToken();
+
+    const params = new URLSearchParams({ minutesExpiration: '60', firstPart: String(firstPart), parts: String(parts) });
+    if (uploadKey) params.set('uploadKey', uploadKey);
+
+    const response = await axios.get(
+      `${this.baseURL}/oss/v2/buckets/${bucketKey}/objects/${encodeURIComponent(objectKey)}/signeds3upload?${params}`,
       {
         headers: { 'Authorization': `Bearer ${accessToken}` },
+        signal: this.signal,
         timeout: 30000
       }
     );
+    return { uploadKey: response.data.uploadKey, urls: response.data.urls };
+  }
+
+  /**
+   * Stream a byte range of a file to a signed S3 URL.
+   * @param {string} signedUrl - Signed S3 URL for this part.
+   * @param {string} filePath - Local file path.
+   * @param {number} start - First byte (inclusive).
+   * @param {number} end - Last byte (exclusive).
+   * @param {function} onBytes - Called with the number of bytes sent; on failure it is called with
+   *   the negative count already reported, so progress stays byte-accurate across retries.
+   */
+  async putChunk(signedUrl, filePath, start, end, onBytes) {
+    let sent = 0;
+    let body = Buffer.alloc(0);
+
+    if (end > start) {
+      // Count bytes as they are handed to the HTTP request
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          sent += chunk.length;
+          onBytes(chunk.length);
+          callback(null, chunk);
+        }
+      });
+      body = createReadStream(filePath, { start, end: end - 1 }).on('error', error => counter.destroy(error)).pipe(counter);
+    }
+
+    try {
+      await axios.put(signedUrl, body, {
+        headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': end - start },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        signal: this.signal,
+        timeout: CONFIG.UPLOAD_CHUNK_TIMEOUT
+      });
+    } catch (error) {
+      onBytes(-sent);
+      throw error;
+    }
+  }
 
-    const { urls: [signedUrl], uploadKey } = signedUrlResponse.data;
+  /**
+   * Upload a single file to Forge using signed S3 URLs.
+   * The file is streamed from disk; files above CONFIG.UPLOAD_MULTIPART_THRESHOLD are split into
+   * CONFIG.UPLOAD_CHUNK_SIZE parts, each with its own signed URL. Failed chunks are retried with
+   * a fresh signed URL (CONFIG.UPLOAD_CHUNK_ATTEMPTS attempts); then the upload is finalized with Forge.
+   * @param {string} bucketKey - Forge bucket key.
+   * @param {object} file - File object with name, path, size and objectKey (defaults to the name).
+   * @param {string} responsePath - Path to save responses.
+   * @param {function} onBytes - Optional callback with the number of bytes sent (negative when a chunk is retried).
+   */
+  async uploadSingleFile(bucketKey, file, responsePath, onBytes = () => { }) {
+    const objectKey = file.objectKey || file.name;
+    const size = file.size ?? (await fs.stat(file.path)).size;
+    const chunkSize = size > CONFIG.UPLOAD_MULTIPART_THRESHOLD ? CONFIG.UPLOAD_CHUNK_SIZE : Math.max(size, 1);
+    const partCount = Math.max(1, Math.ceil(size / chunkSize));
+
+    // Get signed URLs for all parts (Forge hands out at most 25 per request)
+    let uploadKey = null;
+    const urls = [];
+    for (let firstPart = 1; firstPart <= partCount; firstPart += 25) {
+      const batch = await this.getSignedUploadUrls(bucketKey, objectKey, firstPart,
+        Math.min(25, partCount - firstPart + 1), uploadKey);
+      uploadKey = batch.uploadKey;
+      urls.push(...batch.urls);
+    }
 
-    // Upload file data to S3
-    const fileData = await fs.readFile(file.path);
-    await axios.put(signedUrl, fileData, {
-      headers: { 'Content-Type': 'application/octet-stream' },
-      timeout: 120000 // 2 minutes for file upload
-    });
+    // Upload the parts in order, retrying network errors, server errors, throttling and expired URLs
+    const isRetryable = (error) => !error.response || [403, 408, 429].includes(error.response.status) || error.response.status >= 500;
+    for (let part = 0; part < partCount; part++) {
+      await AsyncUtils.retry(async (attempt) => {
+        const signedUrl = attempt === 1
+          ? urls[part]
+          : (await this.getSignedUploadUrls(bucketKey, objectKey, part + 1, 1, uploadKey)).urls[0];
+        await this.putChunk(signedUrl, file.path, part * chunkSize, Math.min(size, (part + 1) * chunkSize), onBytes);
+      }, {
+        attempts: CONFIG.UPLOAD_CHUNK_ATTEMPTS,
+        baseDelay: CONFIG.UPLOAD_RETRY_BASE_DELAY,
+        signal: this.signal,
+        shouldRetry: isRetryable
+      });
+    }
 
     // Finalize the upload with Forge
+    const accessToken = await this.getAccessToken();
     await axios.post(
-      `${this.baseURL}/oss/v2/buckets/${bucketKey}/objects/${file.name}/signeds3upload`,
+      `${this.baseURL}/oss/v2/buckets/${bucketKey}/objects/${encodeURIComponent(objectKey)}/signeds3upload`,
       {
         ossbucketKey: bucketKey,
-        ossSourceFileObjectKey: file.name,
+        ossSourceFileObjectKey: objectKey,
         access: 'full',
         uploadKey
       },
@@ -194,58 +337,60 @@ class ForgeClient {
           'Authorization': `Bearer ${accessToken}`,
           'Content-Type': 'application/json'
         },
+        signal: this.signal,
         timeout: 30000
       }
     );
   }
 
   /**
-   * Link references for assembly files (e.g., .iam referencing .ipt).
-   * Finds all .ipt files and links them to the assembly in Forge.
-   * @param {string} accessToken - OAuth access token.
+   * Link references for composite designs (e.g., .iam referencing sub-assemblies and .ipt parts).
+   * Sends the nested reference tree, so sub-assembly references are linked under their own parent.
    * @param {string} bucketKey - Forge bucket key.
-   * @param {string} assemblyFile - Main assembly file name.
-   * @param {string} folderPath - Local folder containing files.
+   * @param {string} rootKey - Object key of the root file (its relative path in the upload).
+   * @param {Array<object>} references - Reference tree from ReferenceUtils.buildLinkTree
+   *   ({ path, relativePath, filename, references }).
    * @param {string} responsePath - Path to save responses.
    * @returns {Promise<boolean>} - True if linking succeeded.
    */
-  async linkReferences(accessToken, bucketKey, assemblyFile, folderPath, responsePath) {
+  async linkReferences(bucketKey, rootKey, references, responsePath) {
+    const accessToken = await this.getAccessToken();
+
     try {
-      const assemblyUrn = `urn:adsk.objects:os.object:${bucketKey}/${assemblyFile}`;
-      const encodedUrn = this.base64EncodeUrn(assemblyUrn);
-
-      const references = [];
-      const files = await fs.readdir(folderPath, { recursive: true });
-
-      // Find all .ipt files and add as references
-      for (const file of files) {
-        if (typeof file === 'string' && file.toLowerCase().endsWith('.ipt')) {
-          const relPath = path.relative(folderPath, path.join(folderPath, file)).replace(/\\/g, '/');
-          references.push({
-            urn: `urn:adsk.objects:os.object:${bucketKey}/${path.basename(file)}`,
-            relativePath: relPath,
-            filename: path.basename(file)
-          });
-        }
-      }
+      const rootUrn = this.getObjectUrn(bucketKey, rootKey);
+      const encodedUrn = this.base64EncodeUrn(rootUrn);
+
+      // Convert the tree to the Model Derivative format, counting linked files
+      let referencesCount = 0;
+      const toPayload = (node) => {
+        referencesCount++;
+        return {
+          urn: this.getObjectUrn(bucketKey, node.path),
+          relativePath: node.relativePath,
+          filename: node.filename,
+          references: node.references.map(toPayload)
+        };
+      };
+      const payloadReferences = references.map(toPayload);
 
       await axios.post(
         `${this.baseURL}/modelderivative/v2/designdata/${encodedUrn}/references`,
         {
-          urn: assemblyUrn,
-          filename: assemblyFile,
-          references
+          urn: rootUrn,
+          filename: path.posix.basename(rootKey),
+          references: payloadReferences
         },
         {
           headers: {
             'Authorization': `Bearer ${accessToken}`,
             'Content-Type': 'application/json'
           },
+          signal: this.signal,
           timeout: 60000
         }
       );
 
-      await FileUtils.saveResponseToFile(responsePath, '05_link_references', { success: true, referencesCount: references.length });
+      await FileUtils.saveResponseToFile(responsePath, '05_link_references', { success: true, referencesCount });
       return true;
     } catch (error) {
       const message = error.response?.data?.errorMessage || error.message;
@@ -254,25 +399,26 @@ class ForgeClient {
   }
 
   /**
-   * Start a translation job for the uploaded assembly file.
+   * Start a translation job for the uploaded root file.
    * Requests SVF2 output for both 2D and 3D views.
-   * @param {string} accessToken - OAuth access token.
    * @param {string} bucketKey - Forge bucket key.
-   * @param {string} assemblyFile - Main assembly file name.
+   * @param {string} rootFile - Object key of the root file (its relative path in the upload).
    * @param {string} responsePath - Path to save responses.
+   * @param {boolean} checkReferences - Whether Forge should resolve linked references (composite designs only).
    * @returns {Promise<string>} - The encoded URN for the translation job.
    */
-  async startTranslationJob(accessToken, bucketKey, assemblyFile, responsePath) {
+  async startTranslationJob(bucketKey, rootFile, responsePath, checkReferences = true) {
+    const accessToken = await this.getAccessToken();
+
     try {
-      const assemblyUrn = `urn:adsk.objects:os.object:${bucketKey}/${assemblyFile}`;
-      const encodedUrn = this.base64EncodeUrn(assemblyUrn);
+      const encodedUrn = this.base64EncodeUrn(this.getObjectUrn(bucketKey, rootFile));
 
       const response = await axios.post(
         `${this.baseURL}/modelderivative/v2/designdata/job`,
         {
           input: {
             urn: encodedUrn,
-            checkReferences: true
+            checkReferences
           },
           output: {
             formats: [
@@ -289,6 +435,7 @@ class ForgeClient {
             'Content-Type': 'application/json',
             'x-ads-force': 'true'
           },
+          signal: this.signal,
           timeout: 60000
         }
       );
@@ -304,70 +451,111 @@ class ForgeClient {
   /**
    * Poll Forge for translation status until complete or timeout.
    * Saves the final status to disk.
-   * @param {string} accessToken - OAuth access token.
    * @param {string} encodedUrn - Base64-encoded URN.
    * @param {string} responsePath - Path to save responses.
-   * @param {function} updateProgress - Optional callback for progress updates.
+   * @param {function} updateProgress - Optional callback for progress updates (message, fraction translated).
    * @returns {Promise<boolean>} - True if translation succeeded.
    */
-  async checkTranslationStatus(accessToken, encodedUrn, responsePath, updateProgress) {
+  async checkTranslationStatus(encodedUrn, responsePath, updateProgress) {
     const maxAttempts = Math.floor((CONFIG.TRANSLATION_TIMEOUT_MINUTES * 60 * 1000) / CONFIG.TRANSLATION_CHECK_INTERVAL);
+    // Progress updates run one after another and a failed update never fails the poll
+    let reports = Promise.resolve();
 
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      try {
-        const response = await axios.get(
-          `${this.baseURL}/modelderivative/v2/designdata/${encodedUrn}/manifest`,
-          {
-            headers: { 'Authorization': `Bearer ${accessToken}` },
-            timeout: 30000
+    try {
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        // Fetched on every attempt, so a long poll picks up the refreshed token
+        const accessToken = await this.getAccessToken();
+
+        try {
+          const response = await axios.get(
+            `${this.baseURL}/modelderivative/v2/designdata/${encodedUrn}/manifest`,
+            {
+              headers: { 'Authorization': `Bearer ${accessToken}` },
+              signal: this.signal,
+              timeout: 30000
+            }
+          );
+
+          const status = response.data.status;
+          const progress = response.data.progress || '0%';
+
+          if (updateProgress) {
+            // Forge reports progress as text such as "45% complete"
+            const percent = status === 'success' ? 100 : (parseInt(progress, 10) || 0);
+            reports = reports.then(() => updateProgress(`Translation ${status} - ${progress}`, percent / 100)).catch(() => { });
+          }
+
+          if (status === 'success') {
+            await FileUtils.saveResponseToFile(responsePath, '07_translation_status', { status, progress });
+            return true;
           }
-        );
 
-        const status = response.data.status;
-        const progress = response.data.progress || '0%';
+          if (status === 'failed' || status === 'timeout') {
+            const errorMsg = response.data.messages?.map(m => m.message).join('; ') || `Translation ${status}`;
+            throw new Error(errorMsg);
+          }
 
-        if (updateProgress) {
-          updateProgress(`Translation ${status} - ${progress}`);
+          await this.delay(CONFIG.TRANSLATION_CHECK_INTERVAL);
+        } catch (error) {
+          if (this.signal?.aborted) throw error;
+          if (error.response?.status === 404 && attempt < 3) {
+            // Manifest might not be ready yet, wait a bit more
+            await this.delay(CONFIG.TRANSLATION_CHECK_INTERVAL);
+            continue;
+          }
+          throw error;
         }
+      }
 
-        if (status === 'success') {
-          await FileUtils.saveResponseToFile(responsePath, '07_translation_status', { status, progress });
-          return true;
-        }
+      throw new Error(`Translation timeout after ${CONFIG.TRANSLATION_TIMEOUT_MINUTES} minutes`);
+    } finally {
+      await reports;
+    }
+  }
 
-        if (status === 'failed' || status === 'timeout') {
-          const errorMsg = response.data.messages?.map(m => m.message).join('; ') || `Translation ${status}`;
-          throw new Error(errorMsg);
-        }
+  /**
+   * Fetch the derivative manifest of a translated model once (no polling).
+   * @param {string} encodedUrn - Base64-encoded URN.
+   * @returns {Promise<object|null>} - The manifest, or null if the URN has no derivatives.
+   */
+  async getManifest(encodedUrn) {
+    const accessToken = await this.getAccessToken();
 
-        await new Promise(resolve => setTimeout(resolve, CONFIG.TRANSLATION_CHECK_INTERVAL));
-      } catch (error) {
-        if (error.response?.status === 404 && attempt < 3) {
-          // Manifest might not be ready yet, wait a bit more
-          await new Promise(resolve => setTimeout(resolve, CONFIG.TRANSLATION_CHECK_INTERVAL));
-          continue;
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/modelderivative/v2/designdata/${encodedUrn}/manifest`,
+        {
+          headers: { 'Authorization': `Bearer ${accessToken}` },
+          signal: this.signal,
+          timeout: 30000
         }
-        throw error;
+      );
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
       }
+      const message = error.response?.data?.diagnostic || error.message;
+      throw new Error(`Manifest retrieval failed: ${message}`);
     }
-
-    throw new Error(`Translation timeout after ${CONFIG.TRANSLATION_TIMEOUT_MINUTES} minutes`);
   }
 
   /**
    * Retrieve model metadata (such as viewable GUIDs).
    * Saves metadata to disk and returns the first viewable GUID.
-   * @param {string} accessToken - OAuth access token.
    * @param {string} encodedUrn - Base64-encoded URN.
    * @param {string} responsePath - Path to save responses.
    * @returns {Promise<string>} - The first viewable GUID.
    */
-  async getMetadata(accessToken, encodedUrn, responsePath) {
+  async getMetadata(encodedUrn, responsePath) {
+    const accessToken = await this.getAccessToken();
+
     try {
       const response = await axios.get(
         `${this.baseURL}/modelderivative/v2/designdata/${encodedUrn}/metadata`,
         {
           headers: { 'Authorization': `Bearer ${accessToken}` },
+          signal: this.signal,
           timeout: 30000
         }
       );
@@ -388,19 +576,22 @@ class ForgeClient {
   /**
    * Retrieve the object hierarchy for the model.
    * Retries up to 5 times if data is not immediately available.
-   * @param {string} accessToken - OAuth access token.
    * @param {string} encodedUrn - Base64-encoded URN.
    * @param {string} guidViewable - GUID of the viewable.
    * @param {string} responsePath - Path to save responses.
    * @returns {Promise<object>} - The object hierarchy data.
    */
-  async getObjectHierarchy(accessToken, encodedUrn, guidViewable, responsePath) {
+  async getObjectHierarchy(encodedUrn, guidViewable, responsePath) {
     for (let attempt = 0; attempt < 5; attempt++) {
+      // Fetched on every attempt, so a long poll picks up the refreshed token
+      const accessToken = await this.getAccessToken();
+
       try {
         const response = await axios.get(
           `${this.baseURL}/modelderivative/v2/designdata/${encodedUrn}/metadata/${guidViewable}`,
           {
             headers: { 'Authorization': `Bearer ${accessToken}` },
+            signal: this.signal,
             timeout: 30000
           }
         );
@@ -410,13 +601,14 @@ class ForgeClient {
           return response.data;
         }
 
-        await new Promise(resolve => setTimeout(resolve, 5000));
+        await this.delay(5000);
       } catch (error) {
+        if (this.signal?.aborted) throw error;
         if (attempt === 4) {
           const message = error.response?.data?.errorMessage || error.message;
           throw new Error(`Object hierarchy failed: ${message}`);
         }
-        await new Promise(resolve => setTimeout(resolve, 5000));
+        await this.delay(5000);
       }
     }
   }
@@ -424,19 +616,22 @@ class ForgeClient {
   /**
    * Retrieve all properties for all objects in the model.
    * Retries up to 5 times if data is not immediately available.
-   * @param {string} accessToken - OAuth access token.
    * @param {string} encodedUrn - Base64-encoded URN.
    * @param {string} guidViewable - GUID of the viewable.
    * @param {string} responsePath - Path to save responses.
    * @returns {Promise<object>} - The properties data.
    */
-  async getProperties(accessToken, encodedUrn, guidViewable, responsePath) {
+  async getProperties(encodedUrn, guidViewable, responsePath) {
     for (let attempt = 0; attempt < 5; attempt++) {
+      // Fetched on every attempt, so a long poll picks up the refreshed token
+      const accessToken = await this.getAccessToken();
+
       try {
         const response = await axios.get(
           `${this.baseURL}/modelderivative/v2/designdata/${encodedUrn}/metadata/${guidViewable}/properties`,
           {
             headers: { 'Authorization': `Bearer ${accessToken}` },
+            signal: this.signal,
             timeout: 30000
           }
         );
@@ -446,17 +641,28 @@ class ForgeClient {
           return response.data;
         }
 
-        await new Promise(resolve => setTimeout(resolve, 5000));
+        await this.delay(5000);
       } catch (error) {
+        if (this.signal?.aborted) throw error;
         if (attempt === 4) {
           const message = error.response?.data?.errorMessage || error.message;
           throw new Error(`Properties retrieval failed: ${message}`);
         }
-        await new Promise(resolve => setTimeout(resolve, 5000));
+        await this.delay(5000);
       }
     }
   }
 
+  /**
+   * Build the OSS object URN for an object in a bucket.
+   * @param {string} bucketKey - Forge bucket key.
+   * @param {string} objectKey - Object key (relative path of the uploaded file).
+   * @returns {string} - The object URN (not encoded).
+   */
+  getObjectUrn(bucketKey, objectKey) {
+    return `urn:adsk.objects:os.object:${bucketKey}/${objectKey}`;
+  }
+
   /**
    * Encode a URN for use in Forge API URLs.
    * Uses base64 encoding and replaces URL-unsafe characters.
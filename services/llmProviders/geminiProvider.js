@@ -0,0 +1,63 @@
+const axios = require('axios');
+const CONFIG = require('../../config/config');
+
+/**
+ * GeminiProvider sends prompts to the Google Gemini generateContent REST API.
+ */
+class GeminiProvider {
+  /**
+   * Initialize the provider with API credentials.
+   * @param {string} apiKey - Gemini API key.
+   * @param {string} model - Gemini model name (e.g. 'gemini-2.0-flash').
+   */
+  constructor(apiKey = CONFIG.GEMINI_API_KEY, model = CONFIG.GEMINI_MODEL) {
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  /**
+   * Checks whether the provider has the credentials it needs.
+   * @returns {boolean} - True if an API key is configured.
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Sends a prompt to Gemini and returns the raw text of the first candidate.
+   * @param {string} prompt - The prompt text.
+   * @param {object} options - Generation options.
+   * @param {number} options.temperature - Sampling temperature.
+   * @param {number} options.maxOutputTokens - Maximum number of tokens in the response.
+   * @returns {Promise<string>} - The text response from Gemini.
+   */
+  async generate(prompt, { temperature = CONFIG.LLM_TEMPERATURE, maxOutputTokens = CONFIG.LLM_MAX_OUTPUT_TOKENS } = {}) {
+    try {
+      // Call Gemini API with the constructed prompt
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`,
+        {
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: {
+            temperature, // Controls randomness of output
+            maxOutputTokens // Limits the length of the response
+          }
+        },
+        {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: CONFIG.LLM_TIMEOUT
+        }
+      );
+
+      // Extract the text response from Gemini
+      return response.data.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || "";
+    } catch (error) {
+      // Log and throw error if Gemini API call fails
+      console.error("Gemini API error:", error.message);
+      throw new Error(`Gemini request failed: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+}
+
+module.exports = GeminiProvider;
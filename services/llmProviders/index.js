@@ -0,0 +1,27 @@
+const CONFIG = require('../../config/config');
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const MockProvider = require('./mockProvider');
+
+// Registry of available LLM providers, keyed by the name used in config and requests
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  mock: MockProvider
+};
+
+/**
+ * Creates an LLM provider instance by name.
+ * Every provider exposes the same interface:
+ *   - name {string}
+ *   - isConfigured() {boolean}
+ *   - generate(prompt, { temperature, maxOutputTokens }) {Promise<string>}
+ * @param {string} [name] - Provider name; defaults to CONFIG.LLM_PROVIDER.
+ * @returns {object|null} - The provider instance, or null if the name is unknown.
+ */
+function getProvider(name = CONFIG.LLM_PROVIDER) {
+  const Provider = PROVIDERS[name];
+  return Provider ? new Provider() : null;
+}
+
+module.exports = { PROVIDERS, getProvider };
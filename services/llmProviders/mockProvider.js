@@ -0,0 +1,65 @@
+/**
+ * MockProvider is a deterministic, offline stand-in for an LLM.
+ * It reads the fragment IDs listed in the prompt and always returns the same
+ * disassembly/reassembly timeline for the same prompt, which makes it useful
+ * for local development and tests without API keys or network access.
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  /**
+   * The mock provider needs no configuration.
+   * @returns {boolean} - Always true.
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Returns a canned animation timeline derived from the IDs in the prompt.
+   * Repair prompts get an empty correction list, since the mock never emits invalid steps.
+   * @param {string} prompt - The prompt text.
+   * @returns {Promise<string>} - A timeline JSON object as text.
+   */
+  async generate(prompt) {
+    if (prompt.includes('Invalid steps:')) {
+      return '[]';
+    }
+
+    // Collect fragment IDs in the order they appear in the hierarchy outline
+    const ids = [];
+    for (const match of prompt.matchAll(/\(ID: (\d+)\)/g)) {
+      const id = Number(match[1]);
+      if (!ids.includes(id)) ids.push(id);
+    }
+
+    // Skip the root node and animate up to five parts
+    const parts = ids.slice(1, 6);
+    const axes = ['x', 'y', 'z'];
+
+    // Explode all parts in one parallel group, then bring them back in a second group
+    const disassembly = parts.map((fragmentId, index) => {
+      const offset = { x: 0, y: 0, z: 0 };
+      offset[axes[index % axes.length]] = 50 * (index + 1);
+      return { fragmentId, action: 'translate', params: offset, startTime: index * 0.25, duration: 1.5, easing: 'easeInOut' };
+    });
+    const reassembly = [...disassembly].reverse().map((step, index) => ({
+      ...step,
+      params: { x: -step.params.x, y: -step.params.y, z: -step.params.z },
+      startTime: index * 0.25
+    }));
+    const reassemblyStart = (parts.length - 1) * 0.25 + 1.5 + 0.5;
+
+    return JSON.stringify({
+      version: 1,
+      groups: [
+        { id: 'explode', phase: 'disassembly', startTime: 0, steps: disassembly },
+        { id: 'assemble', phase: 'reassembly', startTime: reassemblyStart, steps: reassembly }
+      ]
+    });
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,68 @@
+const axios = require('axios');
+const CONFIG = require('../../config/config');
+
+/**
+ * OpenAIProvider sends prompts to any OpenAI-compatible chat completions endpoint
+ * (OpenAI itself, or a self-hosted model server exposing the same API).
+ */
+class OpenAIProvider {
+  /**
+   * Initialize the provider with endpoint settings.
+   * @param {string} baseURL - Base URL of the API (e.g. 'https://api.openai.com/v1').
+   * @param {string|undefined} apiKey - API key (optional for self-hosted servers).
+   * @param {string} model - Model name sent with each request.
+   */
+  constructor(baseURL = CONFIG.OPENAI_BASE_URL, apiKey = CONFIG.OPENAI_API_KEY, model = CONFIG.OPENAI_MODEL) {
+    this.name = 'openai';
+    this.baseURL = baseURL.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  /**
+   * Checks whether the provider has the settings it needs.
+   * Self-hosted servers usually need no key, so only the base URL and model are required.
+   * @returns {boolean} - True if a base URL and model are configured.
+   */
+  isConfigured() {
+    return Boolean(this.baseURL && this.model);
+  }
+
+  /**
+   * Sends a prompt as a single user message and returns the text of the first choice.
+   * @param {string} prompt - The prompt text.
+   * @param {object} options - Generation options.
+   * @param {number} options.temperature - Sampling temperature.
+   * @param {number} options.maxOutputTokens - Maximum number of tokens in the response.
+   * @returns {Promise<string>} - The text response from the model.
+   */
+  async generate(prompt, { temperature = CONFIG.LLM_TEMPERATURE, maxOutputTokens = CONFIG.LLM_MAX_OUTPUT_TOKENS } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/chat/completions`,
+        {
+          model: this.model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature,
+          max_tokens: maxOutputTokens
+        },
+        {
+          headers,
+          timeout: CONFIG.LLM_TIMEOUT
+        }
+      );
+
+      // Extract the text of the first completion choice
+      return response.data.choices?.[0]?.message?.content?.trim() || "";
+    } catch (error) {
+      // Log and throw error if the chat completions call fails
+      console.error("OpenAI-compatible API error:", error.message);
+      throw new Error(`OpenAI-compatible request failed: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
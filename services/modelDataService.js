@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config/config');
+const HierarchyUtils = require('../utils/hierarchyUtils');
+
+// Files written by the processing pipeline that the model queries are served from
+const HIERARCHY_FILE = '09_object_hierarchy.json';
+const PROPERTIES_FILE = '10_properties_all_objects.json';
+
+// Parsed and indexed models by session ID, least recently used first (at most CONFIG.MODEL_CACHE_SIZE)
+const cache = new Map();
+
+/**
+ * ModelDataService reads a session's object hierarchy and properties for the model query endpoints.
+ * Parsed models are cached in memory together with the stamp (modification time and size) of both
+ * files; the stamp is also what the endpoints' ETags are built from, so unchanged models can be
+ * revalidated without reading them.
+ */
+class ModelDataService {
+  /**
+   * Returns the paths of a session's hierarchy and properties files.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {{ hierarchyPath: string, propertiesPath: string }} - File paths.
+   */
+  static getPaths(sessionId) {
+    const responsePath = path.join('responses', `session_${sessionId}`);
+    return {
+      hierarchyPath: path.join(responsePath, HIERARCHY_FILE),
+      propertiesPath: path.join(responsePath, PROPERTIES_FILE)
+    };
+  }
+
+  /**
+   * Returns a stamp that changes whenever either file is rewritten.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<string|null>} - The stamp, or null if either file is missing.
+   */
+  static async getStamp(sessionId) {
+    const { hierarchyPath, propertiesPath } = this.getPaths(sessionId);
+    try {
+      const stats = await Promise.all([fs.stat(hierarchyPath), fs.stat(propertiesPath)]);
+      return stats.map(stat => `${stat.mtimeMs}-${stat.size}`).join(':');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Loads a session's model, from the cache when the files have not changed.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<{ stamp: string, nodes: Map, properties: Map }|null>} - Nodes from
+   *   HierarchyUtils.indexNodes and merged properties from HierarchyUtils.indexProperties,
+   *   or null if the files are missing.
+   */
+  static async load(sessionId) {
+    const stamp = await this.getStamp(sessionId);
+    if (!stamp) return null;
+
+    const cached = cache.get(sessionId);
+    if (cached?.stamp === stamp) {
+      // Move to the end, so the least recently used model is evicted first
+      cache.delete(sessionId);
+      cache.set(sessionId, cached);
+      return cached;
+    }
+
+    const { hierarchyPath, propertiesPath } = this.getPaths(sessionId);
+    const [hierarchyData, propertiesData] = await Promise.all([
+      fs.readFile(hierarchyPath, 'utf-8').then(JSON.parse),
+      fs.readFile(propertiesPath, 'utf-8').then(JSON.parse)
+    ]);
+
+    const model = {
+      stamp,
+      nodes: HierarchyUtils.indexNodes(hierarchyData),
+      properties: HierarchyUtils.indexProperties(propertiesData)
+    };
+
+    cache.delete(sessionId);
+    cache.set(sessionId, model);
+    while (cache.size > CONFIG.MODEL_CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    return model;
+  }
+
+  /**
+   * Drops a session's cached model (e.g. when the session is deleted).
+   * @param {string} sessionId - The unique session identifier.
+   */
+  static evict(sessionId) {
+    cache.delete(sessionId);
+  }
+}
+
+module.exports = ModelDataService;
@@ -0,0 +1,289 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config/config');
+const SessionManager = require('./sessionService');
+const { processFiles, getResumeStep, SOURCE_FILE_STEPS } = require('./processingService');
+
+// Queue state file; survives server restarts
+const QUEUE_FILE = path.join('data', 'queue.json');
+
+// In-memory copy of the queue state (loaded from QUEUE_FILE on first use)
+let state = null;
+
+// Pending writes of the queue state, chained so they never interleave
+let writeChain = Promise.resolve();
+
+// Running pipelines by session ID: { controller: AbortController, done: Promise }
+const running = new Map();
+
+/**
+ * ProcessingQueue runs Forge processing pipelines with a concurrency limit.
+ * Jobs are persisted in data/queue.json, so a restart can find pipelines that were
+ * interrupted and either restart them or mark their sessions as failed.
+ *
+ * Job shape: { sessionId, folderPath, responsePath, state: 'queued'|'running',
+ *              enqueuedAt, startedAt?, attempts }
+ */
+class ProcessingQueue {
+  /**
+   * Loads the queue state from disk (once).
+   * @returns {Promise<object>} - The queue state ({ jobs, waitTimes }).
+   */
+  static async load() {
+    if (state) return state;
+    try {
+      const loaded = JSON.parse(await fs.readFile(QUEUE_FILE, 'utf-8'));
+      state = { jobs: loaded.jobs || [], waitTimes: loaded.waitTimes || [] };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read processing queue, starting empty:', error.message);
+      }
+      state = { jobs: [], waitTimes: [] };
+    }
+    return state;
+  }
+
+  /**
+   * Writes the queue state to disk (via a temporary file, so a crash never leaves it half-written).
+   * @returns {Promise<void>}
+   */
+  static async save() {
+    const snapshot = JSON.stringify(state, null, 2);
+    writeChain = writeChain.catch(() => { }).then(async () => {
+      await fs.mkdir(path.dirname(QUEUE_FILE), { recursive: true });
+      await fs.writeFile(`${QUEUE_FILE}.tmp`, snapshot);
+      await fs.rename(`${QUEUE_FILE}.tmp`, QUEUE_FILE);
+    });
+    return writeChain;
+  }
+
+  /**
+   * Adds a session to the queue and starts it right away if a pipeline slot is free.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {string} folderPath - Folder holding the extracted upload.
+   * @param {string} responsePath - Folder for Forge responses.
+   * @returns {Promise<number|null>} - The session's queue position, or null if it started immediately.
+   * @throws {Error} - With code ALREADY_QUEUED if the session already has a queued or running job.
+   */
+  static async enqueue(sessionId, folderPath, responsePath) {
+    await this.load();
+    // Two pipelines of one session would share its upload folder and could only be cancelled one at a time
+    if (state.jobs.some(job => job.sessionId === sessionId)) {
+      throw Object.assign(new Error(`Session ${sessionId} is already queued or processing`), { code: 'ALREADY_QUEUED' });
+    }
+    state.jobs.push({
+      sessionId,
+      folderPath,
+      responsePath,
+      state: 'queued',
+      enqueuedAt: new Date().toISOString(),
+      attempts: 0
+    });
+    await this.save();
+    await this.drain();
+
+    const position = this.getQueued().findIndex(job => job.sessionId === sessionId);
+    return position === -1 ? null : position + 1;
+  }
+
+  /**
+   * Returns the jobs waiting for a pipeline slot, in order.
+   * @returns {Array<object>} - Queued jobs.
+   */
+  static getQueued() {
+    return state.jobs.filter(job => job.state === 'queued');
+  }
+
+  /**
+   * Starts queued jobs while fewer than MAX_CONCURRENT_PIPELINES are running,
+   * then refreshes the queue positions of the sessions still waiting.
+   * @returns {Promise<void>}
+   */
+  static async drain() {
+    await this.load();
+
+    while (state.jobs.filter(job => job.state === 'running').length < CONFIG.MAX_CONCURRENT_PIPELINES) {
+      const job = this.getQueued()[0];
+      if (!job) break;
+
+      const now = Date.now();
+      job.state = 'running';
+      job.startedAt = new Date(now).toISOString();
+      job.attempts++;
+
+      // Keep a bounded sample of wait times for the statistics
+      state.waitTimes.push(now - new Date(job.enqueuedAt).getTime());
+      if (state.waitTimes.length > CONFIG.QUEUE_WAIT_SAMPLE_SIZE) state.waitTimes.shift();
+
+      await this.save();
+      await SessionManager.updateSession(job.sessionId, { queuePosition: undefined, startedAt: job.startedAt });
+
+      // Run the pipeline in the background; free the slot when it finishes
+      const controller = new AbortController();
+      const done = processFiles(job.sessionId, job.folderPath, job.responsePath, { signal: controller.signal })
+        .catch(error => {
+          console.error(`Background processing failed for ${job.sessionId}:`, error.message);
+        })
+        .finally(() => {
+          running.delete(job.sessionId);
+          return this.finish(job.sessionId);
+        });
+      running.set(job.sessionId, { controller, done });
+    }
+
+    await this.updatePositions();
+  }
+
+  /**
+   * Removes a finished job and lets the next queued job start.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<void>}
+   */
+  static async finish(sessionId) {
+    state.jobs = state.jobs.filter(job => job.sessionId !== sessionId);
+    await this.save();
+    await this.drain().catch(error => {
+      console.error('Failed to start queued processing:', error.message);
+    });
+  }
+
+  /**
+   * Removes a session from the queue, aborting its pipeline if it is running.
+   * Resolves once a running pipeline has stopped, so the caller can safely clean up after it.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<string|null>} - 'queued' or 'running' (the job's state when cancelled), or null if not in the queue.
+   */
+  static async cancel(sessionId) {
+    await this.load();
+    const job = state.jobs.find(entry => entry.sessionId === sessionId);
+    if (!job) return null;
+
+    if (job.state === 'running' && running.has(sessionId)) {
+      const { controller, done } = running.get(sessionId);
+      controller.abort();
+      await done;
+      return 'running';
+    }
+
+    state.jobs = state.jobs.filter(entry => entry !== job);
+    await this.save();
+    await this.updatePositions();
+    return job.state;
+  }
+
+  /**
+   * Records the current queue position in each waiting session.
+   * @returns {Promise<void>}
+   */
+  static async updatePositions() {
+    const queued = this.getQueued();
+    for (const [index, job] of queued.entries()) {
+      const message = `Waiting for a processing slot (position ${index + 1} of ${queued.length})`;
+      const session = await SessionManager.getSession(job.sessionId);
+      if (session && session.message !== message) {
+        await SessionManager.updateSession(job.sessionId, { status: 'queued', message, queuePosition: index + 1 });
+      }
+    }
+  }
+
+  /**
+   * Recovers the queue after a server restart. Called once on startup.
+   * - Jobs that were running when the server stopped are resumed from their first incomplete step,
+   *   unless that step needs source files that no longer exist or they have been recovered too
+   *   often; those sessions are marked failed with the reason.
+   * - Sessions left in 'queued' or 'processing' without a queue entry are marked failed.
+   * - Queued jobs keep their place and start as slots become free.
+   * @returns {Promise<void>}
+   */
+  static async recover() {
+    await this.load();
+    const requeued = [];
+    const failed = [];
+
+    for (const job of [...state.jobs]) {
+      if (job.state !== 'running') continue;
+
+      const session = await SessionManager.getSession(job.sessionId);
+      const needsFiles = SOURCE_FILE_STEPS.includes(getResumeStep(session));
+      const filesAvailable = await fs.access(job.folderPath).then(() => true, () => false);
+      let reason = null;
+      if (needsFiles && !filesAvailable) {
+        reason = 'Processing was interrupted by a server restart and the uploaded files are no longer available';
+      } else if (job.attempts > CONFIG.QUEUE_MAX_RECOVERY_ATTEMPTS) {
+        reason = `Processing was interrupted by a server restart ${job.attempts} times and will not be retried`;
+      }
+
+      if (reason) {
+        state.jobs = state.jobs.filter(entry => entry !== job);
+        await SessionManager.updateSession(job.sessionId, { status: 'failed', message: reason, error: reason, progress: 0 });
+        failed.push(job.sessionId);
+      } else {
+        // Resume ahead of jobs that never started
+        job.state = 'queued';
+        state.jobs = [job, ...state.jobs.filter(entry => entry !== job)];
+        await SessionManager.updateSession(job.sessionId, {
+          status: 'queued',
+          message: 'Resuming processing after a server restart'
+        });
+        requeued.push(job.sessionId);
+      }
+    }
+
+    // Sessions the queue does not know about cannot be resumed
+    const known = new Set(state.jobs.map(job => job.sessionId));
+    const entries = await fs.readdir('responses', { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !entry.name.startsWith('session_')) continue;
+      const sessionId = entry.name.slice('session_'.length);
+      if (known.has(sessionId)) continue;
+
+      const session = await SessionManager.getSession(sessionId);
+      if (session && ['queued', 'processing'].includes(session.status)) {
+        const reason = 'Processing was interrupted by a server restart';
+        await SessionManager.updateSession(sessionId, { status: 'failed', message: reason, error: reason, progress: 0 });
+        failed.push(sessionId);
+      }
+    }
+
+    await this.save();
+
+    if (requeued.length > 0) console.log(`Resuming ${requeued.length} interrupted processing job(s)`);
+    if (failed.length > 0) console.log(`Marked ${failed.length} interrupted session(s) as failed`);
+
+    await this.drain();
+  }
+
+  /**
+   * Returns queue depth and wait time statistics.
+   * @returns {Promise<object>} - Queue statistics.
+   */
+  static async getStats() {
+    await this.load();
+    const now = Date.now();
+    const queued = this.getQueued();
+    const running = state.jobs.filter(job => job.state === 'running');
+    const waits = state.waitTimes;
+
+    return {
+      maxConcurrent: CONFIG.MAX_CONCURRENT_PIPELINES,
+      running: running.length,
+      queued: queued.length,
+      oldestQueuedMs: queued.length > 0 ? now - new Date(queued[0].enqueuedAt).getTime() : 0,
+      waitTimes: {
+        samples: waits.length,
+        averageMs: waits.length > 0 ? Math.round(waits.reduce((sum, wait) => sum + wait, 0) / waits.length) : 0,
+        maxMs: waits.length > 0 ? Math.max(...waits) : 0
+      },
+      jobs: [...running, ...queued].map(job => ({
+        sessionId: job.sessionId,
+        state: job.state,
+        position: job.state === 'queued' ? queued.indexOf(job) + 1 : null,
+        enqueuedAt: job.enqueuedAt,
+        startedAt: job.startedAt,
+        waitingMs: job.state === 'queued' ? now - new Date(job.enqueuedAt).getTime() : undefined
+      }))
+    };
+  }
+}
+
+module.exports = ProcessingQueue;
@@ -0,0 +1,303 @@
+const { v4: uuidv4 } = require('uuid'); // For generating unique bucket keys
+const ForgeClient = require('./forgeService'); // Service for interacting with Autodesk Forge APIs
+const SessionManager = require('./sessionService'); // Service for managing session data
+const WebhookService = require('./webhookService'); // Service for completion callbacks
+const FileUtils = require('../utils/fileUtils'); // Utility functions for file operations
+const ReferenceUtils = require('../utils/referenceUtils'); // Reference graph of the uploaded design files
+const TranslationCache = require('./translationCache'); // Completed translations by upload content
+const { UsageService } = require('./usageService'); // Daily translation quota counters
+const CONFIG = require('../config/config'); // Application configuration
+
+// Pipeline steps in order. Completed steps are recorded in session.pipeline.completedSteps,
+// so a retried or recovered session resumes from the first step that has not completed.
+const PIPELINE_STEPS = [
+  'detectRootFile',
+  'preflight',
+  'hashFiles',
+  'createBucket',
+  'uploadFiles',
+  'linkReferences',
+  'startTranslation',
+  'waitForTranslation',
+  'getMetadata',
+  'getHierarchy',
+  'getProperties'
+];
+
+// Steps that read the extracted source files
+const SOURCE_FILE_STEPS = ['detectRootFile', 'preflight', 'hashFiles', 'uploadFiles', 'linkReferences'];
+
+/**
+ * Returns the first pipeline step a session has not completed yet.
+ * @param {object} session - The session data.
+ * @returns {string|null} - Step name, or null if every step has completed.
+ */
+function getResumeStep(session) {
+  const completed = session?.pipeline?.completedSteps || [];
+  return PIPELINE_STEPS.find(step => !completed.includes(step)) || null;
+}
+
+/**
+ * Looks up a completed translation of identical content and checks that Forge still has its derivatives.
+ * Entries whose derivatives are gone are dropped; a failed check counts as a miss.
+ * @param {ForgeClient} forgeClient - Client used for the manifest check.
+ * @param {string} cacheKey - Key from TranslationCache.getKey.
+ * @returns {Promise<object|null>} - The reusable cache entry, or null.
+ */
+async function findCachedTranslation(forgeClient, cacheKey) {
+  const entry = await TranslationCache.get(cacheKey);
+  if (!entry) return null;
+
+  try {
+    const manifest = await forgeClient.getManifest(entry.encodedUrn);
+    if (manifest?.status === 'success') return entry;
+
+    console.log(`Cached translation ${entry.encodedUrn} is no longer available, translating again`);
+    await TranslationCache.remove(cacheKey);
+  } catch (error) {
+    if (forgeClient.signal?.aborted) throw error;
+    console.error(`Cached translation check failed for ${entry.encodedUrn}:`, error.message);
+  }
+  return null;
+}
+
+// Main function to process uploaded files and interact with Forge APIs.
+// Resumes from the first incomplete step recorded in session.pipeline; the extracted source
+// files are only removed once the whole pipeline has succeeded, so failed sessions can be retried.
+// Aborting `signal` stops pending Forge calls; the canceller is then responsible for the session state.
+async function processFiles(sessionId, folderPath, responsePath, { signal } = {}) {
+  // Create a new ForgeClient instance with credentials from config
+  const forgeClient = new ForgeClient(CONFIG.FORGE_CLIENT_ID, CONFIG.FORGE_CLIENT_SECRET, { signal });
+
+  // Step outputs from earlier runs (rootFile, rootFormat, contentHash, bucketKey, encodedUrn, guidViewable)
+  const session = await SessionManager.getSession(sessionId);
+  const pipeline = {
+    completedSteps: [],
+    ...(session?.pipeline || {}),
+    failedStep: undefined
+  };
+  let currentStep = null;
+
+  // Runs a step unless an earlier run completed it, then records its outputs
+  const runStep = async (step, progressUpdate, run) => {
+    if (pipeline.completedSteps.includes(step)) return;
+    currentStep = step;
+    await SessionManager.updateSession(sessionId, progressUpdate);
+    Object.assign(pipeline, await run());
+    pipeline.completedSteps = [...pipeline.completedSteps, step];
+    await SessionManager.updateSession(sessionId, { pipeline });
+  };
+
+  try {
+    // Step 1: Determine the root design file. This runs before any Forge call, so nothing is
+    // created remotely for an upload that needs the client to choose between several roots.
+    if (!pipeline.completedSteps.includes('detectRootFile')) {
+      currentStep = 'detectRootFile';
+      await SessionManager.updateSession(sessionId, {
+        status: 'processing',
+        message: 'Detecting root file',
+        progress: 2,
+        pipeline
+      });
+
+      let rootFile = session?.rootFile;
+      if (!rootFile) {
+        const candidates = await FileUtils.detectRootCandidates(folderPath);
+        if (candidates.length === 0) {
+          throw new Error(`No supported root file found (supported: ${FileUtils.getSupportedRootExtensions().join(', ')})`);
+        }
+
+        // Several possible roots: pause until the client picks one (POST /sessions/:sessionId/root)
+        if (candidates.length > 1) {
+          await SessionManager.updateSession(sessionId, {
+            status: 'awaiting_root_selection',
+            message: `Found ${candidates.length} possible root files; select one to continue`,
+            progress: 0,
+            rootCandidates: candidates
+          });
+          return;
+        }
+        rootFile = candidates[0].path;
+      }
+
+      const { format, kind, referenceExtensions } = FileUtils.getRootFormat(rootFile);
+      pipeline.rootFile = rootFile;
+      pipeline.rootFormat = { format, kind, referenceExtensions };
+      pipeline.completedSteps = [...pipeline.completedSteps, 'detectRootFile'];
+      await SessionManager.updateSession(sessionId, { pipeline, rootCandidates: undefined });
+    }
+
+    // Pre-flight: build the reference graph and report duplicate names, missing references and unreferenced files
+    await runStep('preflight', { message: 'Checking references', progress: 4 }, async () => {
+      const graph = await ReferenceUtils.buildGraph(folderPath, pipeline.rootFile);
+      const report = ReferenceUtils.buildPreflightReport(graph, pipeline.rootFile);
+      await FileUtils.saveResponseToFile(responsePath, '04_preflight', report);
+      await SessionManager.updateSession(sessionId, {
+        preflight: {
+          duplicateNames: report.duplicateNames,
+          missingReferences: report.missingReferences,
+          unreferencedFiles: report.unreferencedFiles
+        }
+      });
+    });
+
+    // Content hashes (per file and overall) identify re-uploads of an identical model
+    await runStep('hashFiles', { message: 'Hashing files', progress: 4 }, async () => {
+      const hashes = await FileUtils.hashFiles(folderPath);
+      await FileUtils.saveResponseToFile(responsePath, '03_content_hash', hashes);
+      return { contentHash: hashes.contentHash, fileCount: hashes.files.length };
+    });
+
+    // Uploaded objects are keyed by their relative path
+    const rootObjectKey = pipeline.rootFile;
+    const hasReferences = pipeline.rootFormat.referenceExtensions.length > 0;
+
+    // Step 2: Check the Forge credentials before any work is done remotely. Later steps get their
+    // tokens from the shared token manager, which refreshes them during long translations.
+    await SessionManager.updateSession(sessionId, {
+      status: 'processing',
+      message: pipeline.completedSteps.includes('createBucket') ? `Resuming from ${getResumeStep({ pipeline })}` : 'Getting access token',
+      progress: 5
+    });
+
+    currentStep = 'getAccessToken';
+    await forgeClient.getAccessToken(responsePath);
+
+    // Reuse the translation of an identical upload, unless the client asked for a fresh one (force=true).
+    // A hit skips every remaining Forge step: the cached URN, hierarchy and properties are used as they are.
+    const cacheKey = TranslationCache.getKey(pipeline.contentHash, pipeline.rootFile);
+    if (!pipeline.completedSteps.includes('createBucket')) {
+      currentStep = 'checkCache';
+      const entry = session?.force ? null : await findCachedTranslation(forgeClient, cacheKey);
+      if (entry) {
+        await TranslationCache.restore(entry, responsePath);
+        pipeline.encodedUrn = entry.encodedUrn;
+        pipeline.guidViewable = entry.guidViewable;
+        pipeline.cacheHit = true;
+        pipeline.completedSteps = [...PIPELINE_STEPS];
+      }
+      // The source session is only named to its own client: another client must not learn its ID,
+      // or that it uploaded the same files (entries cached before owners were recorded count as foreign)
+      const sameOwner = Boolean(entry?.owner) && entry.owner === session?.owner;
+      await SessionManager.updateSession(sessionId, {
+        pipeline,
+        cache: entry
+          ? { hit: true, ...(sameOwner ? { sourceSessionId: entry.sourceSessionId, cachedAt: entry.createdAt } : {}) }
+          : { hit: false, forced: Boolean(session?.force) }
+      });
+    }
+
+    // Step 3: Create a new bucket for this session
+    await runStep('createBucket', { message: 'Creating bucket', progress: 10 }, async () => {
+      // Generate a unique bucket key for this session, recorded first so a cancellation can delete the bucket
+      const bucketKey = `bucket_${uuidv4().replace(/-/g, '')}`;
+      await SessionManager.updateSession(sessionId, { pipeline: { ...pipeline, bucketKey } });
+      await forgeClient.createBucket(bucketKey, responsePath);
+      return { bucketKey };
+    });
+
+    // Step 4: Upload all files to the bucket
+    await runStep('uploadFiles', { message: 'Uploading files', progress: 20 }, async () => {
+      // Upload all files in the extracted folder to Forge, moving progress from 20 to 30 as files are uploaded
+      await forgeClient.uploadAllFiles(pipeline.bucketKey, folderPath, responsePath,
+        (msg, fraction) => SessionManager.updateSession(sessionId, { message: msg, progress: 20 + Math.round(fraction * 10) }));
+    });
+
+    // Step 5: Link references for composite designs (nested sub-assemblies and parts); single files have none
+    await runStep('linkReferences', { message: hasReferences ? 'Linking references' : 'No references to link', progress: 40 }, async () => {
+      if (hasReferences) {
+        const graph = await ReferenceUtils.buildGraph(folderPath, pipeline.rootFile);
+        await forgeClient.linkReferences(pipeline.bucketKey, rootObjectKey,
+          ReferenceUtils.buildLinkTree(graph, pipeline.rootFile), responsePath);
+      }
+    });
+
+    // Step 6: Start translation job (convert model to SVF2 for viewing)
+    await runStep('startTranslation', { message: 'Starting translation', progress: 50 }, async () => {
+      const encodedUrn = await forgeClient.startTranslationJob(pipeline.bucketKey, rootObjectKey, responsePath, hasReferences);
+      // Count the job against the owner's daily quota (cache hits never get here)
+      await UsageService.record(session?.owner || 'anonymous', 'translations');
+      return { encodedUrn };
+    });
+
+    // Step 7: Wait for translation to complete (polling status)
+    await runStep('waitForTranslation', { message: 'Translating model (this may take several minutes)', progress: 60 }, async () => {
+      // Move progress from 60 to 80 with the translation percentage reported by Forge
+      await forgeClient.checkTranslationStatus(pipeline.encodedUrn, responsePath,
+        (msg, fraction) => SessionManager.updateSession(sessionId, { message: msg, progress: 60 + Math.round(fraction * 20) }));
+    });
+
+    // Step 8: Retrieve metadata (viewable GUID needed for further queries)
+    await runStep('getMetadata', { message: 'Retrieving metadata', progress: 80 }, async () => {
+      const guidViewable = await forgeClient.getMetadata(pipeline.encodedUrn, responsePath);
+      return { guidViewable };
+    });
+
+    // Step 9: Retrieve object hierarchy (structure of the model)
+    await runStep('getHierarchy', { message: 'Extracting hierarchy', progress: 85 }, async () => {
+      await forgeClient.getObjectHierarchy(pipeline.encodedUrn, pipeline.guidViewable, responsePath);
+    });
+
+    // Step 10: Retrieve all properties for all objects in the model
+    await runStep('getProperties', { message: 'Retrieving properties', progress: 95 }, async () => {
+      await forgeClient.getProperties(pipeline.encodedUrn, pipeline.guidViewable, responsePath);
+    });
+
+    // Remember the translation for later uploads of the same content
+    if (!pipeline.cacheHit) {
+      try {
+        await TranslationCache.store(cacheKey, {
+          contentHash: pipeline.contentHash,
+          rootFile: pipeline.rootFile,
+          fileCount: pipeline.fileCount,
+          encodedUrn: pipeline.encodedUrn,
+          guidViewable: pipeline.guidViewable,
+          sourceSessionId: sessionId,
+          owner: session?.owner
+        }, responsePath);
+      } catch (error) {
+        console.error(`Failed to cache translation for session ${sessionId}:`, error.message);
+      }
+    }
+
+    // Mark session as completed and store key results
+    await SessionManager.updateSession(sessionId, {
+      status: 'completed',
+      message: pipeline.cacheHit ? 'Processing completed (reused an earlier translation of identical files)' : 'Processing completed successfully',
+      progress: 100,
+      error: undefined,
+      // No access token here: clients get read-only viewer tokens from POST /auth
+      result: {
+        encodedUrn: pipeline.encodedUrn,
+        bucketKey: pipeline.bucketKey
+      }
+    });
+
+    // The source files are no longer needed once everything succeeded
+    await FileUtils.cleanupPath(folderPath);
+
+  } catch (error) {
+    // A cancelled pipeline is cleaned up by whoever cancelled it
+    if (signal?.aborted) {
+      console.log(`Processing cancelled for session ${sessionId}`);
+      return;
+    }
+
+    // On error, update session status and log error; source files are kept for a retry
+    console.error(`Processing failed for session ${sessionId}:`, error.message);
+    await SessionManager.updateSession(sessionId, {
+      status: 'failed',
+      message: error.message,
+      error: error.message,
+      progress: 0,
+      pipeline: { ...pipeline, failedStep: currentStep }
+    });
+  }
+
+  // Notify the callback URL, if one was given (runs in the background with its own retries)
+  WebhookService.notify(sessionId).catch(error => {
+    console.error(`Webhook notification failed for ${sessionId}:`, error.message);
+  });
+}
+
+module.exports = { processFiles, getResumeStep, PIPELINE_STEPS, SOURCE_FILE_STEPS };
@@ -0,0 +1,332 @@
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { Transform, finished } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const CONFIG = require('../config/config');
+
+// Folder holding in-progress resumable uploads (one sub-folder per upload)
+const RESUMABLE_ROOT = path.join('uploads', 'resumable');
+
+// Pending metadata updates per upload, so a status check and the write that depends on it never interleave
+const locks = new Map();
+
+/**
+ * ResumableUploads stores large ZIP archives sent in numbered chunks, so a dropped connection
+ * only costs the chunk in flight. Layout:
+ *   uploads/resumable/<uploadId>/upload.json       - upload metadata
+ *   uploads/resumable/<uploadId>/chunks/<n>.part   - received chunks (written atomically)
+ * Uploads expire CONFIG.RESUMABLE_UPLOAD_EXPIRY_HOURS after their last activity and are
+ * removed by the session cleanup job.
+ */
+class ResumableUploads {
+  /**
+   * Returns the folder of an upload.
+   * @param {string} uploadId - The upload ID.
+   * @returns {string} - Path to the upload folder.
+   */
+  static getUploadPath(uploadId) {
+    return path.join(RESUMABLE_ROOT, uploadId);
+  }
+
+  /**
+   * Runs a read-modify-write operation on an upload's metadata while holding its lock.
+   * @param {string} uploadId - The upload ID.
+   * @param {function} operation - Async function to run exclusively.
+   * @returns {Promise<*>} - The operation's result.
+   */
+  static async withLock(uploadId, operation) {
+    const previous = locks.get(uploadId) || Promise.resolve();
+    const current = previous.catch(() => { }).then(operation);
+    locks.set(uploadId, current);
+
+    try {
+      return await current;
+    } finally {
+      // Drop the lock entry once nothing else has queued behind this operation
+      if (locks.get(uploadId) === current) locks.delete(uploadId);
+    }
+  }
+
+  /**
+   * Reads an upload's metadata.
+   * @param {string} uploadId - The upload ID.
+   * @returns {Promise<object|null>} - The metadata, or null if the upload does not exist.
+   */
+  static async get(uploadId) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.getUploadPath(uploadId), 'upload.json'), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading upload ${uploadId}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Writes an upload's metadata, extending its expiry. The metadata goes to a temporary file that is
+   * renamed over upload.json, so readers never see it half-written.
+   * @param {object} upload - The metadata.
+   * @returns {Promise<object>} - The written metadata.
+   */
+  static async save(upload) {
+    const now = Date.now();
+    upload.updatedAt = new Date(now).toISOString();
+    upload.expiresAt = new Date(now + CONFIG.RESUMABLE_UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000).toISOString();
+    const metadataPath = path.join(this.getUploadPath(upload.uploadId), 'upload.json');
+    const tempPath = `${metadataPath}.${uuidv4()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(upload, null, 2));
+    await fs.rename(tempPath, metadataPath);
+    return upload;
+  }
+
+  /**
+   * Changes an upload's status, but only if it still has the expected one (e.g. so that of two
+   * concurrent completions only one starts finalizing).
+   * @param {string} uploadId - The upload ID.
+   * @param {string} from - The status the upload must have.
+   * @param {string} to - The new status.
+   * @returns {Promise<object|null>} - The updated metadata, or null if the upload is gone or has another status.
+   */
+  static async updateStatus(uploadId, from, to) {
+    return this.withLock(uploadId, async () => {
+      const current = await this.get(uploadId);
+      if (!current || current.status !== from) return null;
+      current.status = to;
+      return this.save(current);
+    });
+  }
+
+  /**
+   * Starts a new resumable upload.
+   * @param {object} options - { fileName, totalSize, chunkSize, owner, fields }.
+   * @returns {Promise<object>} - The upload metadata.
+   */
+  static async create({ fileName, totalSize, chunkSize, owner, fields }) {
+    const uploadId = uuidv4();
+    await fs.mkdir(path.join(this.getUploadPath(uploadId), 'chunks'), { recursive: true });
+
+    return this.save({
+      uploadId,
+      fileName,
+      totalSize,
+      chunkSize,
+      totalChunks: Math.max(1, Math.ceil(totalSize / chunkSize)),
+      owner,
+      fields,
+      status: 'uploading',
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Returns the expected size of a chunk.
+   * @param {object} upload - The upload metadata.
+   * @param {number} index - Chunk index (0-based).
+   * @returns {number} - Size in bytes.
+   */
+  static getChunkSize(upload, index) {
+    return Math.min(upload.chunkSize, upload.totalSize - index * upload.chunkSize);
+  }
+
+  /**
+   * Stores one chunk from a readable stream. The chunk only counts as received once it has
+   * been written completely with the expected size (and checksum, if given), and only while the
+   * upload is still 'uploading'. Writing stops as soon as the stream delivers more than the expected
+   * size; the stream itself is left open (the rest of its data is not read), so a request can still
+   * be answered.
+   * @param {object} upload - The upload metadata.
+   * @param {number} index - Chunk index (0-based).
+   * @param {ReadableStream} stream - The chunk data.
+   * @param {string|null} expectedSha256 - Optional hex SHA-256 of the chunk.
+   * @returns {Promise<{ size: number, sha256: string }>} - Size and checksum of the stored chunk.
+   * @throws {Error} - With code CHUNK_SIZE_MISMATCH, CHUNK_CHECKSUM_MISMATCH, UPLOAD_FINALIZING or UPLOAD_NOT_FOUND.
+   */
+  static async writeChunk(upload, index, stream, expectedSha256 = null) {
+    const chunksPath = path.join(this.getUploadPath(upload.uploadId), 'chunks');
+    const tempPath = path.join(chunksPath, `${index}.${uuidv4()}.tmp`);
+    const hash = crypto.createHash('sha256');
+    const expectedSize = this.getChunkSize(upload, index);
+    const sizeError = (received) =>
+      Object.assign(new Error(`Chunk ${index} must be ${expectedSize} bytes, received ${received}`), { code: 'CHUNK_SIZE_MISMATCH' });
+    let size = 0;
+
+    // Count and hash the data, failing once the chunk grows past its expected size
+    const counter = new Transform({
+      transform(data, encoding, callback) {
+        size += data.length;
+        if (size > expectedSize) {
+          return callback(sizeError(`more than ${expectedSize}`));
+        }
+        hash.update(data);
+        callback(null, data);
+      }
+    });
+    // A stream that fails or closes before its end (e.g. a dropped connection) fails the chunk
+    const stopWatching = finished(stream, error => error && counter.destroy(error));
+    stream.pipe(counter);
+
+    try {
+      await pipeline(counter, createWriteStream(tempPath));
+
+      const sha256 = hash.digest('hex');
+      if (size !== expectedSize) {
+        throw sizeError(size);
+      }
+      if (expectedSha256 && expectedSha256.toLowerCase() !== sha256) {
+        throw Object.assign(new Error(`Chunk ${index} checksum does not match`), { code: 'CHUNK_CHECKSUM_MISMATCH' });
+      }
+
+      // Accept the chunk only if the upload is still open, and extend the expiry from the stored
+      // metadata, which may have changed while the chunk arrived
+      await this.withLock(upload.uploadId, async () => {
+        const current = await this.get(upload.uploadId);
+        if (!current) {
+          throw Object.assign(new Error('Upload not found'), { code: 'UPLOAD_NOT_FOUND' });
+        }
+        if (current.status !== 'uploading') {
+          throw Object.assign(new Error('Upload is being finalized'), { code: 'UPLOAD_FINALIZING' });
+        }
+        await fs.rename(tempPath, path.join(chunksPath, `${index}.part`));
+        await this.save(current);
+        upload.expiresAt = current.expiresAt;
+      });
+      return { size, sha256 };
+    } finally {
+      stopWatching();
+      stream.unpipe(counter);
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Lists the chunks received so far.
+   * @param {object} upload - The upload metadata.
+   * @returns {Promise<number[]>} - Received chunk indexes, ascending.
+   */
+  static async getReceivedChunks(upload) {
+    const entries = await fs.readdir(path.join(this.getUploadPath(upload.uploadId), 'chunks')).catch(() => []);
+    return entries
+      .filter(entry => /^\d+\.part$/.test(entry))
+      .map(entry => parseInt(entry, 10))
+      .filter(index => index < upload.totalChunks)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Describes an upload's progress: received chunks, merged byte ranges and missing chunks.
+   * @param {object} upload - The upload metadata.
+   * @returns {Promise<object>} - Upload state for the API.
+   */
+  static async describe(upload) {
+    const received = await this.getReceivedChunks(upload);
+    const receivedSet = new Set(received);
+
+    // Merge consecutive chunks into byte ranges (end exclusive)
+    const receivedRanges = [];
+    for (const index of received) {
+      const start = index * upload.chunkSize;
+      const end = start + this.getChunkSize(upload, index);
+      const last = receivedRanges[receivedRanges.length - 1];
+      if (last && last.end === start) last.end = end;
+      else receivedRanges.push({ start, end });
+    }
+
+    return {
+      uploadId: upload.uploadId,
+      fileName: upload.fileName,
+      status: upload.status,
+      totalSize: upload.totalSize,
+      chunkSize: upload.chunkSize,
+      totalChunks: upload.totalChunks,
+      receivedChunks: received,
+      missingChunks: Array.from({ length: upload.totalChunks }, (_, index) => index).filter(index => !receivedSet.has(index)),
+      receivedBytes: receivedRanges.reduce((sum, range) => sum + range.end - range.start, 0),
+      receivedRanges,
+      createdAt: upload.createdAt,
+      expiresAt: upload.expiresAt
+    };
+  }
+
+  /**
+   * Concatenates all chunks into a single ZIP file, verifying the SHA-256 of the whole archive.
+   * @param {object} upload - The upload metadata (all chunks must have been received).
+   * @param {string} expectedSha256 - Hex SHA-256 of the complete archive.
+   * @returns {Promise<string>} - Path of the assembled ZIP file.
+   * @throws {Error} - With code CHECKSUM_MISMATCH if the archive does not match.
+   */
+  static async assemble(upload, expectedSha256) {
+    const zipPath = path.join('uploads', `${Date.now()}-${upload.uploadId}.zip`);
+    const hash = crypto.createHash('sha256');
+    const chunksPath = path.join(this.getUploadPath(upload.uploadId), 'chunks');
+
+    try {
+      // One pipeline for all chunks, read in order
+      await pipeline(async function* () {
+        for (let index = 0; index < upload.totalChunks; index++) {
+          for await (const data of createReadStream(path.join(chunksPath, `${index}.part`))) {
+            hash.update(data);
+            yield data;
+          }
+        }
+      }, createWriteStream(zipPath));
+
+      if (hash.digest('hex') !== expectedSha256.toLowerCase()) {
+        throw Object.assign(new Error('Archive checksum does not match'), { code: 'CHECKSUM_MISMATCH' });
+      }
+      return zipPath;
+    } catch (error) {
+      await fs.rm(zipPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes an upload and its chunks.
+   * @param {string} uploadId - The upload ID.
+   */
+  static async remove(uploadId) {
+    await fs.rm(this.getUploadPath(uploadId), { recursive: true, force: true });
+  }
+
+  /**
+   * Deletes an upload and its chunks, but only if it has the expected status.
+   * @param {string} uploadId - The upload ID.
+   * @param {string} status - The status the upload must have.
+   * @returns {Promise<boolean>} - False if the upload is gone or has another status.
+   */
+  static async removeIf(uploadId, status) {
+    return this.withLock(uploadId, async () => {
+      const current = await this.get(uploadId);
+      if (!current || current.status !== status) return false;
+      await this.remove(uploadId);
+      return true;
+    });
+  }
+
+  /**
+   * Removes uploads whose expiry has passed (called by the session cleanup job).
+   * Uploads without readable metadata are removed too.
+   * @returns {Promise<number>} - Number of uploads removed.
+   */
+  static async cleanupExpired() {
+    const entries = await fs.readdir(RESUMABLE_ROOT, { withFileTypes: true }).catch(() => []);
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      const upload = await this.get(entry.name);
+      if (!upload || new Date(upload.expiresAt).getTime() < Date.now()) {
+        await this.remove(entry.name);
+        removed++;
+        console.log(`Removed expired upload: ${entry.name}`);
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = ResumableUploads;
@@ -0,0 +1,129 @@
+const CONFIG = require('../config/config');
+const { buildReassembly, computeDuration, createTimeline } = require('./animationTimeline');
+
+// Name/category keywords for parts that should spin while being removed
+const UNSCREW_PATTERN = /\b(screw|bolt|nut|stud|fastener)/i;
+const SPIN_PATTERN = /\b(shaft|rotor|spindle|axle|impeller|fan|gear|pulley)/i;
+
+// Directions siblings are exploded along, cycled in order
+const DIRECTIONS = [
+  { axis: 'x', sign: 1 },
+  { axis: 'y', sign: 1 },
+  { axis: 'z', sign: 1 },
+  { axis: 'x', sign: -1 },
+  { axis: 'y', sign: -1 },
+  { axis: 'z', sign: -1 }
+];
+
+/**
+ * Builds a lookup of searchable text (name plus category-like property values) per objectid.
+ * @param {object} propertiesData - The properties data from Forge (10_properties_all_objects.json).
+ * @returns {Map<number, string>} - Map of objectid to lower-case descriptive text.
+ */
+function buildDescriptions(propertiesData) {
+  const descriptions = new Map();
+
+  for (const item of propertiesData?.data?.collection || []) {
+    const parts = [item.name || ''];
+    for (const props of Object.values(item.properties || {})) {
+      if (!props || typeof props !== 'object') continue;
+      // Only category-like fields are useful for recognizing fasteners and rotating parts
+      for (const [key, value] of Object.entries(props)) {
+        if (/category|type|description|part number/i.test(key) && typeof value === 'string') {
+          parts.push(value);
+        }
+      }
+    }
+    descriptions.set(item.objectid, parts.join(' ').toLowerCase());
+  }
+
+  return descriptions;
+}
+
+/**
+ * Collects the nodes to animate, level by level, starting with the outermost components.
+ * The root node(s) of the hierarchy represent the whole model and are not animated.
+ * @param {object} hierarchyData - The object hierarchy data from Forge (09_object_hierarchy.json).
+ * @param {number} maxParts - Maximum number of nodes to return.
+ * @returns {Array<{ node: object, level: number, siblingIndex: number }>} - Nodes in disassembly order.
+ */
+function collectNodesByLevel(hierarchyData, maxParts) {
+  const ordered = [];
+  let current = (hierarchyData?.data?.objects || []).flatMap(root => root.objects || []);
+  let level = 1;
+
+  // Breadth-first walk: every component of one level is removed before going one level deeper
+  while (current.length > 0 && level <= CONFIG.RULE_PLANNER.MAX_DEPTH) {
+    // Within a level, subassemblies (nodes with children) come before single parts
+    const subassemblies = current.filter(node => node.objects?.length > 0);
+    const parts = current.filter(node => !(node.objects?.length > 0));
+
+    [...subassemblies, ...parts].forEach((node, siblingIndex) => {
+      ordered.push({ node, level, siblingIndex });
+    });
+
+    current = subassemblies.flatMap(node => node.objects);
+    level++;
+  }
+
+  return ordered.slice(0, maxParts);
+}
+
+/**
+ * Derives a deterministic exploded-view disassembly (and reassembly) timeline from the
+ * model hierarchy and properties, without calling an LLM.
+ * - Outermost subassemblies are removed first, then their contents, one level at a time.
+ *   All components of a level move together in one parallel group, slightly staggered.
+ * - Each level uses a smaller explode offset than the one above it.
+ * - Parts whose names or categories suggest screws, shafts or rotors are rotated about
+ *   their removal axis (screws before they are pulled out, rotating parts as they move).
+ * - The reassembly phase replays the disassembly in reverse with inverted parameters.
+ * @param {object} hierarchyData - The object hierarchy data from Forge.
+ * @param {object} propertiesData - The properties data from Forge.
+ * @param {object} options - Planner options.
+ * @param {number} options.maxParts - Maximum number of components to animate (defaults to CONFIG.RULE_PLANNER.MAX_PARTS).
+ * @returns {object} - Animation timeline in the same format as the LLM path.
+ */
+function planDisassembly(hierarchyData, propertiesData, { maxParts = CONFIG.RULE_PLANNER.MAX_PARTS } = {}) {
+  const descriptions = buildDescriptions(propertiesData);
+  const { STEP_DURATION, STAGGER } = CONFIG.RULE_PLANNER;
+  const groups = [];
+
+  for (const { node, level, siblingIndex } of collectNodesByLevel(hierarchyData, Math.min(maxParts, CONFIG.RULE_PLANNER.MAX_PARTS))) {
+    // Start a new parallel group for each hierarchy level
+    let group = groups[groups.length - 1];
+    if (!group || group.level !== level) {
+      group = { id: `level${level}`, phase: 'disassembly', startTime: computeDuration(groups), level, steps: [] };
+      groups.push(group);
+    }
+
+    const direction = DIRECTIONS[siblingIndex % DIRECTIONS.length];
+    const distance = Math.round(
+      CONFIG.RULE_PLANNER.EXPLODE_DISTANCE * Math.pow(CONFIG.RULE_PLANNER.LEVEL_FALLOFF, level - 1)
+    );
+    const offset = { x: 0, y: 0, z: 0 };
+    offset[direction.axis] = direction.sign * distance;
+
+    const description = descriptions.get(node.objectid) || (node.name || '').toLowerCase();
+    const startTime = Math.round(siblingIndex * STAGGER * 1000) / 1000;
+    const translate = { fragmentId: node.objectid, action: 'translate', params: offset, startTime, duration: STEP_DURATION, easing: 'easeInOutCubic' };
+
+    if (UNSCREW_PATTERN.test(description)) {
+      // Unscrew fasteners in place, then pull them out
+      group.steps.push({ fragmentId: node.objectid, action: 'rotate', params: { axis: direction.axis, angle: 720 }, startTime, duration: STEP_DURATION, easing: 'linear' });
+      group.steps.push({ ...translate, startTime: startTime + STEP_DURATION });
+    } else if (SPIN_PATTERN.test(description)) {
+      // Show rotating parts turning while they are removed
+      group.steps.push(translate);
+      group.steps.push({ fragmentId: node.objectid, action: 'rotate', params: { axis: direction.axis, angle: 360 }, startTime, duration: STEP_DURATION, easing: 'linear' });
+    } else {
+      group.steps.push(translate);
+    }
+  }
+
+  // Reassemble by undoing each disassembly group in reverse order
+  const disassembly = groups.map(({ level, ...group }) => group);
+  return createTimeline([...disassembly, ...buildReassembly(disassembly, computeDuration(disassembly))]);
+}
+
+module.exports = { planDisassembly };
@@ -0,0 +1,153 @@
+const EventEmitter = require('events');
+const CONFIG = require('../config/config');
+
+// Session statuses after which no further events are sent
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Shared emitter for all sessions; any number of stream listeners may subscribe
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Recent events per session, kept so reconnecting clients can catch up via Last-Event-ID
+const buffers = new Map();
+
+// Last event ID issued per session
+const lastIds = new Map();
+
+// How often buffers are checked for expiry, and the timer doing it (running while any buffer exists)
+const SWEEP_INTERVAL = 60 * 1000;
+let sweepTimer = null;
+
+/**
+ * SessionEvents publishes session progress changes to Server-Sent Events listeners.
+ * Event IDs are millisecond timestamps (bumped when two events share a millisecond),
+ * so they keep increasing across server restarts and can be compared with Last-Event-ID.
+ */
+class SessionEvents {
+  /**
+   * Checks whether a status ends the session's event stream.
+   * @param {string} status - Session status.
+   * @returns {boolean} - True for terminal statuses.
+   */
+  static isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * Issues the next event ID for a session.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {number} - A strictly increasing event ID.
+   */
+  static nextId(sessionId) {
+    const id = Math.max(Date.now(), (lastIds.get(sessionId) || 0) + 1);
+    lastIds.set(sessionId, id);
+    return id;
+  }
+
+  /**
+   * Builds the event payload sent to clients from a session object.
+   * @param {object} session - The session data.
+   * @returns {object} - Status, message, progress and timestamp.
+   */
+  static toPayload(session) {
+    return {
+      status: session.status,
+      message: session.message,
+      progress: session.progress || 0,
+      error: session.error,
+      updatedAt: session.updatedAt
+    };
+  }
+
+  /**
+   * Publishes a session change if its status, message or progress differ from the previous state.
+   * Terminal statuses are sent as an event named after the status ('completed', 'failed' or 'cancelled');
+   * everything else is sent as a 'status' event.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {object|null} previous - Session data before the update (null for a new session).
+   * @param {object} current - Session data after the update.
+   */
+  static publish(sessionId, previous, current) {
+    if (previous &&
+      previous.status === current.status &&
+      previous.message === current.message &&
+      previous.progress === current.progress) {
+      return;
+    }
+
+    const event = {
+      id: this.nextId(sessionId),
+      event: this.isTerminal(current.status) ? current.status : 'status',
+      data: this.toPayload(current)
+    };
+
+    // Keep a bounded history for reconnecting clients
+    const buffer = buffers.get(sessionId) || [];
+    buffer.push(event);
+    if (buffer.length > CONFIG.SSE_EVENT_BUFFER_SIZE) buffer.shift();
+    buffers.set(sessionId, buffer);
+
+    emitter.emit(sessionId, event);
+
+    // Release the history once the session has been idle for a while (finished or not)
+    if (!sweepTimer) {
+      sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+      sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Releases the event history of sessions without events for SSE_BUFFER_RETENTION_MINUTES. This covers
+   * finished sessions as well as those that stop changing without finishing (e.g. waiting for a root
+   * file, or orphaned by a restart).
+   * @param {number} [now] - Current time in milliseconds.
+   */
+  static sweep(now = Date.now()) {
+    const cutoff = now - CONFIG.SSE_BUFFER_RETENTION_MINUTES * 60 * 1000;
+    for (const [sessionId, buffer] of buffers) {
+      // Event IDs are timestamps, so the last one tells when the session last changed
+      if (buffer[buffer.length - 1].id < cutoff) this.forget(sessionId);
+    }
+
+    if (buffers.size === 0 && sweepTimer) {
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+    }
+  }
+
+  /**
+   * Releases a session's event history (e.g. once the session is deleted).
+   * @param {string} sessionId - The unique session identifier.
+   */
+  static forget(sessionId) {
+    buffers.delete(sessionId);
+    lastIds.delete(sessionId);
+  }
+
+  /**
+   * Returns buffered events newer than the given event ID.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {number} lastEventId - ID of the last event the client received.
+   * @returns {{ events: Array<object>, complete: boolean }} - Missed events, and whether the
+   *   buffer reaches back far enough to guarantee none were lost.
+   */
+  static getEventsSince(sessionId, lastEventId) {
+    const buffer = buffers.get(sessionId) || [];
+    const events = buffer.filter(event => event.id > lastEventId);
+    const complete = buffer.length > 0 && buffer[0].id <= lastEventId;
+    return { events, complete };
+  }
+
+  /**
+   * Subscribes to a session's events.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {function} listener - Called with each event ({ id, event, data }).
+   * @returns {function} - Call to unsubscribe.
+   */
+  static subscribe(sessionId, listener) {
+    emitter.on(sessionId, listener);
+    return () => emitter.off(sessionId, listener);
+  }
+}
+
+module.exports = SessionEvents;
@@ -0,0 +1,178 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config/config');
+
+// Index file: one summary per session, so sessions can be listed without reading each one
+const INDEX_FILE = path.join('data', 'session-index.json');
+
+// The index is written at most this often (updates only change the in-memory copy)
+const SAVE_DELAY = 1000;
+
+// Session fields copied into the index (everything GET /status/:sessionId returns, plus owner and fileName)
+const INDEXED_FIELDS = [
+  'owner', 'fileName', 'status', 'message', 'progress', 'queuePosition', 'rootFile', 'rootCandidates',
+  'preflight', 'cache', 'error', 'createdAt', 'updatedAt'
+];
+
+// Sort keys accepted by query()
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'fileName', 'status'];
+
+// In-memory copy of the index: { store, entries: { sessionId: entry } } (null until loaded)
+let index = null;
+
+// Pending writes of the index, chained so they never interleave
+let writeChain = Promise.resolve();
+let saveTimer = null;
+
+/**
+ * SessionIndex builds the summaries that sessions are listed from (GET /sessions), and filters,
+ * sorts and pages them. Each session store keeps the summaries of its sessions next to the sessions
+ * themselves, so every server instance sharing a store lists the same sessions: Redis in a hash and
+ * SQLite in columns of the sessions table. The file store, which serves a single instance, keeps them
+ * in data/session-index.json through the methods below; that file records which store it was built
+ * from and is rebuilt from the store when it is missing or belongs to another store. Its writes are
+ * batched, so after a crash an entry may lag behind its session until the session is next updated.
+ *
+ * Entry shape: { id, owner, fileName, status, message, progress, ..., result, pipeline, webhook,
+ *                createdAt, updatedAt } (the webhook secret is reduced to a flag)
+ */
+class SessionIndex {
+  /**
+   * Loads the index from disk (once).
+   * @returns {Promise<boolean>} - False if there is no usable index for the current store (it must be rebuilt).
+   */
+  static async load() {
+    if (index) return true;
+    try {
+      const data = JSON.parse(await fs.readFile(INDEX_FILE, 'utf-8'));
+      if (data.store !== CONFIG.SESSION_STORE) return false;
+      index = { store: data.store, entries: data.entries || {} };
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read session index, rebuilding it:', error.message);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Replaces the whole index (after a rebuild) and writes it to disk.
+   * @param {object[]} entries - Entries built with toEntry().
+   * @returns {Promise<void>}
+   */
+  static async replace(entries) {
+    index = { store: CONFIG.SESSION_STORE, entries: Object.fromEntries(entries.map(entry => [entry.id, entry])) };
+    await this.save();
+  }
+
+  /**
+   * Writes the index to disk shortly after the last change.
+   */
+  static scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      this.save().catch(error => console.error('Failed to save session index:', error.message));
+    }, SAVE_DELAY);
+    saveTimer.unref();
+  }
+
+  /**
+   * Writes the index to disk (via a temporary file, so a crash never leaves it half-written).
+   * @returns {Promise<void>}
+   */
+  static async save() {
+    const snapshot = JSON.stringify(index);
+    writeChain = writeChain.catch(() => { }).then(async () => {
+      await fs.mkdir(path.dirname(INDEX_FILE), { recursive: true });
+      await fs.writeFile(`${INDEX_FILE}.tmp`, snapshot);
+      await fs.rename(`${INDEX_FILE}.tmp`, INDEX_FILE);
+    });
+    return writeChain;
+  }
+
+  /**
+   * Builds the index entry of a session.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {object} session - The session data.
+   * @returns {object} - Index entry.
+   */
+  static toEntry(sessionId, session) {
+    const entry = { id: sessionId };
+    INDEXED_FIELDS.forEach(field => { entry[field] = session[field]; });
+    entry.rootFile = session.pipeline?.rootFile || session.rootFile;
+    entry.result = session.result ? { encodedUrn: session.result.encodedUrn, bucketKey: session.result.bucketKey } : undefined;
+    entry.pipeline = session.pipeline
+      ? { completedSteps: session.pipeline.completedSteps, failedStep: session.pipeline.failedStep }
+      : undefined;
+    // The index never holds the webhook secret, only whether there is one
+    entry.webhook = session.webhook ? { ...session.webhook, secret: Boolean(session.webhook.secret) } : undefined;
+    return entry;
+  }
+
+  /**
+   * Adds or updates the entry of a session.
+   * Does nothing until the index has been loaded or rebuilt.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {object} session - The updated session data.
+   */
+  static upsert(sessionId, session) {
+    if (!index) return;
+    index.entries[sessionId] = this.toEntry(sessionId, session);
+    this.scheduleSave();
+  }
+
+  /**
+   * Removes the entry of a deleted session.
+   * @param {string} sessionId - The unique session identifier.
+   */
+  static remove(sessionId) {
+    if (!index || !index.entries[sessionId]) return;
+    delete index.entries[sessionId];
+    this.scheduleSave();
+  }
+
+  /**
+   * Filters, sorts and pages the index (which must have been loaded).
+   * @param {object} options - Query options (see filter()).
+   * @returns {{ total: number, entries: object[] }} - Matching count and the requested page.
+   */
+  static query(options) {
+    return this.filter(Object.values(index.entries), options);
+  }
+
+  /**
+   * Filters, sorts and pages index entries.
+   * @param {object[]} entries - Entries built with toEntry().
+   * @param {object} options - Query options.
+   * @param {string} [options.owner] - Only sessions of this client.
+   * @param {string[]} [options.statuses] - Only sessions with one of these statuses.
+   * @param {string} [options.fileName] - Case-insensitive substring of the uploaded file name.
+   * @param {Date} [options.from] - Only sessions created at or after this time.
+   * @param {Date} [options.to] - Only sessions created before this time.
+   * @param {string} [options.sort] - One of SORT_FIELDS (default 'createdAt').
+   * @param {string} [options.order] - 'asc' or 'desc' (default 'desc').
+   * @param {number} [options.offset] - Entries to skip.
+   * @param {number} [options.limit] - Entries to return.
+   * @returns {{ total: number, entries: object[] }} - Matching count and the requested page.
+   */
+  static filter(entries, { owner, statuses, fileName, from, to, sort = 'createdAt', order = 'desc', offset = 0, limit = 20 }) {
+    const needle = fileName?.toLowerCase();
+    const matches = entries.filter(entry =>
+      (owner === undefined || entry.owner === owner) &&
+      (!statuses || statuses.includes(entry.status)) &&
+      (!needle || (entry.fileName || '').toLowerCase().includes(needle)) &&
+      (!from || Date.parse(entry.createdAt) >= from.getTime()) &&
+      (!to || Date.parse(entry.createdAt) < to.getTime()));
+
+    // ISO timestamps sort correctly as strings; ties are broken by ID so pages are stable
+    const direction = order === 'asc' ? 1 : -1;
+    matches.sort((a, b) =>
+      direction * (String(a[sort] ?? '').localeCompare(String(b[sort] ?? '')) || a.id.localeCompare(b.id)));
+
+    return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+  }
+}
+
+module.exports = { SessionIndex, SORT_FIELDS };
@@ -1,70 +1,76 @@
 const fs = require('fs').promises;
 const path = require('path');
 const CONFIG = require('../config/config');
+const AnimationStore = require('./animationStore');
+const SessionEvents = require('./sessionEvents');
+const ResumableUploads = require('./resumableUploadService');
+const { getSessionStore } = require('./sessionStores');
+const ModelDataService = require('./modelDataService');
 
-// SessionManager handles session data storage and cleanup
+// Pending updates per session, so concurrent updates (e.g. unawaited progress callbacks) never overwrite each other
+const locks = new Map();
+
+// SessionManager handles session data storage and cleanup.
+// Sessions live in the store selected by CONFIG.SESSION_STORE ('file', 'sqlite' or 'redis');
+// response files always stay in responses/session_<id>/.
 class SessionManager {
   /**
-   * Retrieves session data from disk for a given session ID.
-   * Looks for a session.json file in the corresponding session folder.
+   * Runs an update of a session while holding its lock.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {function} operation - Async function to run exclusively.
+   * @returns {Promise<*>} - The operation's result.
+   */
+  static async withLock(sessionId, operation) {
+    const previous = locks.get(sessionId) || Promise.resolve();
+    const current = previous.catch(() => { }).then(operation);
+    locks.set(sessionId, current);
+
+    try {
+      return await current;
+    } finally {
+      // Drop the lock entry once nothing else has queued behind this operation
+      if (locks.get(sessionId) === current) locks.delete(sessionId);
+    }
+  }
+
+  /**
+   * Retrieves session data for a given session ID.
    * @param {string} sessionId - The unique session identifier.
    * @returns {Promise<object|null>} - Parsed session data, or null if not found.
    */
   static async getSession(sessionId) {
     try {
-      // Construct the path to the session.json file
-      const sessionPath = path.join('responses', `session_${sessionId}`, 'session.json');
-      // Read the file contents as UTF-8 text
-      const data = await fs.readFile(sessionPath, 'utf-8');
-      // Parse and return the JSON data
-      return JSON.parse(data);
+      return await getSessionStore().get(sessionId);
     } catch (error) {
-      // If the file does not exist, return null (session not found)
-      if (error.code !== 'ENOENT') {
-        // Log other errors (e.g., permission issues)
-        console.error(`Error reading session ${sessionId}:`, error.message);
-      }
+      // Log errors other than a missing session (e.g., permission or connection issues)
+      console.error(`Error reading session ${sessionId}:`, error.message);
       return null;
     }
   }
 
   /**
-   * Updates or creates session data on disk for a given session ID.
-   * Merges the provided update object with any existing session data.
+   * Updates or creates session data for a given session ID.
+   * Merges the provided update object with any existing session data (fields set to undefined are
+   * removed), and notifies status stream listeners when the status, message or progress changes.
+   * Updates of one session are applied one at a time, each as a single atomic write.
    * @param {string} sessionId - The unique session identifier.
    * @param {object} update - The data to merge into the session.
    * @returns {Promise<object>} - The updated session object.
    */
   static async updateSession(sessionId, update) {
-    // Define the session folder and file paths
-    const sessionFolder = path.join('responses', `session_${sessionId}`);
-    const sessionPath = path.join(sessionFolder, 'session.json');
-
     try {
-      // Default session object with creation timestamp
-      let session = { createdAt: new Date().toISOString() };
-
-      try {
-        // Try to read existing session data if it exists
-        const existingData = await fs.readFile(sessionPath, 'utf-8');
-        session = JSON.parse(existingData);
-      } catch (error) {
-        // If file doesn't exist, continue with default session object
-      }
-
-      // Merge existing session data with the update and add/update timestamp
-      const updatedSession = {
-        ...session,
-        ...update,
-        updatedAt: new Date().toISOString()
-      };
+      const { previous, session } = await this.withLock(sessionId, () =>
+        getSessionStore().update(sessionId, current => ({
+          // Default session object with creation timestamp
+          ...(current || { createdAt: new Date().toISOString() }),
+          ...update,
+          updatedAt: new Date().toISOString()
+        })));
 
-      // Ensure the session folder exists
-      await fs.mkdir(sessionFolder, { recursive: true });
-      // Write the updated session data to disk in pretty JSON format
-      await fs.writeFile(sessionPath, JSON.stringify(updatedSession, null, 2));
+      // Push the change to any status stream listeners
+      SessionEvents.publish(sessionId, previous, session);
 
-      return updatedSession;
+      return session;
     } catch (error) {
       // Log and rethrow any errors encountered during update
       console.error(`Error updating session ${sessionId}:`, error.message);
@@ -73,44 +79,110 @@ class SessionManager {
   }
 
   /**
-   * Removes old session folders from disk based on the configured session lifetime.
-   * Checks the modification time of each session.json file and deletes folders older than the cutoff.
+   * Updates a session, but only if it still has the expected status (e.g. so that of two concurrent
+   * retries of a failed session only one queues it). The check and the write are one store update
+   * made under the session's lock.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {string} from - The status the session must have.
+   * @param {function} makeUpdate - Function (current session) => data to merge into the session.
+   * @returns {Promise<object|null>} - The updated session, or null if it is gone or has another status.
+   */
+  static async updateSessionStatus(sessionId, from, makeUpdate) {
+    let claimed = false;
+    try {
+      const { previous, session } = await this.withLock(sessionId, () =>
+        getSessionStore().update(sessionId, current => {
+          claimed = current?.status === from;
+          if (!claimed) {
+            // Leave the session as it is (a missing one is never created here)
+            if (!current) throw Object.assign(new Error('Session not found'), { code: 'SESSION_NOT_FOUND' });
+            return current;
+          }
+          return { ...current, ...makeUpdate(current), updatedAt: new Date().toISOString() };
+        }));
+      if (!claimed) return null;
+
+      SessionEvents.publish(sessionId, previous, session);
+      return session;
+    } catch (error) {
+      if (error.code === 'SESSION_NOT_FOUND') return null;
+      console.error(`Error updating session ${sessionId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Lists session summaries from the session store's index, with filters, sorting and paging.
+   * Each returned entry also gets the number of animations saved for the session.
+   * @param {object} options - Options of SessionIndex.filter (owner, statuses, fileName, from, to, sort, order, offset, limit).
+   * @returns {Promise<{ total: number, entries: object[] }>} - Matching count and the requested page.
+   */
+  static async querySessions(options) {
+    const { total, entries } = await getSessionStore().query(options);
+    for (const entry of entries) {
+      entry.animationCount = (await AnimationStore.list(entry.id)).animations.length;
+    }
+    return { total, entries };
+  }
+
+  /**
+   * Lists every stored session.
+   * @returns {Promise<Array<{ id: string, session: object }>>} - Sessions with their IDs.
+   */
+  static async listSessions() {
+    return getSessionStore().list();
+  }
+
+  /**
+   * Removes old sessions based on the configured session lifetime.
+   * A session's last activity is the later of its last update and the time an animation was last
+   * saved for it; sessions (including saved animations) whose last activity is older than the cutoff
+   * are deleted from the store and from disk, together with any source files kept in uploads/.
+   * Session folders without a stored session are judged by a leftover session.json (written before
+   * the sessions were imported into another store) and deleted if there is none.
    * @returns {Promise<void>}
    */
   static async cleanupOldSessions() {
     try {
       const responsesDir = 'responses';
-      // Read all entries (files and folders) in the responses directory
-      const entries = await fs.readdir(responsesDir, { withFileTypes: true });
       // Calculate the cutoff time (sessions older than this will be deleted)
       const cutoffTime = Date.now() - (CONFIG.SESSION_CLEANUP_HOURS * 60 * 60 * 1000);
       let cleanedCount = 0;
 
-      for (const entry of entries) {
-        // Only process directories that start with "session_"
-        if (entry.isDirectory() && entry.name.startsWith('session_')) {
-          const sessionPath = path.join(responsesDir, entry.name);
-          const sessionFile = path.join(sessionPath, 'session.json');
-
-          try {
-            // Get stats for the session.json file
-            const stats = await fs.stat(sessionFile);
-            // If the file's last modification time is before the cutoff, delete the folder
-            if (stats.mtime.getTime() < cutoffTime) {
-              await fs.rm(sessionPath, { recursive: true, force: true });
-              cleanedCount++;
-              console.log(`Cleaned up old session: ${entry.name}`);
-            }
-          } catch (error) {
-            // If session.json is missing or unreadable, attempt to delete the folder anyway
-            try {
-              await fs.rm(sessionPath, { recursive: true, force: true });
-              cleanedCount++;
-            } catch (cleanupError) {
-              // Log any errors encountered during forced cleanup
-              console.error(`Failed to cleanup ${entry.name}:`, cleanupError.message);
-            }
+      // Stored sessions, plus session folders on disk that have none
+      const sessions = new Map((await this.listSessions()).map(({ id, session }) => [id, session]));
+      const entries = await fs.readdir(responsesDir, { withFileTypes: true }).catch(() => []);
+      const folderIds = entries
+        .filter(entry => entry.isDirectory() && entry.name.startsWith('session_'))
+        .map(entry => entry.name.slice('session_'.length));
+
+      for (const sessionId of new Set([...sessions.keys(), ...folderIds])) {
+        const sessionFolder = `session_${sessionId}`;
+        try {
+          const session = sessions.get(sessionId);
+          let lastUpdate = session ? Date.parse(session.updatedAt || session.createdAt) || 0 : 0;
+          if (!session) {
+            const legacyStats = await fs.stat(path.join(responsesDir, sessionFolder, 'session.json')).catch(() => null);
+            lastUpdate = legacyStats ? legacyStats.mtime.getTime() : 0;
+          }
+
+          // Saved animations count as session activity
+          const animationsModified = await AnimationStore.getLastModified(sessionId);
+          const lastActivity = Math.max(lastUpdate, animationsModified || 0);
+          // If the session's last activity is before the cutoff, delete it
+          if (lastActivity < cutoffTime) {
+            if (session) await getSessionStore().remove(sessionId);
+            ModelDataService.evict(sessionId);
+            SessionEvents.forget(sessionId);
+            await fs.rm(path.join(responsesDir, sessionFolder), { recursive: true, force: true });
+            // Source files kept for retries are abandoned along with the session
+            await fs.rm(path.join('uploads', sessionFolder), { recursive: true, force: true });
+            cleanedCount++;
+            console.log(`Cleaned up old session: ${sessionFolder}`);
           }
+        } catch (error) {
+          // Log the failure and continue with the other sessions
+          console.error(`Failed to cleanup ${sessionFolder}:`, error.message);
         }
       }
 
@@ -118,6 +190,9 @@ class SessionManager {
       if (cleanedCount > 0) {
         console.log(`Cleaned up ${cleanedCount} old sessions`);
       }
+
+      // Abandoned resumable uploads expire on the same schedule
+      await ResumableUploads.cleanupExpired();
     } catch (error) {
       // Log any errors encountered during the cleanup process
       console.error('Error during session cleanup:', error.message);
@@ -125,4 +200,4 @@ class SessionManager {
   }
 }
 
-module.exports =  SessionManager;
\ No newline at end of file
+module.exports =  SessionManager;
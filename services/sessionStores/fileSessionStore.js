@@ -0,0 +1,140 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { SessionIndex } = require('../sessionIndex');
+
+/**
+ * FileSessionStore keeps each session in responses/session_<id>/session.json, next to the
+ * session's response files. Writes go to a temporary file that is renamed over session.json,
+ * so a crash never leaves a half-written session behind.
+ * Sessions are listed from data/session-index.json (see SessionIndex), which only this process keeps
+ * up to date, so the file store must not be shared by several server instances.
+ */
+class FileSessionStore {
+  /**
+   * @param {string} root - Folder holding the session folders.
+   */
+  constructor(root = 'responses') {
+    this.name = 'file';
+    this.root = root;
+    // Load (or rebuild) of the session index, started on first use
+    this.indexReady = null;
+  }
+
+  /**
+   * Returns the path of a session's session.json.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {string} - File path.
+   */
+  getSessionPath(sessionId) {
+    return path.join(this.root, `session_${sessionId}`, 'session.json');
+  }
+
+  /**
+   * Reads a session.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<object|null>} - The session, or null if it does not exist.
+   */
+  async get(sessionId) {
+    try {
+      return JSON.parse(await fs.readFile(this.getSessionPath(sessionId), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces a session with the result of `modify`. Callers serialize updates of one session
+   * (SessionManager holds a per-session lock), so the read and the write cannot interleave.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {function} modify - Synchronous function (current session or null) => new session.
+   * @returns {Promise<{ previous: object|null, session: object }>} - The session before and after.
+   */
+  async update(sessionId, modify) {
+    const sessionPath = this.getSessionPath(sessionId);
+    const previous = await this.get(sessionId);
+    const session = modify(previous);
+
+    await fs.mkdir(path.dirname(sessionPath), { recursive: true });
+    const tempPath = `${sessionPath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(session, null, 2));
+    await fs.rename(tempPath, sessionPath);
+
+    // Keep the listing index current; the session itself is already saved, so a failure here is only logged
+    try {
+      await this.ensureIndex();
+      SessionIndex.upsert(sessionId, session);
+    } catch (error) {
+      console.error(`Failed to index session ${sessionId}:`, error.message);
+    }
+
+    return { previous, session };
+  }
+
+  /**
+   * Deletes a session record (the session folder itself is removed by the caller).
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<void>}
+   */
+  async remove(sessionId) {
+    await fs.rm(this.getSessionPath(sessionId), { force: true });
+    SessionIndex.remove(sessionId);
+  }
+
+  /**
+   * Lists every stored session.
+   * @returns {Promise<Array<{ id: string, session: object }>>} - Sessions with their IDs.
+   */
+  async list() {
+    const entries = await fs.readdir(this.root, { withFileTypes: true }).catch(() => []);
+    const sessions = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !entry.name.startsWith('session_')) continue;
+      const id = entry.name.slice('session_'.length);
+      try {
+        const session = await this.get(id);
+        if (session) sessions.push({ id, session });
+      } catch (error) {
+        console.error(`Skipping unreadable session ${id}:`, error.message);
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * Loads the session index, rebuilding it from the stored sessions when there is none for this
+   * store, e.g. on first start or after switching stores.
+   * @returns {Promise<void>}
+   */
+  async ensureIndex() {
+    this.indexReady = this.indexReady || (async () => {
+      if (await SessionIndex.load()) return;
+
+      const entries = (await this.list()).map(({ id, session }) => SessionIndex.toEntry(id, session));
+      await SessionIndex.replace(entries);
+      console.log(`Rebuilt session index (${entries.length} sessions)`);
+    })().catch(error => {
+      this.indexReady = null;
+      throw error;
+    });
+    return this.indexReady;
+  }
+
+  /**
+   * Filters, sorts and pages the stored sessions' index entries.
+   * @param {object} options - Options of SessionIndex.filter (owner, statuses, fileName, from, to, sort, order, offset, limit).
+   * @returns {Promise<{ total: number, entries: object[] }>} - Matching count and the requested page.
+   */
+  async query(options) {
+    await this.ensureIndex();
+    return SessionIndex.query(options);
+  }
+
+  /**
+   * Releases resources held by the store (none for files).
+   * @returns {Promise<void>}
+   */
+  async close() { }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,41 @@
+const CONFIG = require('../../config/config');
+const FileSessionStore = require('./fileSessionStore');
+const SqliteSessionStore = require('./sqliteSessionStore');
+const RedisSessionStore = require('./redisSessionStore');
+
+// Registry of available session stores, keyed by the name used in config (SESSION_STORE)
+const STORES = {
+  file: FileSessionStore,
+  sqlite: SqliteSessionStore,
+  redis: RedisSessionStore
+};
+
+// Store instances by name (each opens its database or connection once)
+const instances = new Map();
+
+/**
+ * Returns the session store with the given name, creating it on first use.
+ * Every store exposes the same interface:
+ *   - name {string}
+ *   - get(sessionId) {Promise<object|null>}
+ *   - update(sessionId, modify) {Promise<{ previous, session }>}  (modify: current|null => new session, synchronous)
+ *   - remove(sessionId) {Promise<void>}
+ *   - list() {Promise<Array<{ id, session }>>}
+ *   - query(options) {Promise<{ total, entries }>}  (filtered, sorted and paged SessionIndex entries)
+ *   - close() {Promise<void>}
+ * @param {string} [name] - Store name; defaults to CONFIG.SESSION_STORE.
+ * @returns {object} - The store instance.
+ * @throws {Error} - If the name is unknown or the backend's package is not installed.
+ */
+function getSessionStore(name = CONFIG.SESSION_STORE) {
+  if (!instances.has(name)) {
+    const Store = STORES[name];
+    if (!Store) {
+      throw new Error(`Unknown session store '${name}' (supported: ${Object.keys(STORES).join(', ')})`);
+    }
+    instances.set(name, new Store());
+  }
+  return instances.get(name);
+}
+
+module.exports = { STORES, getSessionStore };
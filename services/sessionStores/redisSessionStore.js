@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const CONFIG = require('../../config/config');
+const { SessionIndex } = require('../sessionIndex');
+
+// Deletes a lock only if it still holds our token (so an expired lock taken over by another process is kept)
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+// Delay (in milliseconds) between attempts to take a session lock held by another process
+const LOCK_RETRY_DELAY = 25;
+
+/**
+ * RedisSessionStore keeps sessions in Redis (CONFIG.REDIS_URL) using the optional ioredis package,
+ * so several server instances can share them.
+ * - <prefix>session:<id>    JSON session
+ * - <prefix>sessions        sorted set of session IDs scored by last update (for listing and cleanup)
+ * - <prefix>session-index   hash of session ID => index entry (see SessionIndex), written together
+ *                           with the session, that GET /sessions is served from
+ * - <prefix>session-lock:<id>  short-lived lock held during an update, so updates from different
+ *                              processes never overwrite each other
+ */
+class RedisSessionStore {
+  /**
+   * Connects to Redis.
+   * @param {string} url - Redis connection URL.
+   * @param {string} prefix - Prefix of every key written by the store.
+   */
+  constructor(url = CONFIG.REDIS_URL, prefix = CONFIG.REDIS_KEY_PREFIX) {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error("SESSION_STORE=redis requires the 'ioredis' package (npm install ioredis)");
+    }
+
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.client = new Redis(url);
+    this.client.on('error', error => console.error('Redis session store error:', error.message));
+    // Check (and if needed rebuild) of the session index, started on first use
+    this.indexReady = null;
+  }
+
+  /**
+   * Returns the key of a session.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {string} - Redis key.
+   */
+  getKey(sessionId) {
+    return `${this.prefix}session:${sessionId}`;
+  }
+
+  /**
+   * Reads a session.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<object|null>} - The session, or null if it does not exist.
+   */
+  async get(sessionId) {
+    const data = await this.client.get(this.getKey(sessionId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Replaces a session with the result of `modify` while holding the session's lock.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {function} modify - Synchronous function (current session or null) => new session.
+   * @returns {Promise<{ previous: object|null, session: object }>} - The session before and after.
+   * @throws {Error} - If the lock cannot be taken within SESSION_LOCK_TIMEOUT.
+   */
+  async update(sessionId, modify) {
+    const lockKey = `${this.prefix}session-lock:${sessionId}`;
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + CONFIG.SESSION_LOCK_TIMEOUT;
+
+    while (await this.client.set(lockKey, token, 'PX', CONFIG.SESSION_LOCK_TIMEOUT, 'NX') !== 'OK') {
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the lock on session ${sessionId}`);
+      }
+      await sleep(LOCK_RETRY_DELAY);
+    }
+
+    try {
+      const previous = await this.get(sessionId);
+      const session = modify(previous);
+      await this.client.multi()
+        .set(this.getKey(sessionId), JSON.stringify(session))
+        .zadd(`${this.prefix}sessions`, Date.parse(session.updatedAt) || Date.now(), sessionId)
+        .hset(`${this.prefix}session-index`, sessionId, JSON.stringify(SessionIndex.toEntry(sessionId, session)))
+        .exec();
+      return { previous, session };
+    } finally {
+      await this.client.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token).catch(error => {
+        console.error(`Failed to release the lock on session ${sessionId}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Deletes a session record.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<void>}
+   */
+  async remove(sessionId) {
+    await this.client.multi()
+      .del(this.getKey(sessionId))
+      .zrem(`${this.prefix}sessions`, sessionId)
+      .hdel(`${this.prefix}session-index`, sessionId)
+      .exec();
+  }
+
+  /**
+   * Lists every stored session, least recently updated first.
+   * @returns {Promise<Array<{ id: string, session: object }>>} - Sessions with their IDs.
+   */
+  async list() {
+    const ids = await this.client.zrange(`${this.prefix}sessions`, 0, -1);
+    if (ids.length === 0) return [];
+
+    const values = await this.client.mget(ids.map(id => this.getKey(id)));
+    return ids
+      .map((id, index) => ({ id, session: values[index] ? JSON.parse(values[index]) : null }))
+      .filter(entry => entry.session);
+  }
+
+  /**
+   * Adds the sessions missing from the session index (sessions stored before the index was
+   * introduced). Entries are only added where missing, so an entry written by a concurrent update
+   * (here or in another instance) is never replaced by an older one.
+   * @returns {Promise<void>}
+   */
+  async ensureIndex() {
+    this.indexReady = this.indexReady || (async () => {
+      const [indexed, stored] = await Promise.all([
+        this.client.hlen(`${this.prefix}session-index`),
+        this.client.zcard(`${this.prefix}sessions`)
+      ]);
+      if (indexed >= stored) return;
+
+      const sessions = await this.list();
+      const transaction = this.client.multi();
+      sessions.forEach(({ id, session }) => {
+        transaction.hsetnx(`${this.prefix}session-index`, id, JSON.stringify(SessionIndex.toEntry(id, session)));
+      });
+      await transaction.exec();
+      console.log(`Added ${stored - indexed} sessions to the session index`);
+    })().catch(error => {
+      this.indexReady = null;
+      throw error;
+    });
+    return this.indexReady;
+  }
+
+  /**
+   * Filters, sorts and pages the stored sessions' index entries.
+   * @param {object} options - Options of SessionIndex.filter (owner, statuses, fileName, from, to, sort, order, offset, limit).
+   * @returns {Promise<{ total: number, entries: object[] }>} - Matching count and the requested page.
+   */
+  async query(options) {
+    await this.ensureIndex();
+    const values = await this.client.hvals(`${this.prefix}session-index`);
+    return SessionIndex.filter(values.map(value => JSON.parse(value)), options);
+  }
+
+  /**
+   * Closes the connection.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisSessionStore;
@@ -0,0 +1,178 @@
+const fsSync = require('fs');
+const path = require('path');
+const CONFIG = require('../../config/config');
+const { SessionIndex } = require('../sessionIndex');
+
+// Columns that GET /sessions sorts by, by SessionIndex sort field
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  fileName: 'file_name',
+  status: 'status'
+};
+
+/**
+ * SqliteSessionStore keeps sessions in a SQLite database (CONFIG.SESSION_SQLITE_PATH) using the
+ * optional better-sqlite3 package. Updates run in IMMEDIATE transactions, so they are atomic even
+ * with several server processes sharing the database file.
+ * The owner, status, file name and timestamps are stored in their own columns, so sessions can be
+ * listed (GET /sessions) and cleaned up without reading every session.
+ */
+class SqliteSessionStore {
+  /**
+   * Opens (and if needed creates) the database.
+   * @param {string} filePath - Path to the database file.
+   */
+  constructor(filePath = CONFIG.SESSION_SQLITE_PATH) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error("SESSION_STORE=sqlite requires the 'better-sqlite3' package (npm install better-sqlite3)");
+    }
+
+    this.name = 'sqlite';
+    fsSync.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        owner TEXT,
+        status TEXT,
+        file_name TEXT,
+        created_at TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS sessions_owner_updated ON sessions (owner, updated_at);
+      CREATE INDEX IF NOT EXISTS sessions_updated ON sessions (updated_at);
+      CREATE INDEX IF NOT EXISTS sessions_created ON sessions (created_at);
+    `);
+
+    // Databases created before sessions were listed from the store lack the file_name column
+    this.db.transaction(() => {
+      const columns = this.db.prepare('PRAGMA table_info(sessions)').all().map(column => column.name);
+      if (columns.includes('file_name')) return;
+      this.db.exec(`
+        ALTER TABLE sessions ADD COLUMN file_name TEXT;
+        UPDATE sessions SET file_name = json_extract(data, '$.fileName');
+      `);
+    }).immediate();
+
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM sessions WHERE id = ?'),
+      upsert: this.db.prepare(`
+        INSERT INTO sessions (id, owner, status, file_name, created_at, updated_at, data)
+        VALUES (@id, @owner, @status, @fileName, @createdAt, @updatedAt, @data)
+        ON CONFLICT (id) DO UPDATE SET owner = @owner, status = @status, file_name = @fileName,
+          created_at = @createdAt, updated_at = @updatedAt, data = @data`),
+      remove: this.db.prepare('DELETE FROM sessions WHERE id = ?'),
+      list: this.db.prepare('SELECT id, data FROM sessions ORDER BY updated_at')
+    };
+
+    this.updateTransaction = this.db.transaction((sessionId, modify) => {
+      const row = this.statements.get.get(sessionId);
+      const previous = row ? JSON.parse(row.data) : null;
+      const session = modify(previous);
+      this.statements.upsert.run({
+        id: sessionId,
+        owner: session.owner || null,
+        status: session.status || null,
+        fileName: session.fileName || null,
+        createdAt: session.createdAt || null,
+        updatedAt: session.updatedAt || null,
+        data: JSON.stringify(session)
+      });
+      return { previous, session };
+    });
+  }
+
+  /**
+   * Reads a session.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<object|null>} - The session, or null if it does not exist.
+   */
+  async get(sessionId) {
+    const row = this.statements.get.get(sessionId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Replaces a session with the result of `modify` in a single transaction.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {function} modify - Synchronous function (current session or null) => new session.
+   * @returns {Promise<{ previous: object|null, session: object }>} - The session before and after.
+   */
+  async update(sessionId, modify) {
+    return this.updateTransaction.immediate(sessionId, modify);
+  }
+
+  /**
+   * Deletes a session record.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<void>}
+   */
+  async remove(sessionId) {
+    this.statements.remove.run(sessionId);
+  }
+
+  /**
+   * Lists every stored session, least recently updated first.
+   * @returns {Promise<Array<{ id: string, session: object }>>} - Sessions with their IDs.
+   */
+  async list() {
+    return this.statements.list.all().map(row => ({ id: row.id, session: JSON.parse(row.data) }));
+  }
+
+  /**
+   * Filters, sorts and pages the stored sessions' index entries (see SessionIndex.filter).
+   * @param {object} options - Query options (owner, statuses, fileName, from, to, sort, order, offset, limit).
+   * @returns {Promise<{ total: number, entries: object[] }>} - Matching count and the requested page.
+   */
+  async query({ owner, statuses, fileName, from, to, sort = 'createdAt', order = 'desc', offset = 0, limit = 20 }) {
+    const conditions = [];
+    const params = [];
+    if (owner !== undefined) {
+      conditions.push('owner IS ?');
+      params.push(owner);
+    }
+    if (statuses) {
+      conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (fileName) {
+      conditions.push("instr(lower(coalesce(file_name, '')), ?) > 0");
+      params.push(fileName.toLowerCase());
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from.toISOString());
+    }
+    if (to) {
+      conditions.push('created_at < ?');
+      params.push(to.toISOString());
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    // Ties are broken by ID so pages are stable
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM sessions ${where}`).get(...params);
+    const rows = this.db
+      .prepare(`SELECT id, data FROM sessions ${where} ORDER BY ${SORT_COLUMNS[sort]} ${direction}, id ${direction} LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+
+    return { total, entries: rows.map(row => SessionIndex.toEntry(row.id, JSON.parse(row.data))) };
+  }
+
+  /**
+   * Closes the database.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteSessionStore;
@@ -0,0 +1,138 @@
+const axios = require('axios');
+const CONFIG = require('../config/config');
+
+// Cached tokens by client ID and scope set: { accessToken, tokenType, expiresAt }
+const tokens = new Map();
+
+// Token requests in flight by client ID and scope set, shared by concurrent callers
+const pending = new Map();
+
+/**
+ * TokenManager hands out Forge two-legged access tokens shared by every ForgeClient.
+ * - Tokens are cached per client ID and scope set (scope order does not matter).
+ * - A cached token is refreshed once less than CONFIG.TOKEN_REFRESH_MARGIN_SECONDS of its
+ *   lifetime is left, so long-running work (translation polling) never sends an expired token.
+ * - Concurrent requests for the same scopes share a single call to the token endpoint.
+ */
+class TokenManager {
+  /**
+   * Builds the cache key of a client and scope set.
+   * @param {string} clientId - Autodesk Forge client ID.
+   * @param {string[]} scopes - OAuth scopes.
+   * @returns {string} - Cache key.
+   */
+  static getCacheKey(clientId, scopes) {
+    return `${clientId}|${[...new Set(scopes)].sort().join(' ')}`;
+  }
+
+  /**
+   * Returns a valid access token for the scopes, from the cache when possible.
+   * @param {string} clientId - Autodesk Forge client ID.
+   * @param {string} clientSecret - Autodesk Forge client secret.
+   * @param {string[]} scopes - OAuth scopes.
+   * @param {object} options - Optional settings.
+   * @param {string} options.baseURL - Forge API base URL.
+   * @param {AbortSignal} options.signal - Stops waiting for the token (a shared request keeps running for other callers).
+   * @returns {Promise<{ accessToken: string, tokenType: string, expiresIn: number, expiresAt: string }>} - The token;
+   *   expiresIn is the remaining lifetime in seconds.
+   */
+  static async getToken(clientId, clientSecret, scopes, { baseURL = CONFIG.FORGE_BASE_URL, signal } = {}) {
+    const key = this.getCacheKey(clientId, scopes);
+
+    const cached = tokens.get(key);
+    if (cached && cached.expiresAt - CONFIG.TOKEN_REFRESH_MARGIN_SECONDS * 1000 > Date.now()) {
+      return this.describe(cached);
+    }
+
+    if (!pending.has(key)) {
+      const request = this.requestToken(clientId, clientSecret, scopes, baseURL)
+        .then(token => {
+          tokens.set(key, token);
+          return token;
+        })
+        .finally(() => pending.delete(key));
+      pending.set(key, request);
+    }
+
+    const token = await (signal ? this.waitUnlessAborted(pending.get(key), signal) : pending.get(key));
+    return this.describe(token);
+  }
+
+  /**
+   * Requests a new token from the Forge token endpoint.
+   * @param {string} clientId - Autodesk Forge client ID.
+   * @param {string} clientSecret - Autodesk Forge client secret.
+   * @param {string[]} scopes - OAuth scopes.
+   * @param {string} baseURL - Forge API base URL.
+   * @returns {Promise<{ accessToken: string, tokenType: string, expiresAt: number }>} - The new token.
+   */
+  static async requestToken(clientId, clientSecret, scopes, baseURL) {
+    const credentials = `${clientId}:${clientSecret}`;
+    const encodedCredentials = Buffer.from(credentials).toString('base64');
+
+    try {
+      const response = await axios.post(
+        `${baseURL}/authentication/v2/token`,
+        new URLSearchParams({
+          grant_type: 'client_credentials',
+          scope: scopes.join(' ')
+        }),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json',
+            'Authorization': `Basic ${encodedCredentials}`
+          },
+          timeout: 30000
+        }
+      );
+
+      return {
+        accessToken: response.data.access_token,
+        tokenType: response.data.token_type || 'Bearer',
+        expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000
+      };
+    } catch (error) {
+      const message = error.response?.data?.error_description || error.message;
+      throw new Error(`Access token error: ${message}`);
+    }
+  }
+
+  /**
+   * Waits for a shared token request, rejecting early if the caller's signal is aborted.
+   * @param {Promise<object>} request - The shared request.
+   * @param {AbortSignal} signal - The caller's signal.
+   * @returns {Promise<object>} - The token.
+   */
+  static waitUnlessAborted(request, signal) {
+    signal.throwIfAborted();
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      request.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Returns a cached token with its remaining lifetime.
+   * @param {object} token - Cached token.
+   * @returns {object} - { accessToken, tokenType, expiresIn, expiresAt }.
+   */
+  static describe(token) {
+    return {
+      accessToken: token.accessToken,
+      tokenType: token.tokenType,
+      expiresIn: Math.max(0, Math.floor((token.expiresAt - Date.now()) / 1000)),
+      expiresAt: new Date(token.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Drops every cached token (e.g. after the client credentials changed).
+   */
+  static clear() {
+    tokens.clear();
+  }
+}
+
+module.exports = TokenManager;
@@ -0,0 +1,144 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const CONFIG = require('../config/config');
+
+// Cache folder: index.json plus one folder of cached response files per entry
+const CACHE_DIR = path.join('data', 'translation-cache');
+const INDEX_FILE = path.join(CACHE_DIR, 'index.json');
+
+// Response files a cache hit copies into the new session (everything read after translation)
+const CACHED_RESPONSES = ['07_translation_status.json', '08_metadata.json', '09_object_hierarchy.json', '10_properties_all_objects.json'];
+
+// In-memory copy of the index (loaded from INDEX_FILE on first use)
+let index = null;
+
+// Pending writes of the index, chained so they never interleave
+let writeChain = Promise.resolve();
+
+/**
+ * TranslationCache remembers completed translations by the content of the upload, so re-uploading
+ * an identical model reuses the existing URN, hierarchy and properties instead of creating a new
+ * bucket and paying for another translation.
+ * Entries are keyed by the upload's content hash and root file. The response files are copied into
+ * the cache, so an entry outlives the session that produced it; the derivatives themselves are
+ * checked with Forge before an entry is reused.
+ *
+ * Entries are shared by all clients; `owner` (the client of the source session) lets callers tell
+ * whether a hit reuses another client's translation.
+ *
+ * Entry shape: { key, contentHash, rootFile, fileCount, encodedUrn, guidViewable,
+ *                sourceSessionId, owner, createdAt, lastHitAt?, hits }
+ */
+class TranslationCache {
+  /**
+   * Builds the cache key of an upload.
+   * @param {string} contentHash - Overall content hash (FileUtils.hashFiles).
+   * @param {string} rootFile - Relative path of the root file.
+   * @returns {string} - Hex SHA-256 key.
+   */
+  static getKey(contentHash, rootFile) {
+    return crypto.createHash('sha256').update(`${contentHash}\n${rootFile}`).digest('hex');
+  }
+
+  /**
+   * Loads the index from disk (once).
+   * @returns {Promise<object>} - Entries by key.
+   */
+  static async load() {
+    if (index) return index;
+    try {
+      index = JSON.parse(await fs.readFile(INDEX_FILE, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read translation cache, starting empty:', error.message);
+      }
+      index = {};
+    }
+    return index;
+  }
+
+  /**
+   * Writes the index to disk (via a temporary file, so a crash never leaves it half-written).
+   * @returns {Promise<void>}
+   */
+  static async save() {
+    const snapshot = JSON.stringify(index, null, 2);
+    writeChain = writeChain.catch(() => { }).then(async () => {
+      await fs.mkdir(CACHE_DIR, { recursive: true });
+      await fs.writeFile(`${INDEX_FILE}.tmp`, snapshot);
+      await fs.rename(`${INDEX_FILE}.tmp`, INDEX_FILE);
+    });
+    return writeChain;
+  }
+
+  /**
+   * Returns an entry unless it has expired (expired entries are removed).
+   * @param {string} key - Cache key.
+   * @returns {Promise<object|null>} - The entry, or null.
+   */
+  static async get(key) {
+    const entries = await this.load();
+    const entry = entries[key];
+    if (!entry) return null;
+
+    const ageMs = Date.now() - new Date(entry.createdAt).getTime();
+    if (ageMs > CONFIG.TRANSLATION_CACHE_DAYS * 24 * 60 * 60 * 1000) {
+      await this.remove(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Stores a completed translation, copying its response files into the cache.
+   * @param {string} key - Cache key.
+   * @param {object} entry - { contentHash, rootFile, fileCount, encodedUrn, guidViewable, sourceSessionId, owner }.
+   * @param {string} responsePath - Response folder of the session that produced the translation.
+   * @returns {Promise<void>}
+   */
+  static async store(key, entry, responsePath) {
+    const entryDir = path.join(CACHE_DIR, key);
+    await fs.mkdir(entryDir, { recursive: true });
+    for (const file of CACHED_RESPONSES) {
+      await fs.copyFile(path.join(responsePath, file), path.join(entryDir, file));
+    }
+
+    const entries = await this.load();
+    entries[key] = { key, ...entry, createdAt: new Date().toISOString(), hits: 0 };
+    await this.save();
+  }
+
+  /**
+   * Copies an entry's response files into a session's response folder and counts the hit.
+   * @param {object} entry - The cache entry.
+   * @param {string} responsePath - Response folder of the session reusing the translation.
+   * @returns {Promise<void>}
+   */
+  static async restore(entry, responsePath) {
+    for (const file of CACHED_RESPONSES) {
+      await fs.copyFile(path.join(CACHE_DIR, entry.key, file), path.join(responsePath, file));
+    }
+
+    const entries = await this.load();
+    if (entries[entry.key]) {
+      entries[entry.key].hits = (entries[entry.key].hits || 0) + 1;
+      entries[entry.key].lastHitAt = new Date().toISOString();
+      await this.save();
+    }
+  }
+
+  /**
+   * Removes an entry (e.g. when Forge no longer has its derivatives).
+   * @param {string} key - Cache key.
+   * @returns {Promise<void>}
+   */
+  static async remove(key) {
+    const entries = await this.load();
+    delete entries[key];
+    await this.save();
+    await fs.rm(path.join(CACHE_DIR, key), { recursive: true, force: true });
+  }
+}
+
+module.exports = TranslationCache;
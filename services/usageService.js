@@ -0,0 +1,245 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config/config');
+
+// Usage file: daily counters per client plus the current rate limit windows
+const USAGE_FILE = path.join('data', 'usage.json');
+
+// Counters are written at most this often (requests only change the in-memory copy)
+const SAVE_DELAY = 1000;
+
+// Quota kinds counted per client and day
+const QUOTA_KINDS = ['uploads', 'translations', 'generations'];
+
+// In-memory copy of the usage file (loaded from USAGE_FILE on first use)
+let usage = null;
+let loading = null;
+
+// Pending writes of the usage file, chained so they never interleave
+let writeChain = Promise.resolve();
+let saveTimer = null;
+
+/**
+ * UsageService keeps the counters behind rate limits and daily quotas, so they survive restarts.
+ * - Rate limits: requests per RATE_LIMIT_WINDOW_SECONDS for a group of routes (CONFIG.RATE_LIMITS),
+ *   counted per client and across all clients in fixed windows.
+ * - Daily quotas: uploads, translations and LLM generations per client and UTC day
+ *   (CONFIG.DAILY_QUOTAS, overridden per client by a `quotas` object on its API key record).
+ * A limit of null means unlimited.
+ *
+ * File shape: { days: { 'YYYY-MM-DD': { clientId: { uploads, translations, generations } } },
+ *               windows: { 'group:clientId' | 'group:*': { start, count } } }
+ */
+class UsageService {
+  /**
+   * Loads the usage file (once).
+   * @returns {Promise<object>} - The usage data.
+   */
+  static async load() {
+    if (usage) return usage;
+    loading = loading || fs.readFile(USAGE_FILE, 'utf-8')
+      .then(JSON.parse)
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          console.error('Failed to read usage counters, starting empty:', error.message);
+        }
+        return {};
+      })
+      .then(data => {
+        usage = { days: data.days || {}, windows: data.windows || {} };
+        return usage;
+      });
+    return loading;
+  }
+
+  /**
+   * Writes the counters to disk shortly after the last change; old days and expired windows are dropped first.
+   */
+  static scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      this.save().catch(error => console.error('Failed to save usage counters:', error.message));
+    }, SAVE_DELAY);
+    saveTimer.unref();
+  }
+
+  /**
+   * Writes the counters to disk (via a temporary file, so a crash never leaves it half-written).
+   * @returns {Promise<void>}
+   */
+  static async save() {
+    const oldestDay = this.getDay(new Date(Date.now() - CONFIG.USAGE_HISTORY_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(usage.days).filter(day => day < oldestDay).forEach(day => delete usage.days[day]);
+
+    const windowMs = CONFIG.RATE_LIMIT_WINDOW_SECONDS * 1000;
+    Object.entries(usage.windows)
+      .filter(([, window]) => window.start + windowMs <= Date.now())
+      .forEach(([key]) => delete usage.windows[key]);
+
+    const snapshot = JSON.stringify(usage, null, 2);
+    writeChain = writeChain.catch(() => { }).then(async () => {
+      await fs.mkdir(path.dirname(USAGE_FILE), { recursive: true });
+      await fs.writeFile(`${USAGE_FILE}.tmp`, snapshot);
+      await fs.rename(`${USAGE_FILE}.tmp`, USAGE_FILE);
+    });
+    return writeChain;
+  }
+
+  /**
+   * Returns the UTC day of a date, as used for daily quotas.
+   * @param {Date} [date] - The date (default: now).
+   * @returns {string} - 'YYYY-MM-DD'.
+   */
+  static getDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Returns the time at which the daily quotas reset (next UTC midnight).
+   * @returns {Date} - Reset time.
+   */
+  static getQuotaReset() {
+    const reset = new Date();
+    reset.setUTCHours(24, 0, 0, 0);
+    return reset;
+  }
+
+  /**
+   * Returns a client's daily quotas: the configured defaults, overridden by the client's own.
+   * @param {object} client - req.client (optionally with `quotas`).
+   * @returns {object} - Limit per quota kind (null for unlimited).
+   */
+  static getQuotas(client) {
+    return { ...CONFIG.DAILY_QUOTAS, ...(client?.quotas || {}) };
+  }
+
+  /**
+   * Counts a request against a rate limit group, per client and globally.
+   * Rejected requests are not counted.
+   * @param {string} group - Key of CONFIG.RATE_LIMITS.
+   * @param {string} clientId - The calling client.
+   * @returns {Promise<{ allowed: boolean, scope: string, limit: number|null, remaining: number|null, resetAt: number }>}
+   *   - Outcome of the strictest limit; scope is 'client' or 'global', resetAt is a timestamp (ms).
+   */
+  static async hit(group, clientId) {
+    await this.load();
+    const { perClient = null, global = null } = CONFIG.RATE_LIMITS[group] || {};
+    const windowMs = CONFIG.RATE_LIMIT_WINDOW_SECONDS * 1000;
+    const start = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = start + windowMs;
+
+    // Counters of earlier windows start again from zero
+    const getWindow = key => {
+      if (usage.windows[key]?.start !== start) usage.windows[key] = { start, count: 0 };
+      return usage.windows[key];
+    };
+    const checks = [
+      { scope: 'client', limit: perClient, window: getWindow(`${group}:${clientId}`) },
+      { scope: 'global', limit: global, window: getWindow(`${group}:*`) }
+    ];
+
+    const blocked = checks.find(check => check.limit !== null && check.window.count >= check.limit);
+    if (blocked) {
+      return { allowed: false, scope: blocked.scope, limit: blocked.limit, remaining: 0, resetAt };
+    }
+
+    checks.forEach(check => { check.window.count += 1; });
+    this.scheduleSave();
+
+    const client = checks[0];
+    return {
+      allowed: true,
+      scope: 'client',
+      limit: client.limit,
+      remaining: client.limit === null ? null : client.limit - client.window.count,
+      resetAt
+    };
+  }
+
+  /**
+   * Checks whether a client has some of a daily quota left.
+   * @param {object} client - req.client.
+   * @param {string} kind - One of QUOTA_KINDS.
+   * @returns {Promise<{ allowed: boolean, used: number, limit: number|null, resetAt: Date }>}
+   */
+  static async checkQuota(client, kind) {
+    await this.load();
+    const limit = this.getQuotas(client)[kind] ?? null;
+    const used = usage.days[this.getDay()]?.[client.id]?.[kind] || 0;
+    return { allowed: limit === null || used < limit, used, limit, resetAt: this.getQuotaReset() };
+  }
+
+  /**
+   * Counts usage against a client's daily quota.
+   * @param {string} clientId - The client (session or upload owner).
+   * @param {string} kind - One of QUOTA_KINDS.
+   * @param {number} [amount] - Amount to add (default 1).
+   * @returns {Promise<void>}
+   */
+  static async record(clientId, kind, amount = 1) {
+    await this.load();
+    const day = this.getDay();
+    const counters = (usage.days[day] = usage.days[day] || {});
+    const clientCounters = (counters[clientId] = counters[clientId] || {});
+    clientCounters[kind] = (clientCounters[kind] || 0) + amount;
+    this.scheduleSave();
+  }
+
+  /**
+   * Describes a client's usage: today's consumption against its quotas, its rate limit windows and earlier days.
+   * @param {object} client - { id, quotas? }.
+   * @param {number} [days] - Number of earlier days to include in the history.
+   * @returns {Promise<object>} - Usage report.
+   */
+  static async describe(client, days = 7) {
+    await this.load();
+    const quotas = this.getQuotas(client);
+    const today = usage.days[this.getDay()]?.[client.id] || {};
+    const windowMs = CONFIG.RATE_LIMIT_WINDOW_SECONDS * 1000;
+    const start = Math.floor(Date.now() / windowMs) * windowMs;
+
+    const history = Object.keys(usage.days)
+      .sort()
+      .reverse()
+      .filter(day => day < this.getDay() && usage.days[day][client.id])
+      .slice(0, days)
+      .map(day => ({ date: day, ...usage.days[day][client.id] }));
+
+    return {
+      clientId: client.id,
+      date: this.getDay(),
+      quotas: Object.fromEntries(QUOTA_KINDS.map(kind => {
+        const used = today[kind] || 0;
+        const limit = quotas[kind] ?? null;
+        return [kind, { used, limit, remaining: limit === null ? null : Math.max(limit - used, 0) }];
+      })),
+      quotasResetAt: this.getQuotaReset().toISOString(),
+      rateLimits: Object.fromEntries(Object.entries(CONFIG.RATE_LIMITS).map(([group, { perClient = null }]) => {
+        const window = usage.windows[`${group}:${client.id}`];
+        const used = window?.start === start ? window.count : 0;
+        return [group, {
+          used,
+          limit: perClient,
+          remaining: perClient === null ? null : Math.max(perClient - used, 0),
+          windowSeconds: CONFIG.RATE_LIMIT_WINDOW_SECONDS,
+          resetsAt: new Date(start + windowMs).toISOString()
+        }];
+      })),
+      history
+    };
+  }
+
+  /**
+   * Lists every client's usage on a day.
+   * @param {string} [day] - 'YYYY-MM-DD' (default: today).
+   * @returns {Promise<object[]>} - [{ clientId, uploads, translations, generations }].
+   */
+  static async listDay(day = this.getDay()) {
+    await this.load();
+    return Object.entries(usage.days[day] || {})
+      .map(([clientId, counters]) => ({ clientId, ...Object.fromEntries(QUOTA_KINDS.map(kind => [kind, counters[kind] || 0])) }));
+  }
+}
+
+module.exports = { UsageService, QUOTA_KINDS };
@@ -0,0 +1,275 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const CONFIG = require('../config/config');
+const SessionManager = require('./sessionService');
+const SecretUtils = require('../utils/secretUtils');
+
+// Address ranges webhooks may not be sent to: this host, private networks, link-local (including cloud
+// metadata services such as 169.254.169.254), carrier-grade NAT, unique-local, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Checks whether webhooks may be sent to an IP address.
+ * @param {string} address - IPv4 or IPv6 address.
+ * @returns {boolean} - True for public addresses.
+ */
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as the IPv4 address they carry
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup for webhook requests that refuses non-public addresses. The connection is made to the
+ * address checked here, so a host that resolves differently between validation and delivery
+ * (DNS rebinding) cannot redirect a webhook to an internal address.
+ * Same signature as dns.lookup.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked && !CONFIG.WEBHOOK_ALLOW_PRIVATE_URLS) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a non-public address (${blocked.address})`),
+        { code: 'WEBHOOK_ADDRESS_BLOCKED' }));
+    }
+    callback(null, address, family);
+  });
+}
+
+// Agents used for every webhook request, so each connection goes through publicLookup
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * WebhookService notifies a client-supplied callback URL when a session finishes processing.
+ * Each request carries a JSON payload and, when a shared secret was given, an HMAC-SHA256
+ * signature of "<timestamp>.<body>" in the X-Webhook-Signature header ("sha256=<hex>").
+ * Failed deliveries are retried with exponential backoff, and every attempt is logged in the
+ * session's `webhook.deliveries` list.
+ */
+class WebhookService {
+  /**
+   * Validates a callback URL supplied with an upload.
+   * The host must resolve to public addresses only (no loopback, private, link-local or unique-local
+   * addresses), unless CONFIG.WEBHOOK_ALLOW_PRIVATE_URLS is set for local development.
+   * @param {string} url - The callback URL.
+   * @returns {Promise<string|null>} - An error message, or null if the URL is acceptable.
+   */
+  static async validateCallbackUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'callbackUrl must be an absolute URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'callbackUrl must use http or https';
+    }
+    return this.checkDestination(parsed);
+  }
+
+  /**
+   * Checks that a webhook URL's host only resolves to public addresses.
+   * @param {URL} url - The parsed callback URL.
+   * @returns {Promise<string|null>} - An error message, or null if the host is acceptable.
+   */
+  static async checkDestination(url) {
+    if (CONFIG.WEBHOOK_ALLOW_PRIVATE_URLS) return null;
+
+    // IPv6 literals keep their brackets in URL.hostname
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(hostname) ? [hostname] : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      return `callbackUrl host could not be resolved: ${hostname}`;
+    }
+
+    const blocked = addresses.find(address => !isPublicAddress(address));
+    if (blocked) {
+      return `callbackUrl must point to a public address (${hostname} resolves to ${blocked})`;
+    }
+    return null;
+  }
+
+  /**
+   * Signs a webhook body with the shared secret.
+   * @param {string} secret - The shared secret.
+   * @param {string} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp.
+   * @param {string} body - The raw JSON body.
+   * @returns {string} - Signature in the form "sha256=<hex digest>".
+   */
+  static sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Builds the webhook payload for a finished session.
+   * The Forge access token is never included.
+   * @param {string} sessionId - The unique session identifier.
+   * @param {object} session - The session data.
+   * @returns {object} - The payload.
+   */
+  static buildPayload(sessionId, session) {
+    return {
+      event: `session.${session.status}`,
+      sessionId,
+      status: session.status,
+      message: session.message,
+      error: session.error,
+      result: session.result ? {
+        encodedUrn: session.result.encodedUrn,
+        bucketKey: session.result.bucketKey
+      } : undefined,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    };
+  }
+
+  /**
+   * Returns the webhook state as shown in the status response (without the secret).
+   * @param {object} webhook - The session's webhook record.
+   * @returns {object|undefined} - Public webhook details, or undefined if none is configured.
+   */
+  static toPublic(webhook) {
+    if (!webhook) return undefined;
+    return {
+      url: webhook.url,
+      signed: Boolean(webhook.secret),
+      status: webhook.status,
+      nextAttemptAt: webhook.nextAttemptAt,
+      attempts: webhook.deliveries.length,
+      deliveries: webhook.deliveries
+    };
+  }
+
+  /**
+   * Sends the completion webhook for a session, retrying failed attempts with exponential backoff.
+   * Does nothing if the session has no callback URL. Never throws; the outcome is recorded
+   * in the session's webhook record ('delivered' or 'failed'). The destination is checked again
+   * on every attempt; one that now resolves to a non-public address fails without further retries.
+   * @param {string} sessionId - The unique session identifier.
+   * @returns {Promise<void>}
+   */
+  static async notify(sessionId) {
+    const session = await SessionManager.getSession(sessionId);
+    if (!session || !session.webhook) return;
+
+    const webhook = { ...session.webhook, status: 'pending', deliveries: [...(session.webhook.deliveries || [])] };
+    const body = JSON.stringify(this.buildPayload(sessionId, session));
+    const deliveryId = uuidv4();
+
+    // Stored encrypted; only decrypted for signing. A secret that cannot be decrypted (e.g. after the
+    // encryption key changed) fails the delivery without sending anything.
+    let secret;
+    try {
+      secret = SecretUtils.decrypt(session.webhook.secret);
+    } catch (error) {
+      webhook.status = 'failed';
+      webhook.deliveries.push({
+        attempt: 1,
+        deliveryId,
+        sentAt: new Date().toISOString(),
+        error: `Failed to decrypt the webhook secret: ${error.message}`,
+        durationMs: 0
+      });
+      delete webhook.nextAttemptAt;
+      console.error(`Webhook delivery failed for session ${sessionId}: the secret could not be decrypted`);
+      await SessionManager.updateSession(sessionId, { webhook }).catch(recordError => {
+        console.error(`Failed to record webhook delivery for ${sessionId}:`, recordError.message);
+      });
+      return;
+    }
+
+    for (let attempt = 1; attempt <= CONFIG.WEBHOOK_MAX_ATTEMPTS; attempt++) {
+      const startedAt = Date.now();
+      const entry = { attempt, deliveryId, sentAt: new Date(startedAt).toISOString() };
+      // Set when the destination is not a public address, which retrying cannot fix
+      let permanent = false;
+
+      // Host names are checked by publicLookup as the connection is made; IP literals never reach it
+      const host = new URL(webhook.url).hostname.replace(/^\[|\]$/g, '');
+      if (net.isIP(host) && !isPublicAddress(host) && !CONFIG.WEBHOOK_ALLOW_PRIVATE_URLS) {
+        entry.error = `callbackUrl must point to a public address (${host})`;
+        permanent = true;
+      }
+
+      if (!permanent) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': `session.${session.status}`,
+          'X-Webhook-Delivery': deliveryId,
+          'X-Webhook-Timestamp': timestamp
+        };
+        if (secret) {
+          headers['X-Webhook-Signature'] = this.sign(secret, timestamp, body);
+        }
+
+        try {
+          const response = await axios.post(webhook.url, body, {
+            headers,
+            timeout: CONFIG.WEBHOOK_TIMEOUT,
+            maxRedirects: 0,
+            httpAgent,
+            httpsAgent,
+            proxy: false,
+            // Any non-2xx response counts as a failed delivery
+            validateStatus: status => status >= 200 && status < 300
+          });
+          entry.statusCode = response.status;
+          webhook.status = 'delivered';
+        } catch (error) {
+          entry.statusCode = error.response?.status;
+          entry.error = error.message;
+          permanent = error.code === 'WEBHOOK_ADDRESS_BLOCKED';
+        }
+      }
+
+      entry.durationMs = Date.now() - startedAt;
+      webhook.deliveries.push(entry);
+
+      // Exponential backoff: 2s, 4s, 8s, ... with the default base delay
+      const delay = CONFIG.WEBHOOK_RETRY_BASE_DELAY * Math.pow(2, attempt - 1);
+      const finished = webhook.status === 'delivered' || permanent || attempt === CONFIG.WEBHOOK_MAX_ATTEMPTS;
+      if (finished) {
+        if (webhook.status !== 'delivered') webhook.status = 'failed';
+        delete webhook.nextAttemptAt;
+      } else {
+        webhook.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      }
+
+      await SessionManager.updateSession(sessionId, { webhook }).catch(error => {
+        console.error(`Failed to record webhook delivery for ${sessionId}:`, error.message);
+      });
+
+      if (finished) {
+        if (webhook.status === 'failed') {
+          console.error(`Webhook delivery failed for session ${sessionId} after ${attempt} attempts`);
+        }
+        return;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = WebhookService;
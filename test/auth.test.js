@@ -0,0 +1,82 @@
+const { startApp } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { v4: uuidv4 } = require('uuid');
+const CONFIG = require('../config/config');
+const { ApiKeyStore } = require('../services/apiKeyStore');
+const SessionManager = require('../services/sessionService');
+
+let app;
+let keys;
+const sessionId = uuidv4();
+
+test.before(async () => {
+  CONFIG.AUTH_ENABLED = true;
+  app = await startApp();
+  keys = {
+    owner: (await ApiKeyStore.create({ clientId: 'acme' })).key,
+    other: (await ApiKeyStore.create({ clientId: 'globex' })).key,
+    admin: (await ApiKeyStore.create({ clientId: 'ops', role: 'admin' })).key
+  };
+  await SessionManager.updateSession(sessionId, { owner: 'acme', status: 'processing', message: 'Uploading files', progress: 10 });
+});
+
+test.after(() => app.close());
+
+/**
+ * Requests a session's status.
+ * @param {object} headers - Request headers.
+ * @returns {Promise<Response>} - The response.
+ */
+function getStatus(headers) {
+  return fetch(`${app.url}/status/${sessionId}`, { headers });
+}
+
+test('rejects requests without credentials or with an unknown key with 401', async () => {
+  let response = await getStatus({});
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual((await response.json()).code, 'UNAUTHORIZED');
+
+  response = await getStatus({ 'X-API-Key': 'ak_not-a-real-key' });
+  assert.strictEqual(response.status, 401);
+});
+
+test('lets the owning client read its session, also with a bearer token', async () => {
+  let response = await getStatus({ 'X-API-Key': keys.owner });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).status, 'processing');
+
+  response = await getStatus({ Authorization: `Bearer ${keys.owner}` });
+  assert.strictEqual(response.status, 200);
+});
+
+test("reports another client's session as not found", async () => {
+  const response = await getStatus({ 'X-API-Key': keys.other });
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual((await response.json()).code, 'SESSION_NOT_FOUND');
+
+  // Nor may it mint a viewer token or generate an animation for the session
+  const auth = await fetch(`${app.url}/auth`, {
+    method: 'POST',
+    headers: { 'X-API-Key': keys.other, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId })
+  });
+  assert.strictEqual(auth.status, 404);
+
+  const generate = await fetch(`${app.url}/generate-animation/${sessionId}`, { headers: { 'X-API-Key': keys.other } });
+  assert.strictEqual(generate.status, 404);
+});
+
+test('lets admins read every session', async () => {
+  const response = await getStatus({ 'X-API-Key': keys.admin });
+  assert.strictEqual(response.status, 200);
+});
+
+test('keeps revoked keys out', async () => {
+  const { key, record } = await ApiKeyStore.create({ clientId: 'acme', name: 'old laptop' });
+  await ApiKeyStore.revoke(record.id);
+
+  const response = await getStatus({ 'X-API-Key': key });
+  assert.strictEqual(response.status, 401);
+});
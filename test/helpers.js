@@ -0,0 +1,72 @@
+/**
+ * Shared setup for the tests (run with npm test, i.e. node --test).
+ * Require it before any application module: it provides the settings config requires and moves the
+ * process into a scratch working directory, since sessions, uploads, keys and usage counters are all
+ * stored relative to it. Every test file runs in its own process, so each gets a fresh directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.FORGE_CLIENT_ID ||= 'test-client-id';
+process.env.FORGE_CLIENT_SECRET ||= 'test-client-secret';
+// Never call a paid LLM from the tests
+process.env.LLM_PROVIDER = 'mock';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'animation-server-test-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+/**
+ * Starts the app on a free port.
+ * @returns {Promise<{ url: string, close: function }>} - Base URL and a function that stops the server.
+ */
+async function startApp() {
+  const { app, initializeDirectories } = require('../app');
+  await initializeDirectories();
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(0, error => (error ? reject(error) : resolve(listening)));
+  });
+
+  return {
+    url: `http://localhost:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
+
+/**
+ * Builds a multipart body with a ZIP file, as sent to POST /process.
+ * @param {Buffer} zipBuffer - The ZIP archive.
+ * @param {object} [fields] - Other form fields.
+ * @returns {FormData} - The form.
+ */
+function zipForm(zipBuffer, fields = {}) {
+  const form = new FormData();
+  form.append('zipfile', new Blob([zipBuffer], { type: 'application/zip' }), 'model.zip');
+  for (const [name, value] of Object.entries(fields)) form.append(name, String(value));
+  return form;
+}
+
+/**
+ * Polls GET /status/:sessionId until the session completes or fails.
+ * @param {string} url - Base URL of the app.
+ * @param {string} sessionId - Session to wait for.
+ * @param {object} [headers] - Request headers (e.g. the API key).
+ * @param {number} [timeoutMs] - How long to wait.
+ * @returns {Promise<object>} - The final status response.
+ */
+async function waitForSession(url, sessionId, headers = {}, timeoutMs = 20000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const status = await (await fetch(`${url}/status/${sessionId}`, { headers })).json();
+    if (['completed', 'failed'].includes(status.status)) return status;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Session ${sessionId} did not finish within ${timeoutMs}ms`);
+}
+
+module.exports = { workDir, startApp, zipForm, waitForSession };
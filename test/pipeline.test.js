@@ -0,0 +1,111 @@
+const { startApp, zipForm, waitForSession } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const CONFIG = require('../config/config');
+const { FakeAps } = require('../scripts/fakeAps/fakeAps');
+const { ApiKeyStore } = require('../services/apiKeyStore');
+
+// End-to-end runs of POST /process against the fake Autodesk Platform Services server
+let fakeAps;
+let app;
+
+test.before(async () => {
+  fakeAps = new FakeAps({ manifestPolls: 2, log: false });
+  CONFIG.FORGE_BASE_URL = `http://localhost:${await fakeAps.listen(0)}`;
+  CONFIG.TRANSLATION_CHECK_INTERVAL = 50;
+  CONFIG.UPLOAD_RETRY_BASE_DELAY = 10;
+  CONFIG.AUTH_ENABLED = false;
+  app = await startApp();
+});
+
+test.after(async () => {
+  await app.close();
+  await fakeAps.close();
+});
+
+test.beforeEach(() => fakeAps.reset());
+
+/**
+ * Uploads a ZIP with the given files and waits for the session to finish.
+ * @param {object} files - Entry names mapped to contents.
+ * @param {object} [options] - { force: skip the translation cache (default true), headers }.
+ * @returns {Promise<{ sessionId: string, status: object }>} - The session and its final status.
+ */
+async function processFiles(files, { force = true, headers = {} } = {}) {
+  const zip = new AdmZip();
+  for (const [name, data] of Object.entries(files)) zip.addFile(name, Buffer.from(data));
+
+  const response = await fetch(`${app.url}/process`, { method: 'POST', headers, body: zipForm(zip.toBuffer(), { force }) });
+  assert.strictEqual(response.status, 200, await response.clone().text());
+  const { sessionId } = await response.json();
+  return { sessionId, status: await waitForSession(app.url, sessionId, headers) };
+}
+
+test('translates an assembly and saves its model data', async () => {
+  const { sessionId, status } = await processFiles({ 'gearbox.iam': 'assembly', 'shaft.ipt': 'shaft', 'gear.ipt': 'gear' });
+  assert.strictEqual(status.status, 'completed', JSON.stringify(status));
+
+  const hierarchy = JSON.parse(fs.readFileSync(path.join('responses', `session_${sessionId}`, '09_object_hierarchy.json'), 'utf-8'));
+  assert.strictEqual(hierarchy.data.objects[0].name, 'Gearbox');
+
+  // Every file reached the fake bucket
+  const bucket = [...fakeAps.buckets.values()][0];
+  assert.deepStrictEqual([...bucket.objects.keys()].sort(), ['gear.ipt', 'gearbox.iam', 'shaft.ipt']);
+
+  const animation = await fetch(`${app.url}/generate-animation/${sessionId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ mode: 'rules' })
+  });
+  assert.strictEqual(animation.status, 200);
+});
+
+test('fails the session when the translation fails', async () => {
+  // broken.ipt uses the fixture whose translation fails
+  const { status } = await processFiles({ 'broken.ipt': 'corrupt' });
+
+  assert.strictEqual(status.status, 'failed');
+  assert.match(JSON.stringify(status.error), /Unrecoverable exit code from extractor/);
+});
+
+test('fails the session when the translation times out', async () => {
+  fakeAps.setFaults({ translation: 'timeout' });
+  const { status } = await processFiles({ 'bracket.ipt': 'part' });
+
+  assert.strictEqual(status.status, 'failed');
+});
+
+test('retries a chunk upload that failed with a 5xx', async () => {
+  fakeAps.setFaults({ rules: [{ endpoint: 'uploadPart', status: 503, times: 1 }] });
+  const { status } = await processFiles({ 'bracket.ipt': 'part' });
+
+  assert.strictEqual(status.status, 'completed', JSON.stringify(status));
+  assert.strictEqual(fakeAps.faults.rules[0].fired, 1);
+});
+
+test("reuses a cached translation without naming another client's session", async () => {
+  CONFIG.AUTH_ENABLED = true;
+  try {
+    const owner = { 'X-API-Key': (await ApiKeyStore.create({ clientId: 'acme' })).key };
+    const other = { 'X-API-Key': (await ApiKeyStore.create({ clientId: 'globex' })).key };
+    const files = { 'bracket.ipt': 'identical part' };
+
+    const first = await processFiles(files, { force: false, headers: owner });
+    assert.strictEqual(first.status.status, 'completed', JSON.stringify(first.status));
+    assert.strictEqual(first.status.cache.hit, false);
+
+    const again = await processFiles(files, { force: false, headers: owner });
+    assert.deepStrictEqual(again.status.cache, { hit: true, sourceSessionId: first.sessionId, cachedAt: again.status.cache.cachedAt });
+
+    const foreign = await processFiles(files, { force: false, headers: other });
+    assert.strictEqual(foreign.status.status, 'completed');
+    assert.deepStrictEqual(foreign.status.cache, { hit: true });
+    assert.ok(!JSON.stringify(foreign.status).includes(first.sessionId));
+  } finally {
+    CONFIG.AUTH_ENABLED = false;
+  }
+});
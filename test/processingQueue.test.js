@@ -0,0 +1,105 @@
+const { startApp } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const CONFIG = require('../config/config');
+const SessionManager = require('../services/sessionService');
+const ProcessingQueue = require('../services/processingQueue');
+
+let app;
+
+test.before(async () => {
+  CONFIG.AUTH_ENABLED = false;
+  // Jobs stay queued, so no pipeline runs
+  CONFIG.MAX_CONCURRENT_PIPELINES = 0;
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+/**
+ * Creates a session with its upload folder.
+ * @param {object} data - Session data.
+ * @returns {Promise<string>} - The session ID.
+ */
+async function createSession(data) {
+  const sessionId = uuidv4();
+  fs.mkdirSync(path.join('uploads', `session_${sessionId}`), { recursive: true });
+  await SessionManager.updateSession(sessionId, data);
+  return sessionId;
+}
+
+/**
+ * Sends the same kind of POST request several times at once.
+ * @param {string[]} paths - Request paths.
+ * @param {object[]} bodies - JSON bodies, one per request.
+ * @returns {Promise<number[]>} - Response statuses.
+ */
+async function postAll(paths, bodies) {
+  const responses = await Promise.all(paths.map((requestPath, i) => fetch(`${app.url}${requestPath}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(bodies[i])
+  })));
+  return responses.map(response => response.status);
+}
+
+/**
+ * Counts the queue's jobs for a session.
+ * @param {string} sessionId - The unique session identifier.
+ * @returns {Promise<number>} - Number of jobs.
+ */
+async function countJobs(sessionId) {
+  return (await ProcessingQueue.getStats()).jobs.filter(job => job.sessionId === sessionId).length;
+}
+
+test('queues a failed session once however many retries arrive at the same time', async () => {
+  const sessionId = await createSession({ status: 'failed', error: 'Translation failed', retryCount: 0 });
+
+  const statuses = await postAll(Array(5).fill(`/sessions/${sessionId}/retry`), Array(5).fill({}));
+
+  assert.deepStrictEqual(statuses.filter(status => status === 200).length, 1, `statuses: ${statuses}`);
+  assert.ok(statuses.every(status => status === 200 || status === 409));
+  assert.strictEqual(await countJobs(sessionId), 1);
+  assert.strictEqual((await SessionManager.getSession(sessionId)).retryCount, 1);
+});
+
+test('queues a session waiting for its root file once, with the winning selection', async () => {
+  const rootCandidates = [{ path: 'a.iam' }, { path: 'b.iam' }, { path: 'c.iam' }];
+  const sessionId = await createSession({ status: 'awaiting_root_selection', rootCandidates });
+
+  const bodies = rootCandidates.map(candidate => ({ rootFile: candidate.path }));
+  const statuses = await postAll(Array(3).fill(`/sessions/${sessionId}/root`), bodies);
+
+  const winner = statuses.indexOf(200);
+  assert.strictEqual(statuses.filter(status => status === 200).length, 1, `statuses: ${statuses}`);
+  assert.strictEqual(await countJobs(sessionId), 1);
+  assert.strictEqual((await SessionManager.getSession(sessionId)).rootFile, bodies[winner].rootFile);
+});
+
+test('refuses to queue a session that already has a job', async () => {
+  const sessionId = await createSession({ status: 'queued' });
+  const uploadPath = path.join('uploads', `session_${sessionId}`);
+  const responsePath = path.join('responses', `session_${sessionId}`);
+
+  await ProcessingQueue.enqueue(sessionId, uploadPath, responsePath);
+  await assert.rejects(ProcessingQueue.enqueue(sessionId, uploadPath, responsePath), { code: 'ALREADY_QUEUED' });
+  assert.strictEqual(await countJobs(sessionId), 1);
+});
+
+test('puts a retried session back when its failed run has not left the queue yet', async () => {
+  // Like a pipeline that has just failed: its session is failed while its job is still in the queue
+  const sessionId = await createSession({ status: 'queued' });
+  await ProcessingQueue.enqueue(sessionId, path.join('uploads', `session_${sessionId}`), path.join('responses', `session_${sessionId}`));
+  await SessionManager.updateSession(sessionId, { status: 'failed', message: 'Translation failed', error: 'Translation failed' });
+
+  const [status] = await postAll([`/sessions/${sessionId}/retry`], [{}]);
+  assert.strictEqual(status, 409);
+
+  const session = await SessionManager.getSession(sessionId);
+  assert.strictEqual(session.status, 'failed');
+  assert.strictEqual(session.error, 'Translation failed');
+});
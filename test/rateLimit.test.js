@@ -0,0 +1,100 @@
+const { startApp, zipForm } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { v4: uuidv4 } = require('uuid');
+const CONFIG = require('../config/config');
+const { ApiKeyStore } = require('../services/apiKeyStore');
+const { UsageService } = require('../services/usageService');
+
+let app;
+
+test.before(async () => {
+  CONFIG.AUTH_ENABLED = true;
+  // Long windows, so no window ends (and resets the counts) in the middle of a test
+  CONFIG.RATE_LIMIT_WINDOW_SECONDS = 3600;
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+/**
+ * Creates an API key for a new client.
+ * @param {object} [options] - Extra key options (e.g. quotas).
+ * @returns {Promise<{ clientId: string, headers: object }>} - The client and headers authenticating it.
+ */
+async function createClient(options = {}) {
+  const clientId = `client-${uuidv4().slice(0, 8)}`;
+  const { key } = await ApiKeyStore.create({ clientId, ...options });
+  return { clientId, headers: { 'X-API-Key': key } };
+}
+
+/**
+ * Asserts that a response is a 429 with a usable Retry-After header.
+ * @param {Response} response - The response.
+ * @param {string} code - Expected error code.
+ * @returns {Promise<object>} - The response body.
+ */
+async function assertTooManyRequests(response, code) {
+  assert.strictEqual(response.status, 429);
+  const retryAfter = Number(response.headers.get('retry-after'));
+  assert.ok(Number.isInteger(retryAfter) && retryAfter >= 1, `Retry-After is ${response.headers.get('retry-after')}`);
+  const body = await response.json();
+  assert.strictEqual(body.code, code);
+  return body;
+}
+
+test('answers 429 with Retry-After once a client exceeds its rate limit', async () => {
+  CONFIG.RATE_LIMITS.default = { perClient: 3, global: null };
+  const limited = await createClient();
+  const other = await createClient();
+
+  for (let i = 0; i < 3; i++) {
+    const response = await fetch(`${app.url}/usage`, { headers: limited.headers });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('ratelimit-remaining'), String(2 - i));
+  }
+
+  const response = await fetch(`${app.url}/usage`, { headers: limited.headers });
+  const body = await assertTooManyRequests(response, 'RATE_LIMITED');
+  assert.ok(Number(response.headers.get('retry-after')) <= CONFIG.RATE_LIMIT_WINDOW_SECONDS);
+  assert.match(body.details, /3 requests per window/);
+
+  // Other clients have limits of their own
+  assert.strictEqual((await fetch(`${app.url}/usage`, { headers: other.headers })).status, 200);
+});
+
+test('applies the global limit of a route group across clients', async () => {
+  CONFIG.RATE_LIMITS.default = { perClient: null, global: null };
+  CONFIG.RATE_LIMITS.generation = { perClient: null, global: 1 };
+  const first = await createClient();
+  const second = await createClient();
+  const url = `${app.url}/generate-animation/${uuidv4()}`;
+
+  // The first request is counted (the session does not exist), the second is over the global limit
+  assert.strictEqual((await fetch(url, { headers: first.headers })).status, 404);
+  const body = await assertTooManyRequests(await fetch(url, { headers: second.headers }), 'RATE_LIMITED');
+  assert.match(body.details, /too many of these requests/);
+});
+
+test('answers 429 with Retry-After once a daily quota is used up', async () => {
+  CONFIG.RATE_LIMITS.uploads = { perClient: null, global: null };
+  const client = await createClient({ quotas: { uploads: 1 } });
+  await UsageService.record(client.clientId, 'uploads');
+
+  const response = await fetch(`${app.url}/process`, { method: 'POST', headers: client.headers, body: zipForm(Buffer.alloc(0)) });
+  const body = await assertTooManyRequests(response, 'QUOTA_EXCEEDED');
+  assert.strictEqual(body.quota, 'uploads');
+
+  const usage = await (await fetch(`${app.url}/usage`, { headers: client.headers })).json();
+  assert.strictEqual(usage.quotas.uploads.used, 1);
+  assert.strictEqual(usage.quotas.uploads.limit, 1);
+});
+
+test('rejects POST /uploads/:uploadId/complete once the upload quota is used up', async () => {
+  const client = await createClient({ quotas: { uploads: 1 } });
+  await UsageService.record(client.clientId, 'uploads');
+
+  const response = await fetch(`${app.url}/uploads/${uuidv4()}/complete`, { method: 'POST', headers: client.headers });
+  await assertTooManyRequests(response, 'QUOTA_EXCEEDED');
+});
@@ -0,0 +1,40 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { v4: uuidv4 } = require('uuid');
+const CONFIG = require('../config/config');
+const SessionEvents = require('../services/sessionEvents');
+const SessionManager = require('../services/sessionService');
+
+const RETENTION_MS = CONFIG.SSE_BUFFER_RETENTION_MINUTES * 60 * 1000;
+
+test('releases the history of a session that stops changing without finishing', async () => {
+  const sessionId = uuidv4();
+  await SessionManager.updateSession(sessionId, { status: 'awaiting_root_selection', message: 'Choose a root file' });
+  assert.strictEqual(SessionEvents.getEventsSince(sessionId, 0).events.length, 1);
+
+  // Still kept while the session is recent
+  SessionEvents.sweep(Date.now() + RETENTION_MS / 2);
+  assert.strictEqual(SessionEvents.getEventsSince(sessionId, 0).events.length, 1);
+
+  SessionEvents.sweep(Date.now() + RETENTION_MS + 1000);
+  assert.strictEqual(SessionEvents.getEventsSince(sessionId, 0).events.length, 0);
+});
+
+test('releases the history of sessions deleted by the cleanup', async () => {
+  const sessionId = uuidv4();
+  await SessionManager.updateSession(sessionId, { status: 'processing', message: 'Uploading files' });
+  assert.strictEqual(SessionEvents.getEventsSince(sessionId, 0).events.length, 1);
+
+  const cleanupHours = CONFIG.SESSION_CLEANUP_HOURS;
+  CONFIG.SESSION_CLEANUP_HOURS = -1; // Everything counts as old
+  try {
+    await SessionManager.cleanupOldSessions();
+  } finally {
+    CONFIG.SESSION_CLEANUP_HOURS = cleanupHours;
+  }
+
+  assert.strictEqual(await SessionManager.getSession(sessionId), null);
+  assert.strictEqual(SessionEvents.getEventsSince(sessionId, 0).events.length, 0);
+});
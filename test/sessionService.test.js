@@ -0,0 +1,45 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const CONFIG = require('../config/config');
+const SessionManager = require('../services/sessionService');
+const { getSessionStore } = require('../services/sessionStores');
+
+// Runs against the store selected by SESSION_STORE (file unless set), e.g. SESSION_STORE=sqlite npm test
+test.after(() => getSessionStore().close());
+
+test('concurrent updates of a session keep every field', async () => {
+  const sessionId = uuidv4();
+  await SessionManager.updateSession(sessionId, { status: 'processing' });
+
+  // Like the unawaited progress callbacks of an upload: many updates of one session at once
+  await Promise.all(Array.from({ length: 25 }, (_, i) =>
+    SessionManager.updateSession(sessionId, { [`file${i}`]: 'uploaded', progress: i })));
+
+  const session = await SessionManager.getSession(sessionId);
+  for (let i = 0; i < 25; i++) assert.strictEqual(session[`file${i}`], 'uploaded', `file${i} was lost`);
+  assert.strictEqual(session.status, 'processing');
+  // Updates are applied in the order they were made
+  assert.strictEqual(session.progress, 24);
+});
+
+test('merges updates, removes fields set to undefined and keeps createdAt', async () => {
+  const sessionId = uuidv4();
+  const created = await SessionManager.updateSession(sessionId, { status: 'processing', error: { message: 'old' } });
+  const updated = await SessionManager.updateSession(sessionId, { status: 'completed', error: undefined });
+
+  assert.strictEqual(updated.createdAt, created.createdAt);
+  assert.strictEqual(updated.status, 'completed');
+  assert.ok(!('error' in (await SessionManager.getSession(sessionId))));
+});
+
+test('file store writes leave only session.json behind', { skip: CONFIG.SESSION_STORE !== 'file' }, async () => {
+  const sessionId = uuidv4();
+  await Promise.all(Array.from({ length: 10 }, (_, i) => SessionManager.updateSession(sessionId, { progress: i })));
+
+  assert.deepStrictEqual(fs.readdirSync(path.join('responses', `session_${sessionId}`)), ['session.json']);
+});
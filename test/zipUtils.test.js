@@ -0,0 +1,124 @@
+const { workDir } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const ZipUtils = require('../utils/zipUtils');
+
+let zipCount = 0;
+
+/**
+ * Writes a ZIP archive with the given files.
+ * @param {object} files - Entry names mapped to contents (strings or Buffers).
+ * @param {function} [tweak] - Changes the archive before it is written (e.g. renames an entry).
+ * @returns {string} - Path of the archive.
+ */
+function writeZip(files, tweak) {
+  const zip = new AdmZip();
+  for (const [name, data] of Object.entries(files)) zip.addFile(name, Buffer.isBuffer(data) ? data : Buffer.from(data));
+  if (tweak) tweak(zip);
+  const zipPath = path.join(workDir, `archive_${++zipCount}.zip`);
+  zip.writeZip(zipPath);
+  return zipPath;
+}
+
+/**
+ * Writes a single-entry ZIP archive whose headers declare a different uncompressed size than the data has.
+ * @param {string} name - Entry name.
+ * @param {Buffer} data - Real contents.
+ * @param {number} declaredSize - Size written into the local and central headers.
+ * @returns {string} - Path of the archive.
+ */
+function writeZipDeclaring(name, data, declaredSize) {
+  const zip = new AdmZip();
+  zip.addFile(name, data);
+  const buffer = zip.toBuffer();
+  // Uncompressed size fields: offset 22 of the (first) local header, offset 24 of the central header
+  buffer.writeUInt32LE(declaredSize, 22);
+  buffer.writeUInt32LE(declaredSize, buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+  const zipPath = path.join(workDir, `archive_${++zipCount}.zip`);
+  fs.writeFileSync(zipPath, buffer);
+  return zipPath;
+}
+
+/**
+ * Asserts that a function throws (or rejects with) a ZIP error with the given code and offending entry.
+ * @param {function} action - Function to run.
+ * @param {string} code - Expected error code.
+ * @param {string} [entry] - Entry expected in `entries`.
+ */
+async function assertZipError(action, code, entry) {
+  await assert.rejects(async () => action(), error => {
+    assert.strictEqual(error.code, code);
+    if (entry) assert.ok(error.entries.includes(entry), `${entry} not in ${JSON.stringify(error.entries)}`);
+    return true;
+  });
+}
+
+test('accepts CAD files, skips OS metadata and extracts inside the target folder', async () => {
+  const zipPath = writeZip({
+    'gearbox/gearbox.iam': 'assembly',
+    'gearbox/shaft.ipt': 'part',
+    '__MACOSX/gearbox/._gearbox.iam': 'fork',
+    'gearbox/.DS_Store': 'cache'
+  });
+
+  const inspection = ZipUtils.inspect(zipPath);
+  assert.deepStrictEqual(inspection.files.map(file => file.path).sort(), ['gearbox/gearbox.iam', 'gearbox/shaft.ipt']);
+  assert.strictEqual(inspection.ignored.length, 2);
+
+  const destPath = path.join(workDir, 'extracted');
+  await ZipUtils.extract(inspection, destPath);
+  assert.strictEqual(fs.readFileSync(path.join(destPath, 'gearbox/shaft.ipt'), 'utf-8'), 'part');
+  assert.ok(!fs.existsSync(path.join(destPath, '__MACOSX')));
+});
+
+test('rejects entries with .. segments or absolute paths', async () => {
+  const traversal = writeZip({ 'part.ipt': 'x' }, zip => { zip.getEntries()[0].entryName = '../../evil.ipt'; });
+  await assertZipError(() => ZipUtils.inspect(traversal), 'ZIP_PATH_TRAVERSAL', '../../evil.ipt');
+
+  const absolute = writeZip({ 'part.ipt': 'x' }, zip => { zip.getEntries()[0].entryName = '/etc/evil.ipt'; });
+  await assertZipError(() => ZipUtils.inspect(absolute), 'ZIP_PATH_TRAVERSAL', '/etc/evil.ipt');
+});
+
+test('rejects symbolic links and file types outside the allow-list', async () => {
+  const symlink = writeZip({ 'part.ipt': 'x', 'link.ipt': '/etc/passwd' }, zip => {
+    zip.getEntries()[1].header.attr = (0o120777 << 16) >>> 0;
+  });
+  await assertZipError(() => ZipUtils.inspect(symlink), 'ZIP_SYMLINK', 'link.ipt');
+
+  const executable = writeZip({ 'part.ipt': 'x', 'run.exe': 'x' });
+  await assertZipError(() => ZipUtils.inspect(executable), 'ZIP_FILE_TYPE_NOT_ALLOWED', 'run.exe');
+});
+
+test('rejects files that expand beyond the compression ratio limit', async () => {
+  const zipPath = writeZip({ 'model.stp': Buffer.alloc(5 * 1024 * 1024) });
+  await assertZipError(() => ZipUtils.inspect(zipPath), 'ZIP_COMPRESSION_RATIO', 'model.stp');
+});
+
+test('rejects an entry that declares an uncompressed size of 0', async () => {
+  const zipPath = writeZipDeclaring('model.ipt', Buffer.alloc(512 * 1024), 0);
+  await assertZipError(() => ZipUtils.inspect(zipPath), 'ZIP_SIZE_MISMATCH', 'model.ipt');
+});
+
+test('stops extracting an entry that inflates past its declared size', async () => {
+  // Small enough to pass inspection, but the data inflates to 2MB
+  const zipPath = writeZipDeclaring('model.ipt', Buffer.alloc(2 * 1024 * 1024), 100 * 1024);
+  const inspection = ZipUtils.inspect(zipPath);
+
+  const destPath = path.join(workDir, 'lying');
+  await assertZipError(() => ZipUtils.extract(inspection, destPath), 'ZIP_SIZE_MISMATCH', 'model.ipt');
+  assert.ok(!fs.existsSync(path.join(destPath, 'model.ipt')));
+});
+
+test('rejects archives too large to open before reading them', async () => {
+  // Sparse file: takes no disk space and is never read
+  const zipPath = path.join(workDir, 'huge.zip');
+  fs.closeSync(fs.openSync(zipPath, 'w'));
+  fs.truncateSync(zipPath, ZipUtils.getMaxArchiveSize() + 1);
+
+  await assertZipError(() => ZipUtils.inspect(zipPath), 'ZIP_TOO_LARGE');
+  fs.rmSync(zipPath);
+});
@@ -0,0 +1,62 @@
+const { setTimeout: sleep } = require('timers/promises');
+
+/**
+ * AsyncUtils provides helpers for running asynchronous work with limited concurrency and retries.
+ */
+class AsyncUtils {
+  /**
+   * Runs a worker for every item with at most `limit` workers in flight.
+   * After the first failure no new items are started; the returned promise rejects with that
+   * error once the workers already running have settled.
+   * @param {Array} items - Items to process.
+   * @param {number} limit - Maximum number of concurrent workers (at least 1).
+   * @param {function} worker - Async function called with (item, index).
+   * @returns {Promise<Array>} - Worker results in item order.
+   */
+  static async mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failure = null;
+
+    const runNext = async () => {
+      while (!failure && nextIndex < items.length) {
+        const index = nextIndex++;
+        try {
+          results[index] = await worker(items[index], index);
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    };
+
+    const poolSize = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: poolSize }, runNext));
+
+    if (failure) throw failure;
+    return results;
+  }
+
+  /**
+   * Runs an operation, retrying failures with exponential backoff.
+   * Aborted operations (signal aborted) are never retried.
+   * @param {function} operation - Async function called with the attempt number (1-based).
+   * @param {object} options - Retry options.
+   * @param {number} options.attempts - Maximum number of attempts.
+   * @param {number} options.baseDelay - Delay (ms) before the first retry; doubles after each failure.
+   * @param {AbortSignal} options.signal - Optional signal that cancels waiting and further attempts.
+   * @param {function} options.shouldRetry - Optional predicate (error) => boolean; defaults to retrying every error.
+   * @returns {Promise<*>} - The operation's result.
+   */
+  static async retry(operation, { attempts, baseDelay, signal, shouldRetry = () => true }) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        if (signal?.aborted || attempt >= attempts || !shouldRetry(error)) throw error;
+        await sleep(baseDelay * Math.pow(2, attempt - 1), undefined, { signal });
+      }
+    }
+  }
+}
+
+module.exports = AsyncUtils;
@@ -1,9 +1,42 @@
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 
+/**
+ * Root file formats accepted by the Model Derivative service, keyed by extension.
+ * - kind 'assembly': composite design whose referenced files (referenceExtensions) are linked before translation.
+ * - kind 'part': single-part design; only a root when the upload contains no assembly.
+ * - kind 'standalone': self-contained file (neutral formats, Fusion archives, Revit, ...); no references.
+ */
+const ROOT_FORMATS = {
+  '.iam': { format: 'Inventor', kind: 'assembly', referenceExtensions: ['.iam', '.ipt', '.ipn', '.idw'] },
+  '.ipt': { format: 'Inventor', kind: 'part', referenceExtensions: [] },
+  '.sldasm': { format: 'SolidWorks', kind: 'assembly', referenceExtensions: ['.sldasm', '.sldprt'] },
+  '.sldprt': { format: 'SolidWorks', kind: 'part', referenceExtensions: [] },
+  '.catproduct': { format: 'CATIA', kind: 'assembly', referenceExtensions: ['.catproduct', '.catpart'] },
+  '.catpart': { format: 'CATIA', kind: 'part', referenceExtensions: [] },
+  '.asm': { format: 'Creo', kind: 'assembly', referenceExtensions: ['.asm', '.prt'] },
+  '.prt': { format: 'Creo/NX', kind: 'part', referenceExtensions: [] },
+  '.dwg': { format: 'AutoCAD', kind: 'assembly', referenceExtensions: ['.dwg'] },
+  '.step': { format: 'STEP', kind: 'standalone', referenceExtensions: [] },
+  '.stp': { format: 'STEP', kind: 'standalone', referenceExtensions: [] },
+  '.iges': { format: 'IGES', kind: 'standalone', referenceExtensions: [] },
+  '.igs': { format: 'IGES', kind: 'standalone', referenceExtensions: [] },
+  '.f3d': { format: 'Fusion 360', kind: 'standalone', referenceExtensions: [] },
+  '.rvt': { format: 'Revit', kind: 'standalone', referenceExtensions: [] },
+  '.nwd': { format: 'Navisworks', kind: 'standalone', referenceExtensions: [] },
+  '.sat': { format: 'ACIS', kind: 'standalone', referenceExtensions: [] },
+  '.x_t': { format: 'Parasolid', kind: 'standalone', referenceExtensions: [] },
+  '.3dm': { format: 'Rhino', kind: 'standalone', referenceExtensions: [] },
+  '.fbx': { format: 'FBX', kind: 'standalone', referenceExtensions: [] },
+  '.obj': { format: 'OBJ', kind: 'standalone', referenceExtensions: [] },
+  '.stl': { format: 'STL', kind: 'standalone', referenceExtensions: [] }
+};
+
 /**
  * FileUtils provides utility functions for file operations such as saving API responses,
- * extracting essential data, detecting assembly files, and cleaning up files or directories.
+ * extracting essential data, detecting root design files, and cleaning up files or directories.
  */
 class FileUtils {
   /**
@@ -32,9 +65,8 @@ class FileUtils {
   static extractEssentialData(stepName, data) {
     switch (stepName) {
       case '01_get_access_token':
-        // Return only token-related fields
+        // Token details only; the token itself is never written to disk
         return {
-          access_token: data.access_token,
           expires_in: data.expires_in,
           token_type: data.token_type
         };
@@ -63,6 +95,12 @@ class FileUtils {
       case '10_properties_all_objects':
         // Keep all object properties for animation
         return data;
+      case '03_content_hash':
+        // Keep the per-file hashes used for translation deduplication
+        return data;
+      case '04_preflight':
+        // Keep the full pre-flight report (reference graph and warnings)
+        return data;
       default:
         // For other steps, return a simple status and timestamp
         return { status: 'completed', timestamp: new Date().toISOString() };
@@ -70,28 +108,98 @@ class FileUtils {
   }
 
   /**
-   * Detects the main assembly file (.iam) in a given folder.
-   * Searches recursively and returns the first .iam file found.
+   * Returns the root format details for a file name, based on its extension.
+   * @param {string} fileName - File name or relative path.
+   * @returns {object|null} - { extension, format, kind, referenceExtensions }, or null if not a supported root format.
+   */
+  static getRootFormat(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    return ROOT_FORMATS[extension] ? { extension, ...ROOT_FORMATS[extension] } : null;
+  }
+
+  /**
+   * Lists the file extensions accepted as root files.
+   * @returns {string[]} - Extensions including the leading dot.
+   */
+  static getSupportedRootExtensions() {
+    return Object.keys(ROOT_FORMATS);
+  }
+
+  /**
+   * Normalizes a relative path inside an upload to forward slashes without a leading "./" or "/".
+   * @param {string} filePath - The relative path.
+   * @returns {string} - The normalized path.
+   */
+  static normalizeRelativePath(filePath) {
+    return String(filePath).replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+  }
+
+  /**
+   * Lists the files in an upload that could be the root design to translate.
+   * Assemblies are preferred; standalone formats are used when there is no assembly, and
+   * single parts only when there is neither.
+   * @param {string[]} relativePaths - Relative paths of all files in the upload.
+   * @returns {Array<{ path: string, format: string, kind: string }>} - Candidate root files, sorted by path.
+   */
+  static findRootCandidates(relativePaths) {
+    const candidates = relativePaths
+      .map(relativePath => this.normalizeRelativePath(relativePath))
+      .map(relativePath => ({ path: relativePath, ...this.getRootFormat(relativePath) }))
+      .filter(candidate => candidate.kind)
+      .map(({ path: relativePath, format, kind }) => ({ path: relativePath, format, kind }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+
+    for (const kind of ['assembly', 'standalone', 'part']) {
+      const ofKind = candidates.filter(candidate => candidate.kind === kind);
+      if (ofKind.length > 0) return ofKind;
+    }
+    return [];
+  }
+
+  /**
+   * Lists all files in a folder (recursively) as normalized relative paths.
    * @param {string} folderPath - The path to the folder to search.
-   * @returns {Promise<string|null>} - The filename of the assembly file, or null if not found.
+   * @returns {Promise<string[]>} - Relative file paths.
    */
-  static async detectAssemblyFile(folderPath) {
-    try {
-      // Read all files in the folder (recursively)
-      const files = await fs.readdir(folderPath, { recursive: true });
-      for (const file of files) {
-        // Check if the file is a string and ends with .iam (case-insensitive)
-        if (typeof file === 'string' && file.toLowerCase().endsWith('.iam')) {
-          return file;
-        }
+  static async listRelativeFiles(folderPath) {
+    const entries = await fs.readdir(folderPath, { recursive: true, withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile())
+      .map(entry => this.normalizeRelativePath(path.relative(folderPath, path.join(entry.parentPath || entry.path, entry.name))));
+  }
+
+  /**
+   * Computes the SHA-256 of every file in a folder and an overall content hash.
+   * The overall hash covers the relative paths as well as the contents, so renaming or moving
+   * a file changes it while re-zipping identical files does not.
+   * @param {string} folderPath - The path to the folder to hash.
+   * @returns {Promise<{ contentHash: string, files: Array<{ path: string, size: number, sha256: string }> }>} - Hashes, files sorted by path.
+   */
+  static async hashFiles(folderPath) {
+    const files = [];
+    for (const relativePath of (await this.listRelativeFiles(folderPath)).sort()) {
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      for await (const data of createReadStream(path.join(folderPath, relativePath))) {
+        hash.update(data);
+        size += data.length;
       }
-      // Return null if no .iam file is found
-      return null;
-    } catch (error) {
-      // Log any errors encountered during directory reading
-      console.error('Error detecting assembly file:', error.message);
-      return null;
+      files.push({ path: relativePath, size, sha256: hash.digest('hex') });
     }
+
+    const contentHash = crypto.createHash('sha256')
+      .update(files.map(file => `${file.path}\0${file.sha256}`).join('\n'))
+      .digest('hex');
+    return { contentHash, files };
+  }
+
+  /**
+   * Detects the root design file(s) in a folder.
+   * @param {string} folderPath - The path to the folder to search.
+   * @returns {Promise<Array<{ path: string, format: string, kind: string }>>} - Candidate root files.
+   */
+  static async detectRootCandidates(folderPath) {
+    return this.findRootCandidates(await this.listRelativeFiles(folderPath));
   }
 
   /**
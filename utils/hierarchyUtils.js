@@ -0,0 +1,188 @@
+/**
+ * HierarchyUtils provides helpers for navigating the Forge object hierarchy
+ * (09_object_hierarchy.json) and the matching properties (10_properties_all_objects.json).
+ */
+class HierarchyUtils {
+  /**
+   * Finds a node by objectid anywhere in the hierarchy.
+   * @param {object} hierarchyData - The object hierarchy data from Forge.
+   * @param {number} objectId - The objectid to look for.
+   * @returns {object|null} - The matching node, or null if not found.
+   */
+  static findByObjectId(hierarchyData, objectId) {
+    const stack = [...(hierarchyData?.data?.objects || [])];
+    while (stack.length > 0) {
+      const node = stack.shift();
+      if (node.objectid === objectId) return node;
+      if (node.objects) stack.unshift(...node.objects);
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether a node name matches a path segment.
+   * Forge appends instance suffixes (e.g. "Gearbox:1"), so "Gearbox" matches "Gearbox:1" too.
+   * @param {string} name - The node name.
+   * @param {string} segment - The path segment.
+   * @returns {boolean} - True if the name matches (case-insensitive).
+   */
+  static nameMatches(name, segment) {
+    const normalizedName = String(name || '').trim().toLowerCase();
+    const normalizedSegment = segment.trim().toLowerCase();
+    return normalizedName === normalizedSegment || normalizedName.replace(/:\d+$/, '') === normalizedSegment;
+  }
+
+  /**
+   * Finds a node by a slash-separated name path such as "Gearbox" or "Housing/Gearbox/Shaft".
+   * The path is matched against the end of each node's ancestor chain, so it does not need
+   * to start at the root. The first match in depth-first order is returned.
+   * @param {object} hierarchyData - The object hierarchy data from Forge.
+   * @param {string} namePath - Slash-separated node names.
+   * @returns {object|null} - The matching node, or null if not found.
+   */
+  static findByNamePath(hierarchyData, namePath) {
+    const segments = namePath.split('/').filter(segment => segment.trim() !== '');
+    if (segments.length === 0) return null;
+
+    // Depth-first walk keeping the chain of ancestor names
+    const walk = (node, ancestors) => {
+      const chain = [...ancestors, node.name];
+      if (chain.length >= segments.length) {
+        const tail = chain.slice(chain.length - segments.length);
+        if (tail.every((name, index) => this.nameMatches(name, segments[index]))) return node;
+      }
+      for (const child of node.objects || []) {
+        const found = walk(child, chain);
+        if (found) return found;
+      }
+      return null;
+    };
+
+    for (const root of hierarchyData?.data?.objects || []) {
+      const found = walk(root, []);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Resolves a target given either as an objectid (number or numeric string) or a name path.
+   * @param {object} hierarchyData - The object hierarchy data from Forge.
+   * @param {number|string} target - objectid or name path.
+   * @returns {object|null} - The matching node, or null if not found.
+   */
+  static resolveTarget(hierarchyData, target) {
+    if (typeof target === 'number' || /^\d+$/.test(String(target))) {
+      return this.findByObjectId(hierarchyData, Number(target));
+    }
+    return this.findByNamePath(hierarchyData, String(target));
+  }
+
+  /**
+   * Collects the objectids of a node and all of its descendants.
+   * @param {object} node - The subtree root.
+   * @returns {Set<number>} - objectids in the subtree.
+   */
+  static collectSubtreeIds(node) {
+    const ids = new Set();
+    const walk = (current) => {
+      ids.add(current.objectid);
+      (current.objects || []).forEach(walk);
+    };
+    walk(node);
+    return ids;
+  }
+
+  /**
+   * Indexes every node of the hierarchy by objectid, with its parent and ancestor names.
+   * @param {object} hierarchyData - The object hierarchy data from Forge.
+   * @returns {Map<number, { node: object, parentId: number|null, path: string[] }>} - Nodes by objectid,
+   *   in depth-first order; path holds the names from the root down to the node itself.
+   */
+  static indexNodes(hierarchyData) {
+    const nodes = new Map();
+    const walk = (node, parentId, ancestors) => {
+      const nodePath = [...ancestors, node.name];
+      nodes.set(node.objectid, { node, parentId, path: nodePath });
+      (node.objects || []).forEach(child => walk(child, node.objectid, nodePath));
+    };
+    (hierarchyData?.data?.objects || []).forEach(root => walk(root, null, []));
+    return nodes;
+  }
+
+  /**
+   * Indexes the properties collection by objectid. Forge may split the properties of one object over
+   * several entries; their property groups are merged (later entries win for duplicate names).
+   * @param {object} propertiesData - The properties data from Forge.
+   * @returns {Map<number, { externalId: string, properties: object }>} - Merged properties by objectid.
+   */
+  static indexProperties(propertiesData) {
+    const items = new Map();
+    for (const item of propertiesData?.data?.collection || []) {
+      const merged = items.get(item.objectid) || { externalId: item.externalId, properties: {} };
+      for (const [group, props] of Object.entries(item.properties || {})) {
+        merged.properties[group] = props && typeof props === 'object' && typeof merged.properties[group] === 'object'
+          ? { ...merged.properties[group], ...props }
+          : props;
+      }
+      items.set(item.objectid, merged);
+    }
+    return items;
+  }
+
+  /**
+   * Returns the category-like values of an object's properties (any property whose name contains
+   * "category", e.g. "Category: Fastener"), as used to search objects by category.
+   * @param {object} properties - Property groups of one object.
+   * @returns {string[]} - Category values.
+   */
+  static getCategories(properties) {
+    const categories = [];
+    for (const props of Object.values(properties || {})) {
+      if (!props || typeof props !== 'object') continue;
+      for (const [key, value] of Object.entries(props)) {
+        if (/category/i.test(key) && typeof value === 'string') categories.push(value);
+      }
+    }
+    return categories;
+  }
+
+  /**
+   * Copies a subtree down to a maximum depth, converting each node with `format`.
+   * Children below the depth limit are left out; `format` receives the node and can report its childCount.
+   * @param {object} node - The subtree root.
+   * @param {number} depth - Levels of children to include (0 = the node only, Infinity = all).
+   * @param {function} format - (node) => formatted node without children.
+   * @returns {object} - Formatted node with `objects` for the included children.
+   */
+  static pruneToDepth(node, depth, format) {
+    const formatted = format(node);
+    if (depth > 0 && node.objects?.length > 0) {
+      formatted.objects = node.objects.map(child => this.pruneToDepth(child, depth - 1, format));
+    }
+    return formatted;
+  }
+
+  /**
+   * Restricts hierarchy and properties data to a single subtree, keeping the Forge response shape.
+   * @param {object} hierarchyData - The object hierarchy data from Forge.
+   * @param {object} propertiesData - The properties data from Forge.
+   * @param {object} node - The subtree root.
+   * @returns {{ hierarchyData: object, propertiesData: object }} - Data limited to the subtree.
+   */
+  static restrictToSubtree(hierarchyData, propertiesData, node) {
+    const ids = this.collectSubtreeIds(node);
+    return {
+      hierarchyData: { ...hierarchyData, data: { ...hierarchyData.data, objects: [node] } },
+      propertiesData: {
+        ...propertiesData,
+        data: {
+          ...propertiesData.data,
+          collection: (propertiesData.data?.collection || []).filter(item => ids.has(item.objectid))
+        }
+      }
+    };
+  }
+}
+
+module.exports = HierarchyUtils;
@@ -0,0 +1,204 @@
+const fs = require('fs').promises;
+const path = require('path');
+const FileUtils = require('./fileUtils');
+
+// Design file extensions that can show up as references inside other design files
+const DESIGN_EXTENSIONS = [
+  '.iam', '.ipt', '.ipn', '.idw',
+  '.sldasm', '.sldprt', '.slddrw',
+  '.catproduct', '.catpart',
+  '.asm', '.prt',
+  '.dwg'
+];
+
+// Files scanned for references to other files (assemblies, presentations and drawings)
+const COMPOSITE_EXTENSIONS = ['.iam', '.ipn', '.idw', '.sldasm', '.slddrw', '.catproduct', '.asm', '.dwg'];
+
+// File names embedded in a design file, e.g. "Bolt.ipt" or "C:\Work\Sub\Gear Box.iam"
+const REFERENCE_PATTERN = new RegExp(
+  `[A-Za-z0-9 _\\-.()\\[\\]&+,']{1,200}\\.(?:${DESIGN_EXTENSIONS.map(ext => ext.slice(1)).join('|')})(?![A-Za-z0-9])`,
+  'gi'
+);
+
+/**
+ * ReferenceUtils builds the reference graph of an upload by scanning composite design files
+ * (assemblies, presentations, drawings) for the names of the files they use. Design files store
+ * these names as ASCII or UTF-16LE strings, so both encodings are searched.
+ * The graph drives the nested reference linking sent to Forge and the pre-flight report.
+ */
+class ReferenceUtils {
+  /**
+   * Extracts the text a binary design file may hold file names in.
+   * @param {Buffer} buffer - File contents.
+   * @returns {string} - Lower-case ASCII and UTF-16LE (both byte alignments) renderings, newline-separated.
+   */
+  static extractText(buffer) {
+    return [
+      buffer.toString('latin1'),
+      buffer.toString('utf16le'),
+      buffer.subarray(1).toString('utf16le')
+    ].join('\n').toLowerCase();
+  }
+
+  /**
+   * Lists the design file names mentioned in a file's text.
+   * @param {string} text - Output of extractText.
+   * @returns {Set<string>} - Lower-case file names (without folders).
+   */
+  static findMentionedNames(text) {
+    const names = new Set();
+    for (const match of text.matchAll(REFERENCE_PATTERN)) {
+      names.add(match[0].trim());
+    }
+    return names;
+  }
+
+  /**
+   * Picks which of several same-named files a parent refers to: the one whose relative path
+   * appears in the parent (most specific first), otherwise the one closest to the parent's folder.
+   * @param {string} parentPath - Relative path of the referencing file.
+   * @param {string[]} candidates - Relative paths of files with the referenced name.
+   * @param {string} text - The parent's extracted text.
+   * @returns {string} - Relative path of the referenced file.
+   */
+  static resolveDuplicate(parentPath, candidates, text) {
+    // Longest paths first: "bolt.ipt" is contained in every "<folder>/bolt.ipt"
+    const byPath = [...candidates].sort((a, b) => b.length - a.length).find(candidate => {
+      const lower = candidate.toLowerCase();
+      return text.includes(lower) || text.includes(lower.replace(/\//g, '\\'));
+    });
+    if (byPath) return byPath;
+
+    // Closest folder: longest shared leading path segments with the parent
+    const parentSegments = path.posix.dirname(parentPath).split('/');
+    const shared = (candidate) => {
+      const segments = path.posix.dirname(candidate).split('/');
+      let count = 0;
+      while (count < segments.length && segments[count] === parentSegments[count]) count++;
+      return count;
+    };
+    return [...candidates].sort((a, b) => shared(b) - shared(a) || a.localeCompare(b))[0];
+  }
+
+  /**
+   * Builds the reference graph of an upload.
+   * @param {string} folderPath - Folder holding the extracted upload.
+   * @param {string} rootFile - Relative path of the root file.
+   * @returns {Promise<object>} - { files, children: { path: [childPaths] }, duplicateNames, missingReferences, unreferencedFiles }.
+   */
+  static async buildGraph(folderPath, rootFile) {
+    const files = await FileUtils.listRelativeFiles(folderPath);
+    const designFiles = files.filter(file => DESIGN_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+
+    // Design files by lower-case name, to spot duplicates and resolve references
+    const byName = new Map();
+    for (const file of designFiles) {
+      const name = path.posix.basename(file).toLowerCase();
+      byName.set(name, [...(byName.get(name) || []), file]);
+    }
+
+    const children = {};
+    const missingReferences = [];
+
+    for (const parent of designFiles) {
+      if (!COMPOSITE_EXTENSIONS.includes(path.extname(parent).toLowerCase())) continue;
+
+      const text = this.extractText(await fs.readFile(path.join(folderPath, parent)));
+      const parentName = path.posix.basename(parent).toLowerCase();
+      const found = new Set();
+
+      for (const mentioned of this.findMentionedNames(text)) {
+        // A mention may carry leading characters from the surrounding data, so uploaded names
+        // also match as a suffix (longest name first)
+        const name = byName.has(mentioned)
+          ? mentioned
+          : [...byName.keys()].sort((a, b) => b.length - a.length).find(candidate => mentioned.endsWith(candidate));
+        if (!name) {
+          missingReferences.push({ file: parent, reference: mentioned });
+          continue;
+        }
+        if (name === parentName) continue;
+
+        const candidates = byName.get(name);
+        found.add(candidates.length === 1 ? candidates[0] : this.resolveDuplicate(parent, candidates, text));
+      }
+
+      if (found.size > 0) children[parent] = [...found].sort();
+    }
+
+    // Files reachable from the root
+    const reachable = new Set();
+    const visit = (file) => {
+      if (reachable.has(file)) return;
+      reachable.add(file);
+      (children[file] || []).forEach(visit);
+    };
+    visit(rootFile);
+
+    return {
+      files,
+      children,
+      duplicateNames: [...byName.entries()]
+        .filter(([, paths]) => paths.length > 1)
+        .map(([name, paths]) => ({ name, paths })),
+      missingReferences,
+      unreferencedFiles: designFiles.filter(file => !reachable.has(file))
+    };
+  }
+
+  /**
+   * Builds the nested reference list for linking: the root's references with their own
+   * references below them, followed by design files the root does not reference (presentations,
+   * drawings and other dependents) so Forge still receives every uploaded design file.
+   * Each file appears once; cycles are cut.
+   * @param {object} graph - Output of buildGraph.
+   * @param {string} rootFile - Relative path of the root file.
+   * @returns {Array<{ path: string, relativePath: string, filename: string, references: Array }>} - Reference tree.
+   */
+  static buildLinkTree(graph, rootFile) {
+    const placed = new Set([rootFile]);
+
+    const build = (parent, file) => {
+      placed.add(file);
+      const node = {
+        path: file,
+        // Location of the file relative to the folder of the file that references it
+        relativePath: path.posix.relative(path.posix.dirname(parent), file),
+        filename: path.posix.basename(file),
+        references: []
+      };
+      for (const child of graph.children[file] || []) {
+        if (!placed.has(child)) node.references.push(build(file, child));
+      }
+      return node;
+    };
+
+    const tree = [];
+    for (const child of graph.children[rootFile] || []) {
+      if (!placed.has(child)) tree.push(build(rootFile, child));
+    }
+    for (const file of graph.unreferencedFiles) {
+      if (!placed.has(file)) tree.push(build(rootFile, file));
+    }
+    return tree;
+  }
+
+  /**
+   * Builds the pre-flight report stored in the session and in 04_preflight.json.
+   * @param {object} graph - Output of buildGraph.
+   * @param {string} rootFile - Relative path of the root file.
+   * @returns {object} - { rootFile, fileCount, references, duplicateNames, missingReferences, unreferencedFiles }.
+   */
+  static buildPreflightReport(graph, rootFile) {
+    return {
+      rootFile,
+      fileCount: graph.files.length,
+      references: graph.children,
+      duplicateNames: graph.duplicateNames,
+      missingReferences: graph.missingReferences,
+      unreferencedFiles: graph.unreferencedFiles
+    };
+  }
+}
+
+module.exports = ReferenceUtils;
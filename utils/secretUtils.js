@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const fsSync = require('fs');
+const path = require('path');
+const CONFIG = require('../config/config');
+
+// Marker of encrypted values: enc:v1:<iv>:<auth tag>:<ciphertext> (base64 parts)
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// Generated server key, used when SECRET_ENCRYPTION_KEY is not set
+const KEY_FILE = path.join('data', 'secret.key');
+
+// Encryption key (loaded on first use)
+let key = null;
+
+/**
+ * SecretUtils encrypts secrets that have to be kept on disk (such as webhook signing secrets)
+ * with AES-256-GCM under a server key. The key is derived from the SECRET_ENCRYPTION_KEY
+ * environment variable or, if that is not set, generated once and stored in data/secret.key.
+ */
+class SecretUtils {
+  /**
+   * Returns the 256-bit encryption key, creating data/secret.key if needed.
+   * @returns {Buffer} - The key.
+   */
+  static getKey() {
+    if (key) return key;
+
+    if (CONFIG.SECRET_ENCRYPTION_KEY) {
+      key = crypto.createHash('sha256').update(CONFIG.SECRET_ENCRYPTION_KEY).digest();
+      return key;
+    }
+
+    try {
+      key = Buffer.from(fsSync.readFileSync(KEY_FILE, 'utf-8').trim(), 'hex');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      key = crypto.randomBytes(32);
+      fsSync.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+      fsSync.writeFileSync(KEY_FILE, key.toString('hex'), { mode: 0o600 });
+      console.log(`Generated secret encryption key in ${KEY_FILE}`);
+    }
+    return key;
+  }
+
+  /**
+   * Checks whether a value was produced by encrypt().
+   * @param {*} value - The value to check.
+   * @returns {boolean} - True if the value is encrypted.
+   */
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  /**
+   * Encrypts a secret. Empty values and values that are already encrypted are returned unchanged.
+   * @param {string|null|undefined} plaintext - The secret.
+   * @returns {string|null|undefined} - The encrypted secret.
+   */
+  static encrypt(plaintext) {
+    if (!plaintext || this.isEncrypted(plaintext)) return plaintext;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf-8'), cipher.final()]);
+    return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypts a secret. Values that are not encrypted (written before encryption was introduced)
+   * are returned unchanged.
+   * @param {string|null|undefined} value - The encrypted secret.
+   * @returns {string|null|undefined} - The plaintext secret.
+   * @throws {Error} - If the value was encrypted with a different key or has been altered.
+   */
+  static decrypt(value) {
+    if (!this.isEncrypted(value)) return value;
+
+    const [iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf-8');
+  }
+}
+
+module.exports = SecretUtils;
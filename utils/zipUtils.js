@@ -0,0 +1,308 @@
+const fs = require('fs').promises;
+const { createWriteStream, statSync } = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const AdmZip = require('adm-zip');
+const FileUtils = require('./fileUtils');
+const CONFIG = require('../config/config');
+
+/**
+ * File types accepted in uploads besides the root and reference formats known to FileUtils:
+ * CAD companions (projects, drawings, exchange formats), textures and materials, and documentation.
+ */
+const EXTRA_ALLOWED_EXTENSIONS = [
+  '.ipj', '.idw', '.ipn', '.dwf', '.dwfx', '.dxf', '.slddrw', '.catdrawing', '.cgr', '.jt', '.x_b',
+  '.ifc', '.3ds', '.dae', '.gltf', '.glb', '.bin', '.mtl', '.usdz',
+  '.png', '.jpg', '.jpeg', '.bmp', '.tif', '.tiff', '.gif',
+  '.txt', '.pdf', '.xml', '.json', '.csv'
+];
+
+// OS metadata that archivers add (macOS resource forks, Finder and Explorer caches); skipped, never extracted
+const IGNORED_ENTRY_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i;
+
+// Unix file type bits in the high 16 bits of an entry's external attributes
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// Compression methods that can be extracted (stored and deflated)
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Returns the largest compressed size data of a given size can have: deflate only ever adds block
+ * headers to incompressible data, so an entry with more compressed bytes has lied about its size.
+ * @param {number} size - Uncompressed size.
+ * @returns {number} - Upper bound of the compressed size.
+ */
+function maxCompressedSize(size) {
+  return size + Math.ceil(size * 0.01) + 64;
+}
+
+// Largest archive that can be opened: adm-zip reads the whole file into one buffer, and Node cannot
+// read more than 2GB - 1 byte at once (larger files fail with ERR_FS_FILE_TOO_LARGE)
+const MAX_ARCHIVE_SIZE = 2 ** 31 - 1;
+
+// CRC-32 (the ZIP checksum) lookup table; zlib.crc32 only exists from Node 20.15 / 22.2
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Continues a CRC-32 checksum over more data.
+ * @param {Buffer} data - Next bytes.
+ * @param {number} [crc] - Checksum of the bytes before (0 to start).
+ * @returns {number} - Checksum including `data` (unsigned).
+ */
+function crc32(data, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < data.length; i++) c = CRC32_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+// Offending entries listed in an error (the error message gives the total)
+const MAX_LISTED_ENTRIES = 50;
+
+/**
+ * Creates a validation error for an unsafe archive.
+ * @param {string} code - Error code (ZIP_*).
+ * @param {string} message - Error message.
+ * @param {string[]} [entries] - Offending entry names.
+ * @returns {Error} - Error with `code` and `entries`.
+ */
+function zipError(code, message, entries = []) {
+  return Object.assign(new Error(message), { code, entries: entries.slice(0, MAX_LISTED_ENTRIES) });
+}
+
+/**
+ * ZipUtils validates uploaded ZIP archives before anything is written to disk and extracts them safely.
+ * Archives are rejected as a whole (nothing is extracted) when any entry:
+ * - has an absolute path, a drive letter or a '..' segment (ZIP_PATH_TRAVERSAL)
+ * - is a symbolic link (ZIP_SYMLINK)
+ * - has a file type outside the CAD allow-list (ZIP_FILE_TYPE_NOT_ALLOWED)
+ * - expands more than ZIP_MAX_COMPRESSION_RATIO times (ZIP_COMPRESSION_RATIO)
+ * - declares an uncompressed size smaller than its compressed data allows (ZIP_SIZE_MISMATCH)
+ * or when the archive has more than ZIP_MAX_ENTRIES entries (ZIP_TOO_MANY_ENTRIES) or expands to more
+ * than ZIP_MAX_UNCOMPRESSED_SIZE bytes (ZIP_TOO_LARGE).
+ * Unreadable, encrypted or empty archives fail with INVALID_ZIP.
+ * The declared sizes are not trusted during extraction: entries are inflated as streams and
+ * abandoned as soon as they produce more bytes than declared.
+ */
+class ZipUtils {
+  /**
+   * Lists the file extensions allowed in uploads.
+   * @returns {string[]} - Extensions including the leading dot.
+   */
+  static getAllowedExtensions() {
+    const rootExtensions = FileUtils.getSupportedRootExtensions();
+    const referenceExtensions = rootExtensions.flatMap(extension => FileUtils.getRootFormat(`file${extension}`).referenceExtensions);
+    return [...new Set([...rootExtensions, ...referenceExtensions, ...EXTRA_ALLOWED_EXTENSIONS])];
+  }
+
+  /**
+   * Returns the size of the largest ZIP file that can be inspected.
+   * @returns {number} - Size in bytes.
+   */
+  static getMaxArchiveSize() {
+    return MAX_ARCHIVE_SIZE;
+  }
+
+  /**
+   * Returns the extension used for the allow-list check. Creo keeps versions as name.prt.3, so a
+   * trailing numeric version is ignored.
+   * @param {string} entryPath - Entry path.
+   * @returns {string} - Lower-case extension including the leading dot.
+   */
+  static getExtension(entryPath) {
+    return path.extname(entryPath.replace(/\.\d+$/, '')).toLowerCase();
+  }
+
+  /**
+   * Checks whether an entry name escapes the extraction folder.
+   * @param {string} entryName - Raw entry name from the archive.
+   * @returns {boolean} - True for absolute paths, drive letters, '..' segments and NUL bytes.
+   */
+  static isUnsafePath(entryName) {
+    const name = entryName.replace(/\\/g, '/');
+    return name.startsWith('/') ||
+      /^[a-z]:/i.test(name) ||
+      name.includes('\0') ||
+      name.split('/').includes('..');
+  }
+
+  /**
+   * Opens and validates an archive without extracting it.
+   * @param {string} zipPath - Path to the ZIP file.
+   * @returns {{ zip: AdmZip, files: Array<{ entry: object, path: string }>, ignored: string[] }}
+   *   - The archive, its files with normalized relative paths, and skipped OS metadata entries.
+   * @throws {Error} - With code INVALID_ZIP or one of the ZIP_* codes, and `entries` listing offenders.
+   */
+  static inspect(zipPath) {
+    const archiveSize = statSync(zipPath, { throwIfNoEntry: false })?.size ?? 0;
+    if (archiveSize > MAX_ARCHIVE_SIZE) {
+      throw zipError('ZIP_TOO_LARGE', `ZIP file is ${archiveSize} bytes; at most ${MAX_ARCHIVE_SIZE} can be opened`);
+    }
+
+    let zip;
+    let entries;
+    try {
+      zip = new AdmZip(zipPath);
+      entries = zip.getEntries();
+    } catch (error) {
+      throw zipError('INVALID_ZIP', error.message);
+    }
+    if (entries.length === 0) {
+      throw zipError('INVALID_ZIP', 'ZIP file is empty');
+    }
+
+    if (entries.length > CONFIG.ZIP_MAX_ENTRIES) {
+      throw zipError('ZIP_TOO_MANY_ENTRIES', `ZIP file has ${entries.length} entries; at most ${CONFIG.ZIP_MAX_ENTRIES} are allowed`);
+    }
+
+    const traversal = entries.filter(entry => this.isUnsafePath(entry.entryName)).map(entry => entry.entryName);
+    if (traversal.length > 0) {
+      throw zipError('ZIP_PATH_TRAVERSAL', `${traversal.length} entries have absolute paths or '..' segments`, traversal);
+    }
+
+    const symlinks = entries.filter(entry => ((entry.header.attr >>> 16) & S_IFMT) === S_IFLNK).map(entry => entry.entryName);
+    if (symlinks.length > 0) {
+      throw zipError('ZIP_SYMLINK', `${symlinks.length} entries are symbolic links`, symlinks);
+    }
+
+    const encrypted = entries.filter(entry => entry.header.encrypted).map(entry => entry.entryName);
+    if (encrypted.length > 0) {
+      throw zipError('INVALID_ZIP', `${encrypted.length} entries are encrypted; password-protected ZIP files are not supported`, encrypted);
+    }
+
+    const ignored = [];
+    const files = [];
+    for (const entry of entries) {
+      if (IGNORED_ENTRY_PATTERN.test(entry.entryName.replace(/\\/g, '/'))) {
+        ignored.push(entry.entryName);
+      } else if (!entry.isDirectory) {
+        files.push({ entry, path: FileUtils.normalizeRelativePath(entry.entryName) });
+      }
+    }
+    if (files.length === 0) {
+      throw zipError('INVALID_ZIP', 'ZIP file contains no files');
+    }
+
+    const allowed = this.getAllowedExtensions();
+    const disallowed = files.filter(file => !allowed.includes(this.getExtension(file.path))).map(file => file.path);
+    if (disallowed.length > 0) {
+      throw zipError('ZIP_FILE_TYPE_NOT_ALLOWED', `${disallowed.length} files have types that are not accepted`, disallowed);
+    }
+
+    // Declared sizes are checked against the compressed data: deflate cannot shrink data to less than
+    // its compressed size, so a smaller declared size (e.g. 0) only serves to slip past the checks below
+    const mismatched = files.filter(({ entry }) => entry.header.method !== METHOD_STORED
+      ? entry.header.compressedSize > maxCompressedSize(entry.header.size)
+      : entry.header.compressedSize !== entry.header.size).map(file => file.path);
+    if (mismatched.length > 0) {
+      throw zipError('ZIP_SIZE_MISMATCH', `${mismatched.length} files declare sizes that do not match their compressed data`, mismatched);
+    }
+
+    // Small files are exempt from the ratio check only if both their declared and compressed sizes are small;
+    // extraction never inflates an entry beyond its declared size
+    const compressed = files.filter(({ entry }) =>
+      Math.max(entry.header.size, entry.header.compressedSize) >= CONFIG.ZIP_RATIO_CHECK_MIN_SIZE &&
+      entry.header.size > CONFIG.ZIP_MAX_COMPRESSION_RATIO * Math.max(entry.header.compressedSize, 1)).map(file => file.path);
+    if (compressed.length > 0) {
+      throw zipError('ZIP_COMPRESSION_RATIO',
+        `${compressed.length} files expand more than ${CONFIG.ZIP_MAX_COMPRESSION_RATIO} times their compressed size`, compressed);
+    }
+
+    const totalSize = files.reduce((sum, { entry }) => sum + entry.header.size, 0);
+    if (totalSize > CONFIG.ZIP_MAX_UNCOMPRESSED_SIZE) {
+      const largest = [...files].sort((a, b) => b.entry.header.size - a.entry.header.size).slice(0, 10).map(file => file.path);
+      throw zipError('ZIP_TOO_LARGE',
+        `ZIP file expands to ${totalSize} bytes; at most ${CONFIG.ZIP_MAX_UNCOMPRESSED_SIZE} are allowed`, largest);
+    }
+
+    return { zip, files, ignored };
+  }
+
+  /**
+   * Extracts the files of an inspected archive into a folder.
+   * Every target path is checked to stay inside the folder. Entries are inflated as streams straight
+   * to disk and abandoned as soon as they exceed their declared size, so a header that lies about the
+   * size cannot make the server inflate more than the inspection allowed.
+   * @param {object} inspection - Result of inspect().
+   * @param {string} destPath - Folder to extract into.
+   * @returns {Promise<void>}
+   * @throws {Error} - With code INVALID_ZIP, ZIP_PATH_TRAVERSAL or ZIP_SIZE_MISMATCH, and `entries`.
+   */
+  static async extract({ files }, destPath) {
+    const root = path.resolve(destPath);
+    for (const { entry, path: relativePath } of files) {
+      const target = path.resolve(root, relativePath);
+      if (!target.startsWith(root + path.sep)) {
+        throw zipError('ZIP_PATH_TRAVERSAL', `Entry resolves outside the upload folder: ${entry.entryName}`, [entry.entryName]);
+      }
+
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await this.extractEntry(entry, target);
+    }
+  }
+
+  /**
+   * Inflates one entry to a file, counting the bytes as they are produced.
+   * @param {object} entry - adm-zip entry.
+   * @param {string} target - Output file path.
+   * @returns {Promise<void>}
+   * @throws {Error} - INVALID_ZIP for unreadable, encrypted or corrupt entries; ZIP_SIZE_MISMATCH when the
+   *   entry inflates to more or fewer bytes than declared.
+   */
+  static async extractEntry(entry, target) {
+    const { method, size, crc } = entry.header;
+    if (entry.header.encrypted) {
+      throw zipError('INVALID_ZIP', `Encrypted entries are not supported: ${entry.entryName}`, [entry.entryName]);
+    }
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+      throw zipError('INVALID_ZIP', `Unsupported compression method ${method}: ${entry.entryName}`, [entry.entryName]);
+    }
+
+    let compressedData;
+    try {
+      compressedData = entry.getCompressedData();
+    } catch (error) {
+      throw zipError('INVALID_ZIP', `${entry.entryName}: ${error.message}`, [entry.entryName]);
+    }
+
+    // Stops the stream once more bytes come out than the header declared
+    let written = 0;
+    let checksum = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        written += chunk.length;
+        if (written > size) {
+          return callback(zipError('ZIP_SIZE_MISMATCH', `Entry is larger than its declared size: ${entry.entryName}`, [entry.entryName]));
+        }
+        checksum = crc32(chunk, checksum);
+        callback(null, chunk);
+      }
+    });
+
+    const stages = [Readable.from([compressedData]), ...(method === METHOD_DEFLATED ? [zlib.createInflateRaw()] : []), limit,
+      createWriteStream(target)];
+    try {
+      await pipeline(stages);
+    } catch (error) {
+      await fs.rm(target, { force: true });
+      if (error.entries) throw error;
+      // zlib errors (corrupt data) and any other stream failure
+      throw zipError('INVALID_ZIP', `${entry.entryName}: ${error.message}`, [entry.entryName]);
+    }
+
+    if (written !== size || checksum !== crc) {
+      await fs.rm(target, { force: true });
+      throw zipError(written !== size ? 'ZIP_SIZE_MISMATCH' : 'INVALID_ZIP',
+        `Entry does not match its declared ${written !== size ? 'size' : 'checksum'}: ${entry.entryName}`, [entry.entryName]);
+    }
+  }
+}
+
+module.exports = ZipUtils;